@@ -12,13 +12,16 @@
 
 /**
  * @typedef {import('../../types/config').MarketConfig} MarketConfig
- * @typedef {import('../../types/config').FeedConfig} FeedConfig
  */
 
 const { Core } = require("@adobe/aio-sdk");
 const {
   ACO_EVENT_TYPE_PRODUCT,
   ACO_EVENT_TYPE_PRICE,
+  DEFAULT_EVENT_DEDUP_TTL_SECONDS,
+  DEFAULT_DEAD_LETTER_TTL_SECONDS,
+  DEFAULT_EVENT_TIME_TTL_SECONDS,
+  DEFAULT_BUFFER_TTL_SECONDS,
   HTTP_BAD_REQUEST,
   HTTP_INTERNAL_ERROR,
 } = require("../constants.js");
@@ -26,39 +29,218 @@ const { errorResponse, successResponse } = require("../responses.js");
 const {
   checkMissingRequestInputs,
   groupItemsByMarket,
+  groupPriceItemsByMarket,
   stringParameters,
 } = require("../utils.js");
-const { loadMarketConfig, buildLocaleIndex } = require("../config.js");
+const {
+  loadMarketConfig,
+  buildLocaleIndex,
+  buildPriceBookIndex,
+} = require("../config.js");
+const {
+  buildFeedConfig,
+  findTenantMarkets,
+  isDryRun,
+} = require("../markets.js");
+const { isEventProcessed, markEventProcessed } = require("../idempotency.js");
+const { updateDeadLetters } = require("../deadLetter.js");
+const { filterStaleItems, recordEventTimes } = require("../staleEvents.js");
+const { bufferItems, isBufferEnabled } = require("../eventBuffer.js");
+const { initStateStore } = require("../../clients/state.js");
 const { processProductEvent } = require("../../processors/aco/products.js");
+const { processPriceEvent } = require("../../processors/aco/prices.js");
+const { summarizeOutcomes } = require("../../processors/outcomes.js");
 
 /**
- * Filters price event items to only include those matching the market's price book.
+ * Groups event items by market according to the event type.
+ * Product events carry `sources[].locale` and are routed by locale, while
+ * price events only carry `sources[].priceBookId` and are routed by price book.
+ *
+ * @param {string} type - The event type
+ * @param {object[]} items - The event items
+ * @param {MarketConfig[]} marketConfig - The configured markets
+ * @param {object} logger - Logger instance
+ * @returns {Map<string, { market: MarketConfig, items: object[] }>} Items grouped by market id
  */
-const filterPriceItemsForMarket = (items, priceBookId) => {
-  return items.filter((item) =>
-    item.sources?.some((source) => source.priceBookId === priceBookId)
-  );
+const routeItemsToMarkets = (type, items, marketConfig, logger) => {
+  if (type === ACO_EVENT_TYPE_PRICE) {
+    const priceBookIndex = buildPriceBookIndex(marketConfig);
+    return groupPriceItemsByMarket(items, priceBookIndex, logger);
+  }
+
+  const localeIndex = buildLocaleIndex(marketConfig);
+  return groupItemsByMarket(items, localeIndex, logger);
+};
+
+/**
+ * Initializes the state store used to deduplicate redelivered events and to
+ * dead-letter failed items.
+ * Returns null when the store is unavailable so the event is still processed.
+ *
+ * @param {object} params - Action input params
+ * @param {object} logger - Logger instance
+ * @returns {Promise<import('../../clients/state').StateStore|null>}
+ */
+const initStore = async (params, logger) => {
+  try {
+    return await initStateStore(params.STATE_REGION);
+  } catch (error) {
+    logger.warn(
+      `State store unavailable, event deduplication and dead-lettering disabled: ${error.message}`
+    );
+    return null;
+  }
 };
 
 /**
- * Builds feed configuration from action params and market config.
+ * Routes the event items to the markets of the tenant and processes them.
+ * Items that fail in one market do not prevent the other items and markets
+ * from being processed; their outcomes are reported per market and failed
+ * items are dead-lettered for a later replay. Items older than the last event
+ * applied to their SKU in a market are skipped and reported as stale. In
+ * buffered mode the items are only added to the event buffer of their market
+ * for the flush action. Markets in dry run only report what would have been
+ * sent and leave the state store untouched.
  *
  * @param {object} params - Action input params
- * @param {MarketConfig} market - Market configuration
- * @returns {FeedConfig}
+ * @param {string} type - The event type
+ * @param {string} tenantId - The tenant ID
+ * @param {MarketConfig[]} marketConfig - The markets of the tenant
+ * @param {object[]} items - The event items
+ * @param {import('../../clients/state').StateStore|null} stateStore - The state store, if available
+ * @param {object} logger - Logger instance
+ * @returns {Promise<{message: string, markets?: Object<string, import('../../types/outcomes').MarketOutcomeSummary|import('../../types/buffer').BufferedMarketSummary>}>}
+ *   Summary message and per-market outcomes
  */
-const buildFeedConfig = (params, market) => {
+const processCatalogEvent = async (
+  params,
+  type,
+  tenantId,
+  marketConfig,
+  items,
+  stateStore,
+  logger
+) => {
+  // Group the event items by the configured markets
+  const itemsByMarket = routeItemsToMarkets(type, items, marketConfig, logger);
+
+  if (itemsByMarket.size === 0) {
+    logger.info(
+      "No event items matched configured markets, skipping processing"
+    );
+    return { message: "No event items matched configured markets" };
+  }
+
+  const eventTime = params.time;
+  const buffered = isBufferEnabled(params);
+  const markets = {};
+  for (const [marketId, { market, items: routedItems }] of itemsByMarket) {
+    const feedConfig = buildFeedConfig(params, market);
+
+    // Events can arrive out of order, never apply an event older than the last one of its type
+    let marketItems = routedItems;
+    let stale = [];
+    if (stateStore && eventTime) {
+      ({ fresh: marketItems, stale } = await filterStaleItems(
+        stateStore,
+        marketId,
+        type,
+        routedItems,
+        eventTime,
+        logger
+      ));
+    }
+
+    // In buffered mode the flush action processes the coalesced items later
+    if (stateStore && buffered && !feedConfig.dryRun) {
+      try {
+        const count = await bufferItems(
+          stateStore,
+          {
+            marketId,
+            tenantId,
+            eventId: params.id,
+            eventType: type,
+            eventTime,
+          },
+          marketItems,
+          DEFAULT_BUFFER_TTL_SECONDS
+        );
+        logger.info(`Buffered ${count} items for market: ${marketId}`);
+        markets[marketId] = { buffered: count, stale };
+        continue;
+      } catch (error) {
+        logger.warn(
+          `Could not buffer items for market ${marketId}, processing them now: ${error.message}`
+        );
+      }
+    }
+
+    logger.info(
+      `Processing ${marketItems.length} items for market: ${marketId}`
+    );
+
+    // Price events only update the price fields of the products
+    const processItems =
+      type === ACO_EVENT_TYPE_PRICE ? processPriceEvent : processProductEvent;
+    const outcomes = await processItems(
+      tenantId,
+      marketItems,
+      feedConfig,
+      logger
+    );
+    markets[marketId] = { ...summarizeOutcomes(outcomes), stale };
+
+    if (stateStore && !feedConfig.dryRun) {
+      const context = {
+        marketId,
+        tenantId,
+        eventId: params.id,
+        eventType: type,
+      };
+      const ttl =
+        Number(params.DEAD_LETTER_TTL_SECONDS) ||
+        DEFAULT_DEAD_LETTER_TTL_SECONDS;
+      await updateDeadLetters(
+        stateStore,
+        context,
+        marketItems,
+        outcomes,
+        ttl,
+        logger
+      );
+
+      if (eventTime) {
+        const eventTimeTtl =
+          Number(params.EVENT_TIME_TTL_SECONDS) ||
+          DEFAULT_EVENT_TIME_TTL_SECONDS;
+        await recordEventTimes(
+          stateStore,
+          marketId,
+          type,
+          outcomes.synced.map(({ sku }) => sku),
+          eventTime,
+          eventTimeTtl,
+          logger
+        );
+      }
+    }
+  }
+
+  const totalProcessed = [...itemsByMarket.values()].reduce(
+    (sum, { items }) => sum + items.length,
+    0
+  );
+  const totalFailed = Object.values(markets).reduce(
+    (sum, { failed = [] }) => sum + failed.length,
+    0
+  );
+  if (totalFailed > 0) {
+    logger.error(`${totalFailed} item(s) failed to sync`);
+  }
   return {
-    acoApiBaseUrl: params.ACO_API_BASE_URL,
-    acoViewId: market.aco.viewId,
-    acoPriceBookId: market.aco.priceBookId,
-    googleCredsJson: params.GOOGLE_CREDS_JSON,
-    googleMerchantId: market.google.merchantId,
-    googleDataSourceId: market.google.dataSourceId,
-    googleFeedLabel: market.google.feedLabel,
-    googleContentLanguage: market.google.contentLanguage,
-    googleTargetCountry: market.google.targetCountry,
-    storeUrlTemplate: market.store.urlTemplate,
+    message: `Processed ${totalProcessed} item(s) across ${itemsByMarket.size} market(s) for tenant: ${tenantId}`,
+    markets,
   };
 };
 
@@ -77,11 +259,7 @@ const main = async (params) => {
     `Processing catalog event for tenant: ${params.data?.instanceId}`
   );
 
-  const requiredEnv = [
-    "ACO_API_BASE_URL",
-    "ACO_TENANT_ID",
-    "GOOGLE_CREDS_JSON",
-  ];
+  const requiredEnv = ["ACO_API_BASE_URL", "GOOGLE_CREDS_JSON"];
   const missingEnv = checkMissingRequestInputs(params, requiredEnv, []);
   if (missingEnv) {
     logger.error(`Missing environment variables: ${missingEnv}`);
@@ -98,69 +276,62 @@ const main = async (params) => {
   try {
     const { type, data } = params;
     const { instanceId: tenantId, items } = data;
-    const expectedTenantId = params.ACO_TENANT_ID;
 
-    // Sanity check if the event tenant ID matches the expected tenant ID
-    if (tenantId !== expectedTenantId) {
+    // Only process events of tenants that have markets configured
+    const marketConfig = loadMarketConfig();
+    const tenantMarkets = findTenantMarkets(params, marketConfig, tenantId);
+    if (tenantMarkets.length === 0) {
       logger.error(
-        `Event tenant ID ${tenantId} does not match expected tenant ID ${expectedTenantId}`
+        `Event tenant ID ${tenantId} does not match any configured tenant`
       );
       return errorResponse(
         HTTP_BAD_REQUEST,
-        `Event tenant ID ${tenantId} does not match expected tenant ID ${expectedTenantId}`
+        `Event tenant ID ${tenantId} does not match any configured tenant`
       );
     }
+    logger.debug(
+      `Loaded configuration for ${tenantMarkets.length} markets of tenant ${tenantId}`
+    );
 
-    const marketConfig = loadMarketConfig();
-    logger.debug(`Loaded configuration for ${marketConfig.length} markets`);
-    const localeIndex = buildLocaleIndex(marketConfig);
-    // Group the event items by the configured markets
-    const itemsByMarket = groupItemsByMarket(items, localeIndex, logger);
-
-    if (itemsByMarket.size === 0) {
-      logger.info(
-        "No event items matched configured markets, skipping processing"
-      );
-      return successResponse(type, "No event items matched configured markets");
+    if (type !== ACO_EVENT_TYPE_PRODUCT && type !== ACO_EVENT_TYPE_PRICE) {
+      logger.error(`Invalid event type: ${type}`);
+      return errorResponse(HTTP_BAD_REQUEST, `Invalid event type: ${type}`);
     }
 
-    for (const [marketId, { market, items: marketItems }] of itemsByMarket) {
-      logger.info(
-        `Processing ${marketItems.length} items for market: ${marketId}`
-      );
-      const feedConfig = buildFeedConfig(params, market);
-
-      if (type === ACO_EVENT_TYPE_PRODUCT) {
-        await processProductEvent(tenantId, marketItems, feedConfig, logger);
-      } else if (type === ACO_EVENT_TYPE_PRICE) {
-        // Filter price event items to only include those matching the market's price book
-        const validItems = filterPriceItemsForMarket(
-          marketItems,
-          market.aco.priceBookId
-        );
-        if (validItems.length > 0) {
-          logger.info(
-            `Processing ${validItems.length} of ${marketItems.length} price events for market ${marketId}`
-          );
-          // Price events are processed the same way as product events
-          await processProductEvent(tenantId, validItems, feedConfig, logger);
-        } else {
-          logger.info(`No price events for market ${marketId} price book`);
-        }
-      } else {
-        logger.error(`Invalid event type: ${type}`);
-        return errorResponse(HTTP_BAD_REQUEST, `Invalid event type: ${type}`);
-      }
+    // I/O Events redelivers on timeouts, so skip events that were already processed
+    const eventId = params.id;
+    const stateStore = await initStore(params, logger);
+    if (
+      stateStore &&
+      eventId &&
+      (await isEventProcessed(stateStore, eventId, logger))
+    ) {
+      logger.info(`Event ${eventId} was already processed, skipping replay`);
+      return successResponse(type, {
+        message: `Event ${eventId} was already processed, skipping replay`,
+        replay: true,
+      });
     }
 
-    const totalProcessed = [...itemsByMarket.values()].reduce(
-      (sum, { items }) => sum + items.length,
-      0
-    );
-    return successResponse(
+    const response = await processCatalogEvent(
+      params,
       type,
-      `Processed ${totalProcessed} item(s) across ${itemsByMarket.size} market(s) for tenant: ${tenantId}`
+      tenantId,
+      tenantMarkets,
+      items,
+      stateStore,
+      logger
     );
+
+    // A dry run must not prevent the real delivery of the same event
+    if (stateStore && eventId && !isDryRun(params)) {
+      const ttl =
+        Number(params.EVENT_DEDUP_TTL_SECONDS) ||
+        DEFAULT_EVENT_DEDUP_TTL_SECONDS;
+      await markEventProcessed(stateStore, eventId, ttl, logger);
+    }
+
+    return successResponse(type, response);
   } catch (error) {
     logger.error(`Could not process catalog event. Error: ${error.message}`);
     return errorResponse(HTTP_INTERNAL_ERROR, error.message);
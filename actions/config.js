@@ -100,8 +100,30 @@ const buildLocaleIndex = (markets) => {
   return index;
 };
 
+/**
+ * Builds a priceBookId-to-markets lookup map for routing price events.
+ * A single price book can be shared by multiple markets.
+ *
+ * @param {MarketConfig[]} markets - Array of market configurations
+ * @returns {Map<string, MarketConfig[]>} Map of price book ID to array of market configs
+ */
+const buildPriceBookIndex = (markets) => {
+  const index = new Map();
+
+  for (const market of markets) {
+    const { priceBookId } = market.aco;
+    if (!index.has(priceBookId)) {
+      index.set(priceBookId, []);
+    }
+    index.get(priceBookId).push(market);
+  }
+
+  return index;
+};
+
 module.exports = {
   loadMarketConfig,
   loadAttributeMappingConfig,
   buildLocaleIndex,
+  buildPriceBookIndex,
 };
@@ -21,6 +21,41 @@ const ACO_EVENT_TYPE_PRODUCT =
   "com.adobe.commerce.storefront.events.product.ccdm";
 const ACO_EVENT_TYPE_PRICE = "com.adobe.commerce.storefront.events.price.ccdm";
 
+// Default time to remember processed event IDs. I/O Events retries failed
+// deliveries for up to 24 hours, so keep them a little longer than that.
+const DEFAULT_EVENT_DEDUP_TTL_SECONDS = 60 * 60 * 48;
+
+// Default time to keep items that failed to sync in the dead-letter store
+const DEFAULT_DEAD_LETTER_TTL_SECONDS = 60 * 60 * 24 * 30;
+
+// Default time to remember the last applied event time per SKU. Older events
+// are only redelivered within the I/O Events retry window of 24 hours.
+const DEFAULT_EVENT_TIME_TTL_SECONDS = 60 * 60 * 24 * 7;
+
+// Event buffer defaults. Buffered items are flushed once they waited for the
+// flush interval; they are kept long enough to survive a flush outage.
+const DEFAULT_BUFFER_FLUSH_INTERVAL_SECONDS = 60;
+const DEFAULT_BUFFER_MAX_BATCH_SIZE = 100;
+const DEFAULT_BUFFER_TTL_SECONDS = 60 * 60 * 24 * 7;
+
+// Full catalog resync defaults. The time budget leaves room for the page in
+// flight before the action timeout configured in app.config.yaml (5 minutes).
+const DEFAULT_RESYNC_PAGE_SIZE = 100;
+const DEFAULT_RESYNC_TIME_BUDGET_SECONDS = 60 * 4;
+const DEFAULT_RESYNC_INTERVAL_HOURS = 24;
+
+// Orphan reconciliation time budget, below the action timeout configured in
+// app.config.yaml (5 minutes) like the resync one.
+const DEFAULT_RECONCILE_TIME_BUDGET_SECONDS = 60 * 4;
+
+// Google Merchant API request defaults. Requests of a batch are sent a few at a
+// time to stay within the per-minute quotas; throttled requests are retried.
+const DEFAULT_GOOGLE_MAX_CONCURRENCY = 10;
+const DEFAULT_GOOGLE_MAX_RETRIES = 3;
+
+// Number of offers with issues reported per market by the product-status action
+const DEFAULT_STATUS_OFFER_LIMIT = 100;
+
 // Export the constants so they can be reused in other modules/files
 module.exports = {
   HTTP_OK,
@@ -29,4 +64,17 @@ module.exports = {
   HTTP_INTERNAL_ERROR,
   ACO_EVENT_TYPE_PRODUCT,
   ACO_EVENT_TYPE_PRICE,
+  DEFAULT_EVENT_DEDUP_TTL_SECONDS,
+  DEFAULT_DEAD_LETTER_TTL_SECONDS,
+  DEFAULT_EVENT_TIME_TTL_SECONDS,
+  DEFAULT_BUFFER_FLUSH_INTERVAL_SECONDS,
+  DEFAULT_BUFFER_MAX_BATCH_SIZE,
+  DEFAULT_BUFFER_TTL_SECONDS,
+  DEFAULT_RESYNC_PAGE_SIZE,
+  DEFAULT_RESYNC_TIME_BUDGET_SECONDS,
+  DEFAULT_RESYNC_INTERVAL_HOURS,
+  DEFAULT_RECONCILE_TIME_BUDGET_SECONDS,
+  DEFAULT_GOOGLE_MAX_CONCURRENCY,
+  DEFAULT_GOOGLE_MAX_RETRIES,
+  DEFAULT_STATUS_OFFER_LIMIT,
 };
@@ -0,0 +1,210 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * @typedef {import('../../types/config').MarketConfig} MarketConfig
+ * @typedef {import('../../types/deadLetter').DeadLetterEntry} DeadLetterEntry
+ * @typedef {import('../../clients/state').StateStore} StateStore
+ */
+
+const { Core } = require("@adobe/aio-sdk");
+const {
+  ACO_EVENT_TYPE_PRICE,
+  DEFAULT_DEAD_LETTER_TTL_SECONDS,
+  HTTP_BAD_REQUEST,
+  HTTP_INTERNAL_ERROR,
+  HTTP_NOT_FOUND,
+} = require("../constants.js");
+const { errorResponse, successResponse } = require("../responses.js");
+const { checkMissingRequestInputs, stringParameters } = require("../utils.js");
+const { loadMarketConfig } = require("../config.js");
+const { buildFeedConfig, findMarket } = require("../markets.js");
+const {
+  listDeadLetters,
+  removeDeadLetters,
+  updateDeadLetters,
+} = require("../deadLetter.js");
+const { initStateStore } = require("../../clients/state.js");
+const { processProductEvent } = require("../../processors/aco/products.js");
+const { processPriceEvent } = require("../../processors/aco/prices.js");
+const {
+  createOutcomes,
+  mergeOutcomes,
+  summarizeOutcomes,
+} = require("../../processors/outcomes.js");
+
+const OPERATION_LIST = "list";
+const OPERATION_REPLAY = "replay";
+const OPERATION_PURGE = "purge";
+const OPERATIONS = [OPERATION_LIST, OPERATION_REPLAY, OPERATION_PURGE];
+
+/**
+ * Parses the optional `skus` param, given either as an array or a comma-separated string.
+ *
+ * @param {string[]|string|undefined} skus - The skus param
+ * @returns {string[]|undefined} The SKUs, or undefined to select all entries
+ */
+const parseSkus = (skus) => {
+  if (skus === undefined || skus === "") return undefined;
+  const list = Array.isArray(skus) ? skus : String(skus).split(",");
+  return list.map((sku) => String(sku).trim()).filter(Boolean);
+};
+
+/**
+ * Replays dead-letter entries of a market through the product processor.
+ * Entries are replayed per tenant and event type; resolved entries are removed
+ * and entries failing again are kept with an incremented attempt count. A dry
+ * run reports what would be sent and leaves the entries untouched.
+ *
+ * @param {object} params - Action input params
+ * @param {StateStore} store - The state store
+ * @param {MarketConfig} market - The market configuration
+ * @param {DeadLetterEntry[]} entries - The entries to replay
+ * @param {object} logger - Logger instance
+ * @returns {Promise<import('../../types/outcomes').MarketOutcomeSummary>} The replay outcomes
+ */
+const replayDeadLetters = async (params, store, market, entries, logger) => {
+  const feedConfig = buildFeedConfig(params, market);
+  const ttl =
+    Number(params.DEAD_LETTER_TTL_SECONDS) || DEFAULT_DEAD_LETTER_TTL_SECONDS;
+  const replayOutcomes = createOutcomes(feedConfig.dryRun);
+
+  const groups = new Map();
+  for (const entry of entries) {
+    const groupKey = JSON.stringify([entry.tenantId, entry.eventType]);
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, []);
+    }
+    groups.get(groupKey).push(entry);
+  }
+
+  for (const groupEntries of groups.values()) {
+    const { tenantId, eventType } = groupEntries[0];
+    const items = groupEntries.map(({ sku, operation, links }) => ({
+      sku,
+      operation,
+      links,
+    }));
+    logger.info(
+      `Replaying ${items.length} item(s) for market ${market.id} and tenant ${tenantId}`
+    );
+
+    const processItems =
+      eventType === ACO_EVENT_TYPE_PRICE
+        ? processPriceEvent
+        : processProductEvent;
+    const outcomes = await processItems(tenantId, items, feedConfig, logger);
+    if (!feedConfig.dryRun) {
+      await updateDeadLetters(
+        store,
+        { marketId: market.id, tenantId, eventType },
+        items,
+        outcomes,
+        ttl,
+        logger
+      );
+    }
+
+    mergeOutcomes(replayOutcomes, outcomes);
+  }
+
+  return summarizeOutcomes(replayOutcomes);
+};
+
+/**
+ * Main function that lists, replays or purges the dead-letter entries of a market.
+ *
+ * @param {object} params - Input parameters: operation (list, replay or purge), marketId and optional skus.
+ * @returns {object} - Success or error response based on processing.
+ */
+const main = async (params) => {
+  const logger = Core.Logger("dead-letter", {
+    level: params.LOG_LEVEL || "info",
+  });
+
+  const requiredParams = ["operation", "marketId"];
+  const missingParams = checkMissingRequestInputs(params, requiredParams, []);
+  if (missingParams) {
+    logger.error(`Invalid parameters: ${stringParameters(params)}`);
+    return errorResponse(HTTP_BAD_REQUEST, missingParams);
+  }
+
+  const { operation, marketId } = params;
+  if (!OPERATIONS.includes(operation)) {
+    logger.error(`Invalid operation: ${operation}`);
+    return errorResponse(
+      HTTP_BAD_REQUEST,
+      `Invalid operation: ${operation}. Expected one of: ${OPERATIONS.join(", ")}`
+    );
+  }
+
+  if (operation === OPERATION_REPLAY) {
+    const requiredEnv = ["ACO_API_BASE_URL", "GOOGLE_CREDS_JSON"];
+    const missingEnv = checkMissingRequestInputs(params, requiredEnv, []);
+    if (missingEnv) {
+      logger.error(`Missing environment variables: ${missingEnv}`);
+      return errorResponse(HTTP_INTERNAL_ERROR, missingEnv);
+    }
+  }
+
+  try {
+    const market = findMarket(loadMarketConfig(), marketId);
+    if (!market) {
+      logger.error(`Market ${marketId} is not configured`);
+      return errorResponse(
+        HTTP_NOT_FOUND,
+        `Market ${marketId} is not configured`
+      );
+    }
+
+    const store = await initStateStore(params.STATE_REGION);
+    const skus = parseSkus(params.skus);
+    const entries = await listDeadLetters(store, marketId, skus);
+    logger.info(
+      `Found ${entries.length} dead-letter item(s) for market ${marketId}`
+    );
+
+    if (operation === OPERATION_LIST) {
+      return successResponse(operation, { marketId, entries });
+    }
+
+    if (operation === OPERATION_PURGE) {
+      const purged = await removeDeadLetters(
+        store,
+        marketId,
+        entries.map(({ sku }) => sku)
+      );
+      logger.info(`Purged ${purged.length} dead-letter item(s)`);
+      return successResponse(operation, { marketId, purged });
+    }
+
+    const outcomes = await replayDeadLetters(
+      params,
+      store,
+      market,
+      entries,
+      logger
+    );
+    return successResponse(operation, {
+      marketId,
+      replayed: entries.length,
+      ...outcomes,
+    });
+  } catch (error) {
+    logger.error(
+      `Could not ${operation} dead-letter items. Error: ${error.message}`
+    );
+    return errorResponse(HTTP_INTERNAL_ERROR, error.message);
+  }
+};
+
+exports.main = main;
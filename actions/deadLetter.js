@@ -0,0 +1,230 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * Dead-letter store for items that failed to sync to Google Merchant Center.
+ * Entries are kept per market and SKU, so a later failure of the same SKU
+ * replaces the previous entry and increments its attempt count. Price events
+ * only send the price fields, so they never replace or clear the entry of a
+ * failed product event, whose replay also sends the price.
+ *
+ * @typedef {import('../clients/state').StateStore} StateStore
+ * @typedef {import('../types/outcomes').FailedItem} FailedItem
+ * @typedef {import('../types/outcomes').ItemOutcomes} ItemOutcomes
+ * @typedef {import('../types/deadLetter').DeadLetterEntry} DeadLetterEntry
+ * @typedef {import('../types/deadLetter').DeadLetterContext} DeadLetterContext
+ */
+
+const { toStateKey } = require("../clients/state.js");
+const { ACO_EVENT_TYPE_PRICE } = require("./constants.js");
+
+const DEAD_LETTER_KEY_PREFIX = "dlq";
+
+/**
+ * Lists the state keys of the dead-letter entries of a market.
+ *
+ * @param {StateStore} store - The state store
+ * @param {string} marketId - The market id
+ * @returns {Promise<string[]>} The state keys
+ * @private
+ */
+const listDeadLetterKeys = async (store, marketId) => {
+  const keys = [];
+  const match = `${toStateKey(DEAD_LETTER_KEY_PREFIX, marketId)}.*`;
+  for await (const { keys: page } of store.list({ match })) {
+    keys.push(...page);
+  }
+  return keys;
+};
+
+/**
+ * Reads a dead-letter entry.
+ *
+ * @param {StateStore} store - The state store
+ * @param {string} key - The state key
+ * @returns {Promise<DeadLetterEntry|null>} The entry, or null if it does not exist
+ * @private
+ */
+const getDeadLetter = async (store, key) => {
+  const result = await store.get(key);
+  return result ? JSON.parse(result.value) : null;
+};
+
+/**
+ * Records a failed item in the dead-letter store, incrementing the attempt count
+ * if the SKU already has an entry for the market. Replays do not carry an event,
+ * so the original event ID and type of an existing entry are kept. A failed
+ * price item keeps the operation and event of a failed product item of the SKU.
+ *
+ * @param {StateStore} store - The state store
+ * @param {DeadLetterContext} context - The market, tenant and event the item belongs to
+ * @param {{sku: string, operation: string, links?: object[]}} item - The original event item
+ * @param {FailedItem} failure - The failure outcome
+ * @param {number} ttl - Time in seconds to keep the entry
+ * @returns {Promise<DeadLetterEntry>} The stored entry
+ */
+const recordDeadLetter = async (store, context, item, failure, ttl) => {
+  const key = toStateKey(DEAD_LETTER_KEY_PREFIX, context.marketId, item.sku);
+  const previous = await getDeadLetter(store, key);
+  const now = new Date().toISOString();
+  const keepProductEvent =
+    context.eventType === ACO_EVENT_TYPE_PRICE &&
+    previous &&
+    previous.eventType !== ACO_EVENT_TYPE_PRICE;
+
+  /** @type {DeadLetterEntry} */
+  const entry = {
+    sku: item.sku,
+    marketId: context.marketId,
+    tenantId: context.tenantId,
+    operation: keepProductEvent ? previous.operation : item.operation,
+    links: keepProductEvent ? previous.links : item.links || [],
+    eventId: keepProductEvent
+      ? previous.eventId
+      : context.eventId || previous?.eventId,
+    eventType: keepProductEvent
+      ? previous.eventType
+      : context.eventType || previous?.eventType,
+    stage: failure.stage,
+    error: failure.error,
+    attempts: (previous?.attempts || 0) + 1,
+    firstFailedAt: previous?.firstFailedAt || now,
+    lastFailedAt: now,
+  };
+
+  await store.put(key, JSON.stringify(entry), { ttl });
+  return entry;
+};
+
+/**
+ * Lists the dead-letter entries of a market.
+ *
+ * @param {StateStore} store - The state store
+ * @param {string} marketId - The market id
+ * @param {string[]} [skus] - Only return entries for these SKUs
+ * @returns {Promise<DeadLetterEntry[]>} The entries
+ */
+const listDeadLetters = async (store, marketId, skus) => {
+  const keys = await listDeadLetterKeys(store, marketId);
+  const entries = [];
+  for (const key of keys) {
+    const entry = await getDeadLetter(store, key);
+    if (entry && (!skus || skus.includes(entry.sku))) {
+      entries.push(entry);
+    }
+  }
+  return entries;
+};
+
+/**
+ * Removes the dead-letter entries of the given SKUs for a market.
+ * Only keys that exist are deleted, so this is cheap to call after every sync.
+ *
+ * @param {StateStore} store - The state store
+ * @param {string} marketId - The market id
+ * @param {string[]} skus - The SKUs to remove
+ * @param {string} [eventType] - Only remove the entries of this event type
+ * @returns {Promise<string[]>} The SKUs whose entries were removed
+ */
+const removeDeadLetters = async (store, marketId, skus, eventType) => {
+  if (skus.length === 0) return [];
+
+  const existingKeys = new Set(await listDeadLetterKeys(store, marketId));
+  const removed = [];
+  for (const sku of new Set(skus)) {
+    const key = toStateKey(DEAD_LETTER_KEY_PREFIX, marketId, sku);
+    if (!existingKeys.has(key)) continue;
+    if (
+      eventType &&
+      (await getDeadLetter(store, key))?.eventType !== eventType
+    ) {
+      continue;
+    }
+    await store.delete(key);
+    removed.push(sku);
+  }
+  return removed;
+};
+
+/**
+ * Updates the dead-letter store with the outcomes of a market: failed items are
+ * recorded, and entries of items that have since been synced or skipped are
+ * removed so a replay never re-applies an outdated operation. Items of price
+ * events only remove the entries of price events.
+ * Errors writing to the store are logged so they never fail the event itself.
+ *
+ * @param {StateStore} store - The state store
+ * @param {DeadLetterContext} context - The market, tenant and event the items belong to
+ * @param {object[]} items - The original event items
+ * @param {ItemOutcomes} outcomes - The outcomes of the items
+ * @param {number} ttl - Time in seconds to keep the entries
+ * @param {object} logger - The logger to use
+ * @returns {Promise<void>}
+ */
+const updateDeadLetters = async (
+  store,
+  context,
+  items,
+  outcomes,
+  ttl,
+  logger
+) => {
+  const itemsBySku = new Map(items.map((item) => [item.sku, item]));
+  const failedSkus = new Set(outcomes.failed.map(({ sku }) => sku));
+
+  for (const failure of outcomes.failed) {
+    const item = itemsBySku.get(failure.sku) || failure;
+    try {
+      await recordDeadLetter(store, context, item, failure, ttl);
+    } catch (error) {
+      logger.error(
+        `Could not dead-letter ${failure.sku} for market ${context.marketId}: ${error.message}`
+      );
+    }
+  }
+  if (outcomes.failed.length > 0) {
+    logger.info(
+      `Dead-lettered ${outcomes.failed.length} item(s) for market ${context.marketId}`
+    );
+  }
+
+  // A synced price item leaves the entry of a failed product item to its replay
+  const resolvedSkus = [...outcomes.synced, ...outcomes.skipped]
+    .map(({ sku }) => sku)
+    .filter((sku) => !failedSkus.has(sku));
+  try {
+    const removed = await removeDeadLetters(
+      store,
+      context.marketId,
+      resolvedSkus,
+      context.eventType === ACO_EVENT_TYPE_PRICE
+        ? ACO_EVENT_TYPE_PRICE
+        : undefined
+    );
+    if (removed.length > 0) {
+      logger.info(
+        `Removed ${removed.length} resolved dead-letter item(s) for market ${context.marketId}`
+      );
+    }
+  } catch (error) {
+    logger.error(
+      `Could not remove resolved dead-letter items for market ${context.marketId}: ${error.message}`
+    );
+  }
+};
+
+module.exports = {
+  recordDeadLetter,
+  updateDeadLetters,
+  listDeadLetters,
+  removeDeadLetters,
+};
@@ -0,0 +1,183 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * Event buffer coalescing catalog event items per market and SKU until the
+ * `flush` action processes them. Buffering the same SKU again replaces its
+ * operation, so bursts of events for a SKU result in a single sync. A product
+ * event is never replaced by a price event, as syncing the product also sends
+ * its price.
+ *
+ * @typedef {import('../clients/state').StateStore} StateStore
+ * @typedef {import('../types/buffer').BufferedItem} BufferedItem
+ * @typedef {import('../types/buffer').BufferContext} BufferContext
+ */
+
+const { toStateKey } = require("../clients/state.js");
+const { ACO_EVENT_TYPE_PRICE } = require("./constants.js");
+
+const BUFFER_KEY_PREFIX = "buffer";
+
+/**
+ * Checks whether buffered mode is enabled.
+ *
+ * @param {object} params - Action input params
+ * @returns {boolean} True if catalog events are buffered for the flush action
+ */
+const isBufferEnabled = (params) => {
+  return params.BUFFER_EVENTS === true || params.BUFFER_EVENTS === "true";
+};
+
+/**
+ * Lists the state keys of the buffered items of a market.
+ *
+ * @param {StateStore} store - The state store
+ * @param {string} marketId - The market id
+ * @returns {Promise<string[]>} The state keys
+ * @private
+ */
+const listBufferKeys = async (store, marketId) => {
+  const keys = [];
+  const match = `${toStateKey(BUFFER_KEY_PREFIX, marketId)}.*`;
+  for await (const { keys: page } of store.list({ match })) {
+    keys.push(...page);
+  }
+  return keys;
+};
+
+/**
+ * Reads a buffered item.
+ *
+ * @param {StateStore} store - The state store
+ * @param {string} key - The state key
+ * @returns {Promise<BufferedItem|null>} The item, or null if it does not exist
+ * @private
+ */
+const getBufferedItem = async (store, key) => {
+  const result = await store.get(key);
+  return result ? JSON.parse(result.value) : null;
+};
+
+/**
+ * Buffers event items of a market. An item replaces the buffered item of the
+ * same SKU unless that one comes from a newer event of the same type, and keeps
+ * the time the SKU was first buffered so a busy SKU is still flushed after the
+ * flush interval. A price item buffered over a product item keeps the product
+ * item, and only marks it as buffered again so a flush in progress keeps it.
+ *
+ * @param {StateStore} store - The state store
+ * @param {BufferContext} context - The market, tenant and event the items belong to
+ * @param {object[]} items - The event items
+ * @param {number} ttl - Time in seconds to keep the buffered items
+ * @returns {Promise<number>} The number of buffered items
+ */
+const bufferItems = async (store, context, items, ttl) => {
+  const now = new Date().toISOString();
+  let buffered = 0;
+
+  for (const item of items) {
+    const key = toStateKey(BUFFER_KEY_PREFIX, context.marketId, item.sku);
+    const previous = await getBufferedItem(store, key);
+    if (
+      previous &&
+      previous.eventType !== ACO_EVENT_TYPE_PRICE &&
+      context.eventType === ACO_EVENT_TYPE_PRICE
+    ) {
+      await store.put(
+        key,
+        JSON.stringify({ ...previous, lastBufferedAt: now }),
+        { ttl }
+      );
+      buffered++;
+      continue;
+    }
+    if (
+      previous?.eventTime &&
+      context.eventTime &&
+      previous.eventType === context.eventType &&
+      Date.parse(context.eventTime) < Date.parse(previous.eventTime)
+    ) {
+      continue;
+    }
+
+    /** @type {BufferedItem} */
+    const entry = {
+      sku: item.sku,
+      marketId: context.marketId,
+      tenantId: context.tenantId,
+      operation: item.operation,
+      links: item.links || [],
+      eventId: context.eventId,
+      eventType: context.eventType,
+      eventTime: context.eventTime,
+      firstBufferedAt: previous?.firstBufferedAt || now,
+      lastBufferedAt: now,
+    };
+    await store.put(key, JSON.stringify(entry), { ttl });
+    buffered++;
+  }
+  return buffered;
+};
+
+/**
+ * Lists the buffered items of a market, oldest first.
+ *
+ * @param {StateStore} store - The state store
+ * @param {string} marketId - The market id
+ * @returns {Promise<BufferedItem[]>} The buffered items
+ */
+const listBufferedItems = async (store, marketId) => {
+  const keys = await listBufferKeys(store, marketId);
+  const entries = [];
+  for (const key of keys) {
+    const entry = await getBufferedItem(store, key);
+    if (entry) {
+      entries.push(entry);
+    }
+  }
+  return entries.sort((a, b) =>
+    a.firstBufferedAt.localeCompare(b.firstBufferedAt)
+  );
+};
+
+/**
+ * Removes flushed items from the buffer. An item buffered again while it was
+ * being flushed is kept, so its newer operation is processed by the next flush.
+ *
+ * @param {StateStore} store - The state store
+ * @param {string} marketId - The market id
+ * @param {BufferedItem[]} entries - The flushed items
+ * @returns {Promise<string[]>} The SKUs whose items were removed
+ */
+const removeBufferedItems = async (store, marketId, entries) => {
+  const removed = [];
+  for (const entry of entries) {
+    const key = toStateKey(BUFFER_KEY_PREFIX, marketId, entry.sku);
+    const current = await getBufferedItem(store, key);
+    if (
+      current &&
+      current.eventId === entry.eventId &&
+      current.lastBufferedAt === entry.lastBufferedAt
+    ) {
+      await store.delete(key);
+      removed.push(entry.sku);
+    }
+  }
+  return removed;
+};
+
+module.exports = {
+  isBufferEnabled,
+  bufferItems,
+  listBufferedItems,
+  removeBufferedItems,
+};
@@ -0,0 +1,246 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * @typedef {import('../../types/config').MarketConfig} MarketConfig
+ * @typedef {import('../../types/buffer').BufferedItem} BufferedItem
+ * @typedef {import('../../types/buffer').FlushMarketResult} FlushMarketResult
+ * @typedef {import('../../clients/state').StateStore} StateStore
+ */
+
+const { Core } = require("@adobe/aio-sdk");
+const {
+  ACO_EVENT_TYPE_PRICE,
+  DEFAULT_BUFFER_FLUSH_INTERVAL_SECONDS,
+  DEFAULT_BUFFER_MAX_BATCH_SIZE,
+  DEFAULT_DEAD_LETTER_TTL_SECONDS,
+  DEFAULT_EVENT_TIME_TTL_SECONDS,
+  HTTP_INTERNAL_ERROR,
+  HTTP_NOT_FOUND,
+} = require("../constants.js");
+const { errorResponse, successResponse } = require("../responses.js");
+const { checkMissingRequestInputs } = require("../utils.js");
+const { loadMarketConfig } = require("../config.js");
+const { buildFeedConfig, findMarket } = require("../markets.js");
+const { updateDeadLetters } = require("../deadLetter.js");
+const { recordEventTimes } = require("../staleEvents.js");
+const {
+  isBufferEnabled,
+  listBufferedItems,
+  removeBufferedItems,
+} = require("../eventBuffer.js");
+const { initStateStore } = require("../../clients/state.js");
+const { processProductEvent } = require("../../processors/aco/products.js");
+const { processPriceEvent } = require("../../processors/aco/prices.js");
+const {
+  createOutcomes,
+  mergeOutcomes,
+  summarizeOutcomes,
+} = require("../../processors/outcomes.js");
+
+/**
+ * Records the event time of each synced item as the last applied time of its
+ * SKU for the event type of the items.
+ *
+ * @param {object} params - Action input params
+ * @param {StateStore} store - The state store
+ * @param {string} marketId - The market id
+ * @param {string} eventType - The event type of the flushed items
+ * @param {BufferedItem[]} entries - The flushed items
+ * @param {import('../../types/outcomes').SyncedItem[]} synced - The synced items
+ * @param {object} logger - Logger instance
+ * @returns {Promise<void>}
+ */
+const recordFlushedEventTimes = async (
+  params,
+  store,
+  marketId,
+  eventType,
+  entries,
+  synced,
+  logger
+) => {
+  const ttl =
+    Number(params.EVENT_TIME_TTL_SECONDS) || DEFAULT_EVENT_TIME_TTL_SECONDS;
+  const entriesBySku = new Map(entries.map((entry) => [entry.sku, entry]));
+  const skusByTime = new Map();
+  for (const { sku } of synced) {
+    const eventTime = entriesBySku.get(sku)?.eventTime;
+    if (!eventTime) continue;
+    if (!skusByTime.has(eventTime)) {
+      skusByTime.set(eventTime, []);
+    }
+    skusByTime.get(eventTime).push(sku);
+  }
+
+  for (const [eventTime, skus] of skusByTime) {
+    await recordEventTimes(
+      store,
+      marketId,
+      eventType,
+      skus,
+      eventTime,
+      ttl,
+      logger
+    );
+  }
+};
+
+/**
+ * Processes the buffered items of a market that waited for the flush interval,
+ * up to the max batch size. Items are processed per tenant and event type;
+ * failed items are dead-lettered and every processed item leaves the buffer.
+ * A dry run reports what would be sent and leaves the buffer untouched.
+ *
+ * @param {object} params - Action input params
+ * @param {StateStore} store - The state store
+ * @param {MarketConfig} market - The market configuration
+ * @param {object} logger - Logger instance
+ * @returns {Promise<FlushMarketResult>} The flush outcomes of the market
+ */
+const flushMarket = async (params, store, market, logger) => {
+  const feedConfig = buildFeedConfig(params, market);
+  const intervalSeconds =
+    Number(params.BUFFER_FLUSH_INTERVAL_SECONDS) ||
+    DEFAULT_BUFFER_FLUSH_INTERVAL_SECONDS;
+  const maxBatchSize =
+    Number(params.BUFFER_MAX_BATCH_SIZE) || DEFAULT_BUFFER_MAX_BATCH_SIZE;
+  const deadLetterTtl =
+    Number(params.DEAD_LETTER_TTL_SECONDS) || DEFAULT_DEAD_LETTER_TTL_SECONDS;
+  const force = params.force === true || params.force === "true";
+
+  const entries = await listBufferedItems(store, market.id);
+  const dueBefore = Date.now() - intervalSeconds * 1000;
+  const batch = entries
+    .filter(
+      ({ firstBufferedAt }) => force || Date.parse(firstBufferedAt) <= dueBefore
+    )
+    .slice(0, maxBatchSize);
+  logger.info(
+    `Flushing ${batch.length} of ${entries.length} buffered item(s) for market ${market.id}`
+  );
+
+  const groups = new Map();
+  for (const entry of batch) {
+    const groupKey = JSON.stringify([entry.tenantId, entry.eventType]);
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, []);
+    }
+    groups.get(groupKey).push(entry);
+  }
+
+  const flushOutcomes = createOutcomes(feedConfig.dryRun);
+  for (const groupEntries of groups.values()) {
+    const { tenantId, eventType } = groupEntries[0];
+    const items = groupEntries.map(({ sku, operation, links }) => ({
+      sku,
+      operation,
+      links,
+    }));
+
+    const processItems =
+      eventType === ACO_EVENT_TYPE_PRICE
+        ? processPriceEvent
+        : processProductEvent;
+    const outcomes = await processItems(tenantId, items, feedConfig, logger);
+    if (!feedConfig.dryRun) {
+      await updateDeadLetters(
+        store,
+        { marketId: market.id, tenantId, eventType },
+        items,
+        outcomes,
+        deadLetterTtl,
+        logger
+      );
+      await recordFlushedEventTimes(
+        params,
+        store,
+        market.id,
+        eventType,
+        groupEntries,
+        outcomes.synced,
+        logger
+      );
+    }
+    mergeOutcomes(flushOutcomes, outcomes);
+  }
+
+  let remaining = entries.length;
+  if (!feedConfig.dryRun) {
+    const removed = await removeBufferedItems(store, market.id, batch);
+    remaining -= removed.length;
+  }
+
+  return {
+    flushed: batch.length,
+    remaining,
+    ...summarizeOutcomes(flushOutcomes),
+  };
+};
+
+/**
+ * Main function that processes the event items buffered by the catalog action
+ * in buffered mode. It is invoked by the `flushTrigger` alarm, and does nothing
+ * unless buffered mode is enabled.
+ *
+ * @param {object} params - Input parameters: optional marketId and force.
+ * @returns {object} - Success or error response based on processing.
+ */
+const main = async (params) => {
+  const logger = Core.Logger("flush", {
+    level: params.LOG_LEVEL || "info",
+  });
+
+  if (!isBufferEnabled(params)) {
+    logger.debug("Event buffering is disabled, nothing to flush");
+    return successResponse("flush", {
+      message: "Event buffering is disabled, nothing to flush",
+      markets: {},
+    });
+  }
+
+  const requiredEnv = ["ACO_API_BASE_URL", "GOOGLE_CREDS_JSON"];
+  const missingEnv = checkMissingRequestInputs(params, requiredEnv, []);
+  if (missingEnv) {
+    logger.error(`Missing environment variables: ${missingEnv}`);
+    return errorResponse(HTTP_INTERNAL_ERROR, missingEnv);
+  }
+
+  try {
+    const markets = loadMarketConfig();
+    let selectedMarkets = markets;
+    if (params.marketId) {
+      const market = findMarket(markets, params.marketId);
+      if (!market) {
+        logger.error(`Market ${params.marketId} is not configured`);
+        return errorResponse(
+          HTTP_NOT_FOUND,
+          `Market ${params.marketId} is not configured`
+        );
+      }
+      selectedMarkets = [market];
+    }
+
+    const store = await initStateStore(params.STATE_REGION);
+
+    const results = {};
+    for (const market of selectedMarkets) {
+      results[market.id] = await flushMarket(params, store, market, logger);
+    }
+    return successResponse("flush", { markets: results });
+  } catch (error) {
+    logger.error(`Could not flush buffered items. Error: ${error.message}`);
+    return errorResponse(HTTP_INTERNAL_ERROR, error.message);
+  }
+};
+
+exports.main = main;
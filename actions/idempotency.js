@@ -0,0 +1,71 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * Tracks processed CloudEvent IDs so redelivered events are not processed twice.
+ *
+ * @typedef {import('../clients/state').StateStore} StateStore
+ */
+
+const { toStateKey } = require("../clients/state.js");
+
+const EVENT_KEY_PREFIX = "event";
+
+/**
+ * Checks whether an event has already been processed.
+ * Deduplication is best effort: if the state store cannot be read, the event
+ * is treated as new so it still gets processed.
+ *
+ * @param {StateStore} store - The state store
+ * @param {string} eventId - The CloudEvent ID
+ * @param {object} logger - The logger to use
+ * @returns {Promise<boolean>} True if the event was already processed
+ */
+const isEventProcessed = async (store, eventId, logger) => {
+  try {
+    const entry = await store.get(toStateKey(EVENT_KEY_PREFIX, eventId));
+    return !!entry;
+  } catch (error) {
+    logger.warn(
+      `Could not check if event ${eventId} was processed: ${error.message}`
+    );
+    return false;
+  }
+};
+
+/**
+ * Records an event as processed so redeliveries within the TTL are skipped.
+ *
+ * @param {StateStore} store - The state store
+ * @param {string} eventId - The CloudEvent ID
+ * @param {number} ttl - Time in seconds to remember the event
+ * @param {object} logger - The logger to use
+ * @returns {Promise<void>}
+ */
+const markEventProcessed = async (store, eventId, ttl, logger) => {
+  try {
+    await store.put(
+      toStateKey(EVENT_KEY_PREFIX, eventId),
+      new Date().toISOString(),
+      { ttl }
+    );
+  } catch (error) {
+    logger.warn(
+      `Could not record event ${eventId} as processed: ${error.message}`
+    );
+  }
+};
+
+module.exports = {
+  isEventProcessed,
+  markEventProcessed,
+};
@@ -0,0 +1,168 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * Helpers shared by actions that operate on configured markets.
+ *
+ * @typedef {import('../types/config').MarketConfig} MarketConfig
+ * @typedef {import('../types/config').FeedConfig} FeedConfig
+ * @typedef {import('../types/config').GoogleRequestOptions} GoogleRequestOptions
+ * @typedef {import('../types/commerce').CommerceRequestOptions} CommerceRequestOptions
+ */
+
+const {
+  DEFAULT_GOOGLE_MAX_CONCURRENCY,
+  DEFAULT_GOOGLE_MAX_RETRIES,
+} = require("./constants.js");
+
+/**
+ * Checks whether products should only be built, without sending them to Google.
+ * Dry runs are enabled per invocation with the `dryRun` param or per market in markets.json.
+ *
+ * @param {object} params - Action input params
+ * @param {MarketConfig} [market] - Market configuration
+ * @returns {boolean} True for a dry run
+ */
+const isDryRun = (params, market) => {
+  return (
+    params.dryRun === true ||
+    params.dryRun === "true" ||
+    market?.dryRun === true
+  );
+};
+
+/**
+ * Builds the options of the Commerce Storefront API requests from the
+ * ACO_TIMEOUT_MS and ACO_MAX_RETRIES params. Options that are not set keep the
+ * defaults of the Commerce client; setting ACO_MAX_RETRIES to 0 disables retries.
+ *
+ * @param {object} params - Action input params
+ * @returns {CommerceRequestOptions} The request options
+ * @private
+ */
+const buildAcoRequestOptions = (params) => {
+  const timeoutMs = Number(params.ACO_TIMEOUT_MS);
+  const maxRetries = parseInt(params.ACO_MAX_RETRIES, 10);
+  return {
+    ...(timeoutMs > 0 && { timeoutMs }),
+    ...(maxRetries >= 0 && { maxRetries }),
+  };
+};
+
+/**
+ * Builds the options of the Google Merchant API requests from the
+ * GOOGLE_MAX_CONCURRENCY and GOOGLE_MAX_RETRIES params. Setting
+ * GOOGLE_MAX_RETRIES to 0 disables retries.
+ *
+ * @param {object} params - Action input params
+ * @returns {GoogleRequestOptions} The request options
+ * @private
+ */
+const buildGoogleRequestOptions = (params) => {
+  const maxRetries = parseInt(params.GOOGLE_MAX_RETRIES, 10);
+  return {
+    concurrency:
+      Number(params.GOOGLE_MAX_CONCURRENCY) || DEFAULT_GOOGLE_MAX_CONCURRENCY,
+    maxRetries: maxRetries >= 0 ? maxRetries : DEFAULT_GOOGLE_MAX_RETRIES,
+  };
+};
+
+/**
+ * Builds feed configuration from action params and market config.
+ *
+ * @param {object} params - Action input params
+ * @param {MarketConfig} market - Market configuration
+ * @returns {FeedConfig}
+ */
+const buildFeedConfig = (params, market) => {
+  return {
+    acoApiBaseUrl: params.ACO_API_BASE_URL,
+    acoViewId: market.aco.viewId,
+    acoPriceBookId: market.aco.priceBookId,
+    acoRequestOptions: buildAcoRequestOptions(params),
+    googleCredsJson: params.GOOGLE_CREDS_JSON,
+    googleMerchantId: market.google.merchantId,
+    googleDataSourceId: market.google.dataSourceId,
+    googleSupplementalDataSources: market.google.supplementalDataSources || [],
+    googleLocalInventory: market.google.localInventory || null,
+    googleRegions: market.google.regions || [],
+    googlePromotions: market.google.promotions || null,
+    googleFeedLabel: market.google.feedLabel,
+    googleContentLanguage: market.google.contentLanguage,
+    googleTargetCountry: market.google.targetCountry,
+    googleRequestOptions: buildGoogleRequestOptions(params),
+    storeUrlTemplate: market.store.urlTemplate,
+    storeVariantUrlTemplate: market.store.variantUrlTemplate,
+    dryRun: isDryRun(params, market),
+  };
+};
+
+/**
+ * Finds a market by its id.
+ *
+ * @param {MarketConfig[]} markets - Array of market configurations
+ * @param {string} marketId - The market id
+ * @returns {MarketConfig|undefined} The market, or undefined if not configured
+ */
+const findMarket = (markets, marketId) => {
+  return markets.find((market) => market.id === marketId);
+};
+
+/**
+ * Gets the Commerce Optimizer tenant of a market. Markets without `aco.tenantId`
+ * belong to the tenant configured with ACO_TENANT_ID.
+ *
+ * @param {object} params - Action input params
+ * @param {MarketConfig} market - Market configuration
+ * @returns {string|undefined} The tenant ID, or undefined if none is configured
+ */
+const getMarketTenantId = (params, market) => {
+  return market.aco.tenantId || params.ACO_TENANT_ID;
+};
+
+/**
+ * Finds the markets configured for a tenant.
+ *
+ * @param {object} params - Action input params
+ * @param {MarketConfig[]} markets - Array of market configurations
+ * @param {string} tenantId - The tenant ID
+ * @returns {MarketConfig[]} The markets of the tenant
+ */
+const findTenantMarkets = (params, markets, tenantId) => {
+  return markets.filter(
+    (market) => getMarketTenantId(params, market) === tenantId
+  );
+};
+
+/**
+ * Checks that every market has a tenant, either from `aco.tenantId` or ACO_TENANT_ID.
+ *
+ * @param {object} params - Action input params
+ * @param {MarketConfig[]} markets - Array of market configurations
+ * @returns {string|null} An error message, or null if every market has a tenant
+ */
+const checkMarketTenants = (params, markets) => {
+  const marketIds = markets
+    .filter((market) => !getMarketTenantId(params, market))
+    .map((market) => market.id);
+  if (marketIds.length === 0) return null;
+  return `missing tenant for market(s) ${marketIds.join(", ")}: set aco.tenantId in markets.json or ACO_TENANT_ID`;
+};
+
+module.exports = {
+  buildFeedConfig,
+  checkMarketTenants,
+  findMarket,
+  findTenantMarkets,
+  getMarketTenantId,
+  isDryRun,
+};
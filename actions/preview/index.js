@@ -0,0 +1,100 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+const { Core } = require("@adobe/aio-sdk");
+const {
+  HTTP_BAD_REQUEST,
+  HTTP_INTERNAL_ERROR,
+  HTTP_NOT_FOUND,
+} = require("../constants.js");
+const { errorResponse, successResponse } = require("../responses.js");
+const { checkMissingRequestInputs, stringParameters } = require("../utils.js");
+const { loadMarketConfig } = require("../config.js");
+const {
+  buildFeedConfig,
+  checkMarketTenants,
+  findMarket,
+  getMarketTenantId,
+} = require("../markets.js");
+const { previewProduct } = require("../../processors/aco/preview.js");
+
+/**
+ * Main function of the preview web action. Returns the Google product input that
+ * would be sent for a SKU in a market, without calling Google.
+ *
+ * @param {object} params - Input parameters: sku, marketId and optional parentSku for variants.
+ * @returns {object} - Success or error response based on processing.
+ */
+const main = async (params) => {
+  const logger = Core.Logger("preview", {
+    level: params.LOG_LEVEL || "info",
+  });
+
+  const requiredEnv = ["ACO_API_BASE_URL"];
+  const missingEnv = checkMissingRequestInputs(params, requiredEnv, []);
+  if (missingEnv) {
+    logger.error(`Missing environment variables: ${missingEnv}`);
+    return errorResponse(HTTP_INTERNAL_ERROR, missingEnv);
+  }
+
+  const requiredParams = ["sku", "marketId"];
+  const missingParams = checkMissingRequestInputs(params, requiredParams, []);
+  if (missingParams) {
+    logger.error(`Invalid parameters: ${stringParameters(params)}`);
+    return errorResponse(HTTP_BAD_REQUEST, missingParams);
+  }
+
+  const { sku, marketId, parentSku } = params;
+  try {
+    const market = findMarket(loadMarketConfig(), marketId);
+    if (!market) {
+      logger.error(`Market ${marketId} is not configured`);
+      return errorResponse(
+        HTTP_NOT_FOUND,
+        `Market ${marketId} is not configured`
+      );
+    }
+
+    const missingTenants = checkMarketTenants(params, [market]);
+    if (missingTenants) {
+      logger.error(missingTenants);
+      return errorResponse(HTTP_INTERNAL_ERROR, missingTenants);
+    }
+
+    logger.info(`Previewing ${sku} for market ${marketId}`);
+    const result = await previewProduct(
+      buildFeedConfig(params, market),
+      getMarketTenantId(params, market),
+      sku,
+      parentSku
+    );
+    if (!result) {
+      const message = parentSku
+        ? `Variant ${sku} of ${parentSku} not found in market ${marketId}`
+        : `Product ${sku} not found in market ${marketId}`;
+      logger.info(message);
+      return errorResponse(HTTP_NOT_FOUND, message);
+    }
+    if (result.parentSkuRequired) {
+      const message = `Product ${sku} is a variant, pass its parentSku to preview it`;
+      logger.info(message);
+      return errorResponse(HTTP_BAD_REQUEST, message);
+    }
+
+    return successResponse("preview", { marketId, sku, ...result });
+  } catch (error) {
+    logger.error(`Could not preview ${sku}. Error: ${error.message}`);
+    return errorResponse(HTTP_INTERNAL_ERROR, error.message);
+  }
+};
+
+exports.main = main;
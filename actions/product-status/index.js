@@ -0,0 +1,93 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+const { Core } = require("@adobe/aio-sdk");
+const {
+  DEFAULT_STATUS_OFFER_LIMIT,
+  HTTP_INTERNAL_ERROR,
+  HTTP_NOT_FOUND,
+} = require("../constants.js");
+const { errorResponse, successResponse } = require("../responses.js");
+const { checkMissingRequestInputs } = require("../utils.js");
+const { loadMarketConfig } = require("../config.js");
+const { buildFeedConfig, findMarket } = require("../markets.js");
+const { reportProductStatuses } = require("../../processors/productStatus.js");
+
+/**
+ * Main function that reports the statuses of the products of each market in
+ * Google Merchant Center: the disapproved offers and their item-level issues,
+ * counted by issue code, and one page of the offers with issues. A market whose
+ * products cannot be listed is reported with the error, without failing the
+ * other markets.
+ *
+ * @param {object} params - Input parameters: optional marketId, and offset, limit and issueCode of the offers to report.
+ * @returns {object} - Success or error response based on processing.
+ */
+const main = async (params) => {
+  const logger = Core.Logger("product-status", {
+    level: params.LOG_LEVEL || "info",
+  });
+
+  const requiredEnv = ["GOOGLE_CREDS_JSON"];
+  const missingEnv = checkMissingRequestInputs(params, requiredEnv, []);
+  if (missingEnv) {
+    logger.error(`Missing environment variables: ${missingEnv}`);
+    return errorResponse(HTTP_INTERNAL_ERROR, missingEnv);
+  }
+
+  try {
+    const markets = loadMarketConfig();
+    let selectedMarkets = markets;
+    if (params.marketId) {
+      const market = findMarket(markets, params.marketId);
+      if (!market) {
+        logger.error(`Market ${params.marketId} is not configured`);
+        return errorResponse(
+          HTTP_NOT_FOUND,
+          `Market ${params.marketId} is not configured`
+        );
+      }
+      selectedMarkets = [market];
+    }
+
+    const page = {
+      offset: Math.max(0, Math.floor(Number(params.offset)) || 0),
+      limit:
+        Math.max(1, Math.floor(Number(params.limit))) ||
+        DEFAULT_STATUS_OFFER_LIMIT,
+      ...(params.issueCode && { issueCode: params.issueCode }),
+    };
+    const results = {};
+    for (const market of selectedMarkets) {
+      logger.info(`Reporting product statuses of market ${market.id}`);
+      try {
+        results[market.id] = await reportProductStatuses(
+          buildFeedConfig(params, market),
+          page,
+          logger
+        );
+      } catch (error) {
+        logger.error(
+          `Could not report product statuses of market ${market.id}. Error: ${error.message}`
+        );
+        results[market.id] = { error: error.message };
+      }
+    }
+
+    return successResponse("product-status", { markets: results });
+  } catch (error) {
+    logger.error(`Could not report product statuses. Error: ${error.message}`);
+    return errorResponse(HTTP_INTERNAL_ERROR, error.message);
+  }
+};
+
+exports.main = main;
@@ -0,0 +1,73 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+const { Core } = require("@adobe/aio-sdk");
+const { HTTP_INTERNAL_ERROR, HTTP_NOT_FOUND } = require("../constants.js");
+const { errorResponse, successResponse } = require("../responses.js");
+const { checkMissingRequestInputs } = require("../utils.js");
+const { loadMarketConfig } = require("../config.js");
+const { buildFeedConfig, findMarket } = require("../markets.js");
+const { syncPromotions } = require("../../processors/promotions.js");
+
+/**
+ * Main function that upserts the promotions configured in `google.promotions`
+ * of each market into its promotions data source. It is invoked by the
+ * `promotionsTrigger` alarm. Markets without promotions are left out.
+ *
+ * @param {object} params - Input parameters: optional marketId and dryRun.
+ * @returns {object} - Success or error response based on processing.
+ */
+const main = async (params) => {
+  const logger = Core.Logger("promotions", {
+    level: params.LOG_LEVEL || "info",
+  });
+
+  const requiredEnv = ["GOOGLE_CREDS_JSON"];
+  const missingEnv = checkMissingRequestInputs(params, requiredEnv, []);
+  if (missingEnv) {
+    logger.error(`Missing environment variables: ${missingEnv}`);
+    return errorResponse(HTTP_INTERNAL_ERROR, missingEnv);
+  }
+
+  try {
+    const markets = loadMarketConfig();
+    let selectedMarkets = markets;
+    if (params.marketId) {
+      const market = findMarket(markets, params.marketId);
+      if (!market) {
+        logger.error(`Market ${params.marketId} is not configured`);
+        return errorResponse(
+          HTTP_NOT_FOUND,
+          `Market ${params.marketId} is not configured`
+        );
+      }
+      selectedMarkets = [market];
+    }
+
+    const results = {};
+    for (const market of selectedMarkets) {
+      if (!market.google.promotions) continue;
+      logger.info(`Syncing promotions of market ${market.id}`);
+      results[market.id] = await syncPromotions(
+        buildFeedConfig(params, market),
+        logger
+      );
+    }
+
+    return successResponse("promotions", { markets: results });
+  } catch (error) {
+    logger.error(`Could not sync promotions. Error: ${error.message}`);
+    return errorResponse(HTTP_INTERNAL_ERROR, error.message);
+  }
+};
+
+exports.main = main;
@@ -0,0 +1,223 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * @typedef {import('../../types/config').FeedConfig} FeedConfig
+ * @typedef {import('../../types/config').MarketConfig} MarketConfig
+ * @typedef {import('../../types/reconcile').ReconcileMarketResult} ReconcileMarketResult
+ */
+
+const { Core } = require("@adobe/aio-sdk");
+const {
+  DEFAULT_RECONCILE_TIME_BUDGET_SECONDS,
+  HTTP_BAD_REQUEST,
+  HTTP_INTERNAL_ERROR,
+  HTTP_NOT_FOUND,
+} = require("../constants.js");
+const { errorResponse, successResponse } = require("../responses.js");
+const { checkMissingRequestInputs } = require("../utils.js");
+const { loadMarketConfig } = require("../config.js");
+const {
+  buildFeedConfig,
+  checkMarketTenants,
+  findMarket,
+  getMarketTenantId,
+} = require("../markets.js");
+const { deleteProducts, listProductsPage } = require("../../clients/google.js");
+const { findOrphans } = require("../../processors/aco/reconcile.js");
+
+/**
+ * Deletes the orphans of a page of offers from Google Merchant Center and adds
+ * the outcome to the result of the market.
+ *
+ * @param {FeedConfig} feedConfig - The feed configuration
+ * @param {string[]} orphans - The orphan offer IDs of the page
+ * @param {ReconcileMarketResult} result - The result of the market
+ * @param {object} logger - Logger instance
+ * @returns {Promise<void>}
+ * @private
+ */
+const deleteOrphans = async (feedConfig, orphans, result, logger) => {
+  const { deleted, failed, retries } = await deleteProducts(
+    feedConfig.googleCredsJson,
+    feedConfig.googleMerchantId,
+    feedConfig.googleDataSourceId,
+    feedConfig.googleFeedLabel,
+    feedConfig.googleContentLanguage,
+    orphans,
+    logger,
+    feedConfig.googleRequestOptions
+  );
+  result.deleted.push(...deleted);
+  result.failed.push(
+    ...failed.map(({ sku, error }) => ({ offerId: sku, error: error.message }))
+  );
+  result.retries += retries || 0;
+};
+
+/**
+ * Reconciles the Google data source of a market with its Commerce catalog view,
+ * deleting the orphan offers unless this is a dry run. Offers are checked one
+ * page of the Google account at a time until the account is complete or the
+ * deadline is reached; the result then carries the token of the next page, to
+ * pass as `pageToken` to continue.
+ *
+ * @param {object} params - Action input params
+ * @param {MarketConfig} market - The market configuration
+ * @param {boolean} dryRun - Whether to only report the orphans
+ * @param {number} deadline - Time in milliseconds after which no new page is started
+ * @param {object} logger - Logger instance
+ * @returns {Promise<ReconcileMarketResult>} The reconciliation result of the market
+ */
+const reconcileMarket = async (params, market, dryRun, deadline, logger) => {
+  const feedConfig = buildFeedConfig(params, market);
+  const tenantId = getMarketTenantId(params, market);
+  // Markets in dry run never send anything to Google, including deletes
+  const marketDryRun = dryRun || feedConfig.dryRun;
+  /** @type {ReconcileMarketResult} */
+  const result = {
+    status: "in_progress",
+    dryRun: marketDryRun,
+    pagesProcessed: 0,
+    checked: 0,
+    orphans: [],
+    unverified: [],
+    ...(!marketDryRun && { deleted: [], failed: [], retries: 0 }),
+    nextPageToken: params.pageToken || null,
+  };
+
+  while (Date.now() < deadline) {
+    let page;
+    try {
+      page = await listProductsPage(
+        feedConfig.googleCredsJson,
+        feedConfig.googleMerchantId,
+        feedConfig.googleDataSourceId,
+        feedConfig.googleFeedLabel,
+        feedConfig.googleContentLanguage,
+        result.nextPageToken,
+        logger
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to list the products of market ${market.id}: ${error.message}`
+      );
+      return { ...result, status: "error", lastError: error.message };
+    }
+
+    const { orphans, unverified } = await findOrphans(
+      feedConfig,
+      tenantId,
+      page.offers,
+      logger
+    );
+    result.checked += page.offers.length;
+    result.orphans.push(...orphans);
+    result.unverified.push(...unverified);
+    if (!marketDryRun && orphans.length > 0) {
+      logger.info(
+        `Deleting ${orphans.length} orphans from market ${market.id}`
+      );
+      await deleteOrphans(feedConfig, orphans, result, logger);
+    }
+
+    result.pagesProcessed++;
+    result.nextPageToken = page.nextPageToken;
+    if (!page.nextPageToken) {
+      return { ...result, status: "completed" };
+    }
+  }
+
+  logger.info(
+    `Time budget used, market ${market.id} continues with the next page`
+  );
+  return result;
+};
+
+/**
+ * Main function that finds products in the Google data source of each market that
+ * no longer exist in Commerce. Orphans are only reported unless `dryRun` is false.
+ *
+ * @param {object} params - Input parameters: optional marketId, dryRun (defaults to true) and pageToken to continue a market.
+ * @returns {object} - Success or error response based on processing.
+ */
+const main = async (params) => {
+  const logger = Core.Logger("reconcile", {
+    level: params.LOG_LEVEL || "info",
+  });
+
+  const requiredEnv = ["ACO_API_BASE_URL", "GOOGLE_CREDS_JSON"];
+  const missingEnv = checkMissingRequestInputs(params, requiredEnv, []);
+  if (missingEnv) {
+    logger.error(`Missing environment variables: ${missingEnv}`);
+    return errorResponse(HTTP_INTERNAL_ERROR, missingEnv);
+  }
+
+  if (params.pageToken && !params.marketId) {
+    logger.error("Missing marketId for pageToken");
+    return errorResponse(
+      HTTP_BAD_REQUEST,
+      "pageToken can only be passed with the marketId of its market"
+    );
+  }
+
+  // Deleting is opt-in: anything but an explicit false is a dry run
+  const dryRun = params.dryRun !== false && params.dryRun !== "false";
+
+  try {
+    const markets = loadMarketConfig();
+    let selectedMarkets = markets;
+    if (params.marketId) {
+      const market = findMarket(markets, params.marketId);
+      if (!market) {
+        logger.error(`Market ${params.marketId} is not configured`);
+        return errorResponse(
+          HTTP_NOT_FOUND,
+          `Market ${params.marketId} is not configured`
+        );
+      }
+      selectedMarkets = [market];
+    }
+
+    const missingTenants = checkMarketTenants(params, selectedMarkets);
+    if (missingTenants) {
+      logger.error(missingTenants);
+      return errorResponse(HTTP_INTERNAL_ERROR, missingTenants);
+    }
+
+    const timeBudgetSeconds =
+      Number(params.RECONCILE_TIME_BUDGET_SECONDS) ||
+      DEFAULT_RECONCILE_TIME_BUDGET_SECONDS;
+    const deadline = Date.now() + timeBudgetSeconds * 1000;
+
+    const results = {};
+    for (const market of selectedMarkets) {
+      logger.info(
+        `Reconciling market ${market.id}${dryRun ? " (dry run)" : ""}`
+      );
+      results[market.id] = await reconcileMarket(
+        params,
+        market,
+        dryRun,
+        deadline,
+        logger
+      );
+    }
+
+    return successResponse("reconcile", { markets: results });
+  } catch (error) {
+    logger.error(`Could not reconcile markets. Error: ${error.message}`);
+    return errorResponse(HTTP_INTERNAL_ERROR, error.message);
+  }
+};
+
+exports.main = main;
@@ -0,0 +1,278 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * @typedef {import('../../types/config').FeedConfig} FeedConfig
+ * @typedef {import('../../types/config').MarketConfig} MarketConfig
+ * @typedef {import('../../types/resync').ResyncMarketResult} ResyncMarketResult
+ * @typedef {import('../../clients/state').StateStore} StateStore
+ */
+
+const { Core } = require("@adobe/aio-sdk");
+const {
+  DEFAULT_DEAD_LETTER_TTL_SECONDS,
+  DEFAULT_RESYNC_INTERVAL_HOURS,
+  DEFAULT_RESYNC_PAGE_SIZE,
+  DEFAULT_RESYNC_TIME_BUDGET_SECONDS,
+  HTTP_INTERNAL_ERROR,
+  HTTP_NOT_FOUND,
+} = require("../constants.js");
+const { errorResponse, successResponse } = require("../responses.js");
+const { checkMissingRequestInputs } = require("../utils.js");
+const { loadMarketConfig } = require("../config.js");
+const {
+  buildFeedConfig,
+  checkMarketTenants,
+  findMarket,
+  getMarketTenantId,
+} = require("../markets.js");
+const { updateDeadLetters } = require("../deadLetter.js");
+const {
+  createResyncCheckpoint,
+  getResyncCheckpoint,
+  saveResyncCheckpoint,
+} = require("../resyncCheckpoint.js");
+const { initStateStore } = require("../../clients/state.js");
+const { resyncCatalogPage } = require("../../processors/aco/resync.js");
+const { summarizeOutcomes } = require("../../processors/outcomes.js");
+
+// Recorded as the event type of dead-letter entries created by the resync
+const RESYNC_EVENT_TYPE = "resync";
+
+/**
+ * Resyncs a single catalog page of a market in a dry run, without reading or
+ * saving the checkpoint. One page is processed per invocation, so the product
+ * inputs returned stay within the action result size limit; the checkpoint of
+ * the result tells the next page to request with the `page` param.
+ *
+ * @param {object} params - Action input params
+ * @param {FeedConfig} feedConfig - The feed configuration of the market
+ * @param {MarketConfig} market - The market configuration
+ * @param {object} logger - Logger instance
+ * @returns {Promise<ResyncMarketResult>} The status, the page checkpoint and what would have been sent
+ * @private
+ */
+const dryRunResyncPage = async (params, feedConfig, market, logger) => {
+  const tenantId = getMarketTenantId(params, market);
+  const pageSize = Number(params.RESYNC_PAGE_SIZE) || DEFAULT_RESYNC_PAGE_SIZE;
+  const pageNumber = Math.max(1, Math.floor(Number(params.page)) || 1);
+  const checkpoint = {
+    ...createResyncCheckpoint(market.id),
+    nextPage: pageNumber,
+  };
+
+  let page;
+  try {
+    page = await resyncCatalogPage(
+      feedConfig,
+      tenantId,
+      pageNumber,
+      pageSize,
+      logger
+    );
+  } catch (error) {
+    logger.error(
+      `Failed to resync page ${pageNumber} of market ${market.id}: ${error.message}`
+    );
+    return {
+      status: "error",
+      pagesProcessed: 0,
+      checkpoint: { ...checkpoint, lastError: error.message },
+    };
+  }
+
+  const summary = summarizeOutcomes(page.outcomes);
+  const completed = pageNumber >= page.totalPages;
+  return {
+    status: completed ? "completed" : "in_progress",
+    pagesProcessed: 1,
+    checkpoint: {
+      ...checkpoint,
+      nextPage: pageNumber + 1,
+      totalPages: page.totalPages,
+      totalCount: page.totalCount,
+      synced: summary.synced,
+      skipped: summary.skipped.length,
+      failed: summary.failed.length,
+      completedAt: completed ? new Date().toISOString() : null,
+    },
+    dryRun: summary.dryRun,
+  };
+};
+
+/**
+ * Resyncs catalog pages of a market until the catalog is complete or the deadline
+ * is reached, saving the checkpoint after every page. A completed resync is only
+ * started again once the resync interval has elapsed, unless `restart` is set.
+ * A dry run resyncs a single page instead, see dryRunResyncPage.
+ *
+ * @param {object} params - Action input params
+ * @param {StateStore} store - The state store
+ * @param {MarketConfig} market - The market configuration
+ * @param {number} deadline - Timestamp in milliseconds after which no new page is started
+ * @param {object} logger - Logger instance
+ * @returns {Promise<ResyncMarketResult>} The status and checkpoint of the market
+ */
+const resyncMarket = async (params, store, market, deadline, logger) => {
+  const feedConfig = buildFeedConfig(params, market);
+  if (feedConfig.dryRun) {
+    return dryRunResyncPage(params, feedConfig, market, logger);
+  }
+  const tenantId = getMarketTenantId(params, market);
+  const pageSize = Number(params.RESYNC_PAGE_SIZE) || DEFAULT_RESYNC_PAGE_SIZE;
+  const intervalHours =
+    Number(params.RESYNC_INTERVAL_HOURS) || DEFAULT_RESYNC_INTERVAL_HOURS;
+  const deadLetterTtl =
+    Number(params.DEAD_LETTER_TTL_SECONDS) || DEFAULT_DEAD_LETTER_TTL_SECONDS;
+  const restart = params.restart === true || params.restart === "true";
+
+  let checkpoint = await getResyncCheckpoint(store, market.id);
+  if (checkpoint?.completedAt && !restart) {
+    const elapsedHours =
+      (Date.now() - Date.parse(checkpoint.completedAt)) / (60 * 60 * 1000);
+    if (elapsedHours < intervalHours) {
+      logger.info(
+        `Market ${market.id} was resynced at ${checkpoint.completedAt}, skipping`
+      );
+      return { status: "up_to_date", pagesProcessed: 0, checkpoint };
+    }
+  }
+  if (!checkpoint || checkpoint.completedAt || restart) {
+    logger.info(`Starting full catalog resync of market ${market.id}`);
+    checkpoint = createResyncCheckpoint(market.id);
+  }
+
+  let pagesProcessed = 0;
+  while (Date.now() < deadline) {
+    let page;
+    try {
+      page = await resyncCatalogPage(
+        feedConfig,
+        tenantId,
+        checkpoint.nextPage,
+        pageSize,
+        logger
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to resync page ${checkpoint.nextPage} of market ${market.id}: ${error.message}`
+      );
+      checkpoint = { ...checkpoint, lastError: error.message };
+      await saveResyncCheckpoint(store, checkpoint);
+      return { status: "error", pagesProcessed, checkpoint };
+    }
+
+    await updateDeadLetters(
+      store,
+      { marketId: market.id, tenantId, eventType: RESYNC_EVENT_TYPE },
+      page.items,
+      page.outcomes,
+      deadLetterTtl,
+      logger
+    );
+
+    const summary = summarizeOutcomes(page.outcomes);
+    checkpoint = {
+      ...checkpoint,
+      nextPage: checkpoint.nextPage + 1,
+      totalPages: page.totalPages,
+      totalCount: page.totalCount,
+      synced: checkpoint.synced + summary.synced,
+      skipped: checkpoint.skipped + summary.skipped.length,
+      failed: checkpoint.failed + summary.failed.length,
+      lastError: undefined,
+    };
+    pagesProcessed++;
+
+    if (checkpoint.nextPage > page.totalPages) {
+      checkpoint.completedAt = new Date().toISOString();
+      await saveResyncCheckpoint(store, checkpoint);
+      logger.info(
+        `Completed resync of market ${market.id}: ${checkpoint.synced} synced, ${checkpoint.skipped} skipped, ${checkpoint.failed} failed`
+      );
+      return { status: "completed", pagesProcessed, checkpoint };
+    }
+    await saveResyncCheckpoint(store, checkpoint);
+  }
+
+  logger.info(
+    `Resync of market ${market.id} paused before page ${checkpoint.nextPage}/${checkpoint.totalPages ?? "?"}`
+  );
+  return { status: "in_progress", pagesProcessed, checkpoint };
+};
+
+/**
+ * Main function that resyncs the full catalog of one or all configured markets to
+ * Google Merchant Center. Progress is checkpointed in App Builder State, so each
+ * invocation continues where the previous one stopped.
+ *
+ * @param {object} params - Input parameters: optional marketId, restart, and page for a dry run.
+ * @returns {object} - Success or error response based on processing.
+ */
+const main = async (params) => {
+  const logger = Core.Logger("resync", {
+    level: params.LOG_LEVEL || "info",
+  });
+
+  const requiredEnv = ["ACO_API_BASE_URL", "GOOGLE_CREDS_JSON"];
+  const missingEnv = checkMissingRequestInputs(params, requiredEnv, []);
+  if (missingEnv) {
+    logger.error(`Missing environment variables: ${missingEnv}`);
+    return errorResponse(HTTP_INTERNAL_ERROR, missingEnv);
+  }
+
+  try {
+    const markets = loadMarketConfig();
+    let selectedMarkets = markets;
+    if (params.marketId) {
+      const market = findMarket(markets, params.marketId);
+      if (!market) {
+        logger.error(`Market ${params.marketId} is not configured`);
+        return errorResponse(
+          HTTP_NOT_FOUND,
+          `Market ${params.marketId} is not configured`
+        );
+      }
+      selectedMarkets = [market];
+    }
+
+    const missingTenants = checkMarketTenants(params, selectedMarkets);
+    if (missingTenants) {
+      logger.error(missingTenants);
+      return errorResponse(HTTP_INTERNAL_ERROR, missingTenants);
+    }
+
+    const timeBudgetSeconds =
+      Number(params.RESYNC_TIME_BUDGET_SECONDS) ||
+      DEFAULT_RESYNC_TIME_BUDGET_SECONDS;
+    const deadline = Date.now() + timeBudgetSeconds * 1000;
+    const store = await initStateStore(params.STATE_REGION);
+
+    const results = {};
+    for (const market of selectedMarkets) {
+      results[market.id] = await resyncMarket(
+        params,
+        store,
+        market,
+        deadline,
+        logger
+      );
+    }
+
+    return successResponse("resync", { markets: results });
+  } catch (error) {
+    logger.error(`Could not resync catalog. Error: ${error.message}`);
+    return errorResponse(HTTP_INTERNAL_ERROR, error.message);
+  }
+};
+
+exports.main = main;
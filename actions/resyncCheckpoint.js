@@ -0,0 +1,81 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * Checkpoints of the full catalog resync, one per market, so a large catalog
+ * can be resynced over many invocations.
+ *
+ * @typedef {import('../clients/state').StateStore} StateStore
+ * @typedef {import('../types/resync').ResyncCheckpoint} ResyncCheckpoint
+ */
+
+const { toStateKey } = require("../clients/state.js");
+
+const RESYNC_KEY_PREFIX = "resync";
+
+// Checkpoints are kept for the maximum TTL supported by App Builder State
+const RESYNC_CHECKPOINT_TTL_SECONDS = 60 * 60 * 24 * 365;
+
+/**
+ * Creates the checkpoint of a new resync run starting at the first page.
+ *
+ * @param {string} marketId - The market id
+ * @returns {ResyncCheckpoint} The checkpoint
+ */
+const createResyncCheckpoint = (marketId) => {
+  const now = new Date().toISOString();
+  return {
+    marketId,
+    nextPage: 1,
+    totalPages: null,
+    totalCount: null,
+    synced: 0,
+    skipped: 0,
+    failed: 0,
+    startedAt: now,
+    updatedAt: now,
+    completedAt: null,
+  };
+};
+
+/**
+ * Reads the resync checkpoint of a market.
+ *
+ * @param {StateStore} store - The state store
+ * @param {string} marketId - The market id
+ * @returns {Promise<ResyncCheckpoint|null>} The checkpoint, or null if the market was never resynced
+ */
+const getResyncCheckpoint = async (store, marketId) => {
+  const result = await store.get(toStateKey(RESYNC_KEY_PREFIX, marketId));
+  return result ? JSON.parse(result.value) : null;
+};
+
+/**
+ * Saves the resync checkpoint of a market.
+ *
+ * @param {StateStore} store - The state store
+ * @param {ResyncCheckpoint} checkpoint - The checkpoint
+ * @returns {Promise<void>}
+ */
+const saveResyncCheckpoint = async (store, checkpoint) => {
+  await store.put(
+    toStateKey(RESYNC_KEY_PREFIX, checkpoint.marketId),
+    JSON.stringify({ ...checkpoint, updatedAt: new Date().toISOString() }),
+    { ttl: RESYNC_CHECKPOINT_TTL_SECONDS }
+  );
+};
+
+module.exports = {
+  createResyncCheckpoint,
+  getResyncCheckpoint,
+  saveResyncCheckpoint,
+};
@@ -0,0 +1,157 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * Tracks the CloudEvent time last applied per market, event type and SKU, so
+ * events arriving out of order cannot overwrite a newer state or resurrect a
+ * deleted product. Price events only send the price fields, so they are tracked
+ * apart and never make a product event stale.
+ *
+ * @typedef {import('../clients/state').StateStore} StateStore
+ * @typedef {import('../types/outcomes').StaleItem} StaleItem
+ */
+
+const { toStateKey } = require("../clients/state.js");
+const { ACO_EVENT_TYPE_PRICE } = require("./constants.js");
+const { chunk } = require("./utils.js");
+
+const EVENT_TIME_KEY_PREFIX = "time";
+const PRICE_EVENT_TIME_KEY_PREFIX = "time-price";
+
+// Number of event times read from or written to the state store at once
+const STATE_BATCH_SIZE = 10;
+
+/**
+ * Builds the state key of the last applied event time of a SKU.
+ *
+ * @param {string} marketId - The market id
+ * @param {string} eventType - The event type
+ * @param {string} sku - The SKU
+ * @returns {string} The state key
+ * @private
+ */
+const toEventTimeKey = (marketId, eventType, sku) => {
+  const prefix =
+    eventType === ACO_EVENT_TYPE_PRICE
+      ? PRICE_EVENT_TIME_KEY_PREFIX
+      : EVENT_TIME_KEY_PREFIX;
+  return toStateKey(prefix, marketId, sku);
+};
+
+/**
+ * Splits items into those to apply and those older than the last applied event
+ * of the same type for their SKU. Events with the same time are applied. The
+ * event times are read in parallel batches. Stale detection is best effort: if
+ * the state store cannot be read, the item is applied.
+ *
+ * @param {StateStore} store - The state store
+ * @param {string} marketId - The market id
+ * @param {string} eventType - The event type
+ * @param {object[]} items - The event items
+ * @param {string} eventTime - The CloudEvent time
+ * @param {object} logger - The logger to use
+ * @returns {Promise<{fresh: object[], stale: StaleItem[]}>} The items to apply and the stale items
+ */
+const filterStaleItems = async (
+  store,
+  marketId,
+  eventType,
+  items,
+  eventTime,
+  logger
+) => {
+  const eventTimestamp = Date.parse(eventTime);
+  const fresh = [];
+  const stale = [];
+
+  const readLastAppliedTime = async (item) => {
+    try {
+      const entry = await store.get(
+        toEventTimeKey(marketId, eventType, item.sku)
+      );
+      return entry?.value;
+    } catch (error) {
+      logger.warn(
+        `Could not read last event time of ${item.sku} for market ${marketId}: ${error.message}`
+      );
+      return undefined;
+    }
+  };
+
+  for (const batch of chunk(items, STATE_BATCH_SIZE)) {
+    const lastAppliedTimes = await Promise.all(batch.map(readLastAppliedTime));
+    batch.forEach((item, index) => {
+      const lastAppliedTime = lastAppliedTimes[index];
+      if (lastAppliedTime && eventTimestamp < Date.parse(lastAppliedTime)) {
+        stale.push({
+          sku: item.sku,
+          operation: item.operation,
+          eventTime,
+          lastAppliedTime,
+        });
+      } else {
+        fresh.push(item);
+      }
+    });
+  }
+
+  if (stale.length > 0) {
+    logger.info(
+      `Skipped ${stale.length} stale item(s) for market ${marketId}: ${stale.map(({ sku }) => sku).join(", ")}`
+    );
+  }
+  return { fresh, stale };
+};
+
+/**
+ * Records the event time as the last applied time of the given SKUs for the
+ * event type. The event times are written in parallel batches.
+ *
+ * @param {StateStore} store - The state store
+ * @param {string} marketId - The market id
+ * @param {string} eventType - The event type
+ * @param {string[]} skus - The SKUs the event was applied to
+ * @param {string} eventTime - The CloudEvent time
+ * @param {number} ttl - Time in seconds to remember the event time
+ * @param {object} logger - The logger to use
+ * @returns {Promise<void>}
+ */
+const recordEventTimes = async (
+  store,
+  marketId,
+  eventType,
+  skus,
+  eventTime,
+  ttl,
+  logger
+) => {
+  const writeEventTime = async (sku) => {
+    try {
+      await store.put(toEventTimeKey(marketId, eventType, sku), eventTime, {
+        ttl,
+      });
+    } catch (error) {
+      logger.warn(
+        `Could not record event time of ${sku} for market ${marketId}: ${error.message}`
+      );
+    }
+  };
+
+  for (const batch of chunk(skus, STATE_BATCH_SIZE)) {
+    await Promise.all(batch.map(writeEventTime));
+  }
+};
+
+module.exports = {
+  filterStaleItems,
+  recordEventTimes,
+};
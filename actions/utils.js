@@ -156,6 +156,21 @@ function groupByOperation(items) {
   );
 }
 
+/**
+ * Adds an event item to the group of the given market, creating the group if needed.
+ *
+ * @param {Map<string, { market: object, items: object[] }>} itemsByMarket - Items grouped by market id
+ * @param {object} market - The market configuration
+ * @param {object} item - The event item
+ * @private
+ */
+function addItemToMarket(itemsByMarket, market, item) {
+  if (!itemsByMarket.has(market.id)) {
+    itemsByMarket.set(market.id, { market, items: [] });
+  }
+  itemsByMarket.get(market.id).items.push(item);
+}
+
 /**
  * Groups event items by their applicable markets based on source.locale.
  * A single locale can map to multiple markets, so items may appear in multiple groups.
@@ -179,10 +194,7 @@ function groupItemsByMarket(items, localeIndex, logger) {
       if (markets) {
         matched = true;
         for (const market of markets) {
-          if (!itemsByMarket.has(market.id)) {
-            itemsByMarket.set(market.id, { market, items: [] });
-          }
-          itemsByMarket.get(market.id).items.push(item);
+          addItemToMarket(itemsByMarket, market, item);
         }
         break;
       }
@@ -200,11 +212,53 @@ function groupItemsByMarket(items, localeIndex, logger) {
   return itemsByMarket;
 }
 
+/**
+ * Groups price event items by their applicable markets based on source.priceBookId.
+ * A price book can be shared by multiple markets and an item can carry several
+ * price book sources, so items may appear in multiple groups (but only once per market).
+ *
+ * @param {object[]} items - Price event items with sources array
+ * @param {Map<string, object[]>} priceBookIndex - Price book ID to markets lookup
+ * @param {object} logger - Logger instance
+ * @returns {Map<string, { market: object, items: object[] }>} Items grouped by market id
+ */
+function groupPriceItemsByMarket(items, priceBookIndex, logger) {
+  const itemsByMarket = new Map();
+  let skippedCount = 0;
+
+  for (const item of items) {
+    const matchedMarkets = new Map();
+
+    for (const source of item.sources || []) {
+      const markets = priceBookIndex.get(source.priceBookId) || [];
+      for (const market of markets) {
+        matchedMarkets.set(market.id, market);
+      }
+    }
+
+    if (matchedMarkets.size === 0) {
+      skippedCount++;
+      continue;
+    }
+
+    for (const market of matchedMarkets.values()) {
+      addItemToMarket(itemsByMarket, market, item);
+    }
+  }
+
+  if (skippedCount > 0) {
+    logger.debug(`Skipped ${skippedCount} items with unconfigured price books`);
+  }
+
+  return itemsByMarket;
+}
+
 module.exports = {
   checkMissingRequestInputs,
   chunk,
   getBearerToken,
   groupByOperation,
   groupItemsByMarket,
+  groupPriceItemsByMarket,
   stringParameters,
 };
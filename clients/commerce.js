@@ -16,8 +16,18 @@
  * @typedef {import('../types/commerce').CommerceProduct} CommerceProduct
  * @typedef {import('../types/commerce').CommerceSource} CommerceSource
  * @typedef {import('../types/commerce').CommerceVariant} CommerceVariant
+ * @typedef {import('../types/commerce').CommerceRequestOptions} CommerceRequestOptions
  */
 
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 500;
+// Longest wait before a retry; a longer Retry-After fails the request instead
+const MAX_RETRY_DELAY_MS = 10000;
+
+// HTTP statuses of responses worth retrying: throttling and transient server errors
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
 const PRODUCT_QUERY = `
   query GET_PRODUCT_DATA($skus: [String]) {
     products(skus: $skus) {
@@ -156,54 +166,225 @@ const VARIANTS_QUERY = `
   }
 `;
 
+const PRODUCT_SEARCH_QUERY = `
+  query SEARCH_PRODUCTS($pageSize: Int, $currentPage: Int) {
+    productSearch(phrase: "", page_size: $pageSize, current_page: $currentPage) {
+      total_count
+      items {
+        productView {
+          __typename
+          sku
+        }
+      }
+      page_info {
+        current_page
+        page_size
+        total_pages
+      }
+    }
+  }
+`;
+
+const PRODUCT_LISTED_QUERY = `
+  query IS_PRODUCT_LISTED($sku: String) {
+    productSearch(
+      phrase: ""
+      page_size: 1
+      filter: [{ attribute: "sku", eq: $sku }]
+    ) {
+      items {
+        productView {
+          sku
+        }
+      }
+    }
+  }
+`;
+
 /**
- * Fetches products from Commerce by tenant ID and SKUs.
+ * Builds the headers of a Storefront API request.
  *
- * @param {string} baseUrl - The base URL of the Commerce API
  * @param {string} viewId - The view ID
  * @param {string} priceBookId - The price book ID
  * @param {string} tenantId - The tenant/instance ID (environment ID)
- * @param {string[]} skus - Array of product SKUs
- * @returns {Promise<CommerceProduct[]>} Array of product data objects
+ * @returns {object} The request headers
+ * @private
  */
-const getProducts = async (baseUrl, viewId, priceBookId, tenantId, skus) => {
-  const url = `${baseUrl}/${tenantId}/graphql`;
+const buildHeaders = (viewId, priceBookId, tenantId) => ({
+  "Content-Type": "application/json",
+  "AC-Environment-Id": tenantId,
+  "AC-View-Id": viewId,
+  "AC-Price-Book-Id": priceBookId,
+});
 
-  const headers = {
-    "Content-Type": "application/json",
-    "AC-Environment-Id": tenantId,
-    "AC-View-Id": viewId,
-    "AC-Price-Book-Id": priceBookId,
-  };
+/**
+ * Gets the delay requested by the Retry-After header of a response, given in
+ * seconds or as an HTTP date.
+ *
+ * @param {Response} response - The response
+ * @returns {number|null} The delay in milliseconds, or null without a valid header
+ * @private
+ */
+const getRetryAfterDelay = (response) => {
+  const retryAfter = response.headers.get("retry-after");
+  if (!retryAfter) return null;
+  if (/^\d+$/.test(retryAfter.trim())) return Number(retryAfter) * 1000;
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-  const response = await fetch(url, {
+/**
+ * Sends a Storefront API request once. Failures are returned instead of thrown,
+ * with whether the request can be retried.
+ *
+ * @param {string} url - The GraphQL endpoint
+ * @param {RequestInit} init - The request
+ * @param {number} timeoutMs - Time to wait for the response
+ * @returns {Promise<{result?: object, error?: Error, retryable?: boolean, retryAfter?: number|null}>}
+ *   The GraphQL result, or the error of the request
+ * @private
+ */
+const sendRequest = async (url, init, timeoutMs) => {
+  try {
+    const response = await fetch(url, {
+      ...init,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      return {
+        error: new Error(
+          `Commerce Storefront API error: ${response.status} ${response.statusText}`
+        ),
+        retryable: RETRYABLE_STATUSES.has(response.status),
+        retryAfter: getRetryAfterDelay(response),
+      };
+    }
+    return { result: await response.json() };
+  } catch (error) {
+    const reason =
+      error.name === "TimeoutError"
+        ? `request timed out after ${timeoutMs}ms`
+        : error.message;
+    return {
+      error: new Error(`Commerce Storefront API error: ${reason}`),
+      retryable: true,
+      retryAfter: null,
+    };
+  }
+};
+
+/**
+ * Sends a GraphQL query to the Storefront API. A request that times out, fails
+ * on the network or gets a 429 or 5xx response is retried with an exponential
+ * backoff and jitter, or after the delay of its Retry-After header. Other
+ * responses that are not successful fail right away.
+ *
+ * GraphQL errors without data are fatal. Errors that come with data are
+ * returned with it, so the caller can check whether the data it needs is
+ * complete.
+ *
+ * @param {string} url - The GraphQL endpoint
+ * @param {object} headers - The request headers
+ * @param {string} query - The GraphQL query
+ * @param {object} variables - The query variables
+ * @param {CommerceRequestOptions} [options] - The timeout and retry options
+ * @returns {Promise<{data: object, errors: object[]}>} The data and the partial errors
+ * @private
+ */
+const postQuery = async (url, headers, query, variables, options = {}) => {
+  const {
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  } = options;
+  const init = {
     method: "POST",
     headers,
-    body: JSON.stringify({
-      query: PRODUCT_QUERY,
-      variables: { skus },
-    }),
-  });
+    body: JSON.stringify({ query, variables }),
+  };
 
-  if (!response.ok) {
-    throw new Error(
-      `Commerce Storefront API error: ${response.status} ${response.statusText}`
+  for (let attempt = 0; ; attempt++) {
+    const { result, error, retryable, retryAfter } = await sendRequest(
+      url,
+      init,
+      timeoutMs
     );
-  }
 
-  const result = await response.json();
+    if (result) {
+      if (!result.data) {
+        throw new Error(
+          `Commerce Storefront API error: ${JSON.stringify(result.errors)}`
+        );
+      }
+      return { data: result.data, errors: result.errors || [] };
+    }
 
-  if (result.errors) {
-    throw new Error(
-      `Commerce Storefront API error: ${JSON.stringify(result.errors)}`
-    );
+    const delay =
+      retryAfter ??
+      Math.random() * Math.min(MAX_RETRY_DELAY_MS, baseDelayMs * 2 ** attempt);
+    if (!retryable || attempt >= maxRetries || delay > MAX_RETRY_DELAY_MS) {
+      throw error;
+    }
+    await sleep(delay);
   }
+};
+
+/**
+ * Builds the error of a response whose data is incomplete because of GraphQL errors.
+ *
+ * @param {object[]} errors - The GraphQL errors
+ * @returns {Error} The error
+ * @private
+ */
+const toPartialError = (errors) => {
+  return new Error(
+    `Commerce Storefront API error: incomplete data: ${JSON.stringify(errors)}`
+  );
+};
+
+/**
+ * Fetches products from Commerce by tenant ID and SKUs.
+ * GraphQL errors are tolerated as long as every requested product is returned.
+ *
+ * @param {string} baseUrl - The base URL of the Commerce API
+ * @param {string} viewId - The view ID
+ * @param {string} priceBookId - The price book ID
+ * @param {string} tenantId - The tenant/instance ID (environment ID)
+ * @param {string[]} skus - Array of product SKUs
+ * @param {CommerceRequestOptions} [options] - The timeout and retry options
+ * @returns {Promise<CommerceProduct[]>} Array of product data objects
+ */
+const getProducts = async (
+  baseUrl,
+  viewId,
+  priceBookId,
+  tenantId,
+  skus,
+  options
+) => {
+  const { data, errors } = await postQuery(
+    `${baseUrl}/${tenantId}/graphql`,
+    buildHeaders(viewId, priceBookId, tenantId),
+    PRODUCT_QUERY,
+    { skus },
+    options
+  );
 
-  return result.data?.products || [];
+  const products = (data.products || []).filter(Boolean);
+  if (errors.length > 0) {
+    const returned = new Set(products.map((product) => product.sku));
+    if (skus.some((sku) => !returned.has(sku))) {
+      throw toPartialError(errors);
+    }
+  }
+  return products;
 };
 
 /**
  * Fetches variants for a complex product by parent SKU.
+ * GraphQL errors are tolerated as long as no variant is left out.
  *
  * @param {string} baseUrl - The base URL of the Commerce API
  * @param {string} viewId - The view ID
@@ -211,6 +392,7 @@ const getProducts = async (baseUrl, viewId, priceBookId, tenantId, skus) => {
  * @param {string} tenantId - The tenant/instance ID (environment ID)
  * @param {string} parentSku - The parent product SKU
  * @param {number} [pageSize=100] - Number of variants per page
+ * @param {CommerceRequestOptions} [options] - The timeout and retry options
  * @returns {Promise<CommerceVariant[]>} Array of variant data objects
  */
 const getVariants = async (
@@ -219,45 +401,32 @@ const getVariants = async (
   priceBookId,
   tenantId,
   parentSku,
-  pageSize = 100
+  pageSize = 100,
+  options
 ) => {
   const url = `${baseUrl}/${tenantId}/graphql`;
-
-  const headers = {
-    "Content-Type": "application/json",
-    "AC-Environment-Id": tenantId,
-    "AC-View-Id": viewId,
-    "AC-Price-Book-Id": priceBookId,
-  };
+  const headers = buildHeaders(viewId, priceBookId, tenantId);
 
   const allVariants = [];
   let cursor = null;
 
   do {
-    const response = await fetch(url, {
-      method: "POST",
+    const { data, errors } = await postQuery(
+      url,
       headers,
-      body: JSON.stringify({
-        query: VARIANTS_QUERY,
-        variables: { sku: parentSku, pageSize, cursor },
-      }),
-    });
-
-    if (!response.ok) {
-      throw new Error(
-        `Commerce Storefront API error: ${response.status} ${response.statusText}`
-      );
-    }
-
-    const result = await response.json();
+      VARIANTS_QUERY,
+      { sku: parentSku, pageSize, cursor },
+      options
+    );
 
-    if (result.errors) {
-      throw new Error(
-        `Commerce Storefront API error: ${JSON.stringify(result.errors)}`
-      );
+    const variantsData = data.variants;
+    if (
+      errors.length > 0 &&
+      (!variantsData?.variants ||
+        variantsData.variants.some((variant) => !variant?.product))
+    ) {
+      throw toPartialError(errors);
     }
-
-    const variantsData = result.data?.variants;
     if (variantsData?.variants) {
       allVariants.push(...variantsData.variants);
     }
@@ -267,6 +436,89 @@ const getVariants = async (
   return allVariants;
 };
 
+/**
+ * Fetches one page of all products visible in a catalog view, ordered by the search
+ * service. Only the SKU and product type are returned; use getProducts for product data.
+ * GraphQL errors are tolerated as long as no product of the page is left out.
+ *
+ * @param {string} baseUrl - The base URL of the Commerce API
+ * @param {string} viewId - The view ID
+ * @param {string} priceBookId - The price book ID
+ * @param {string} tenantId - The tenant/instance ID (environment ID)
+ * @param {number} currentPage - The page to fetch, starting at 1
+ * @param {number} [pageSize=100] - Number of products per page
+ * @param {CommerceRequestOptions} [options] - The timeout and retry options
+ * @returns {Promise<{products: {__typename: string, sku: string}[], totalCount: number, totalPages: number}>}
+ *   The products of the page and the totals of the catalog view
+ */
+const searchProducts = async (
+  baseUrl,
+  viewId,
+  priceBookId,
+  tenantId,
+  currentPage,
+  pageSize = 100,
+  options
+) => {
+  const { data, errors } = await postQuery(
+    `${baseUrl}/${tenantId}/graphql`,
+    buildHeaders(viewId, priceBookId, tenantId),
+    PRODUCT_SEARCH_QUERY,
+    { pageSize, currentPage },
+    options
+  );
+
+  const search = data.productSearch;
+  if (
+    errors.length > 0 &&
+    (!search || (search.items || []).some((item) => !item?.productView))
+  ) {
+    throw toPartialError(errors);
+  }
+  return {
+    products: (search?.items || [])
+      .map((item) => item.productView)
+      .filter(Boolean),
+    totalCount: search?.total_count || 0,
+    totalPages: search?.page_info?.total_pages || 0,
+  };
+};
+
+/**
+ * Checks whether a product is listed on its own in the search of a catalog view.
+ * Variants of complex products are only listed through their parent.
+ *
+ * @param {string} baseUrl - The base URL of the Commerce API
+ * @param {string} viewId - The view ID
+ * @param {string} priceBookId - The price book ID
+ * @param {string} tenantId - The tenant/instance ID (environment ID)
+ * @param {string} sku - The product SKU
+ * @param {CommerceRequestOptions} [options] - The timeout and retry options
+ * @returns {Promise<boolean>} True if the product is listed
+ */
+const isProductListed = async (
+  baseUrl,
+  viewId,
+  priceBookId,
+  tenantId,
+  sku,
+  options
+) => {
+  const { data, errors } = await postQuery(
+    `${baseUrl}/${tenantId}/graphql`,
+    buildHeaders(viewId, priceBookId, tenantId),
+    PRODUCT_LISTED_QUERY,
+    { sku },
+    options
+  );
+
+  const search = data.productSearch;
+  if (errors.length > 0 && !search) {
+    throw toPartialError(errors);
+  }
+  return (search?.items || []).some((item) => item?.productView?.sku === sku);
+};
+
 /**
  * Checks if a product is a complex product (configurable/bundle).
  *
@@ -281,4 +533,6 @@ module.exports = {
   getProducts,
   getVariants,
   isComplexProduct,
+  isProductListed,
+  searchProducts,
 };
@@ -14,51 +14,155 @@
  * Google Merchant Center client for managing products.
  *
  * @typedef {import('@google-shopping/products').protos.google.shopping.merchant.products.v1.IProductInput} IProductInput
+ * @typedef {import('@google-shopping/products').protos.google.shopping.merchant.products.v1.IProduct} IProduct
+ * @typedef {import('@google-shopping/products').protos.google.shopping.merchant.products.v1.IProductStatus} IProductStatus
+ * @typedef {import('../types/config').GoogleRequestOptions} GoogleRequestOptions
  */
 
+const { createHash } = require("crypto");
 const { GoogleAuth } = require("google-auth-library");
-const { ProductInputsServiceClient } = require("@google-shopping/products").v1;
+const { ProductInputsServiceClient, ProductsServiceClient } =
+  require("@google-shopping/products").v1;
+const { settleRequests } = require("./requests.js");
 
 const SCOPES = ["https://www.googleapis.com/auth/content"];
 
+// gRPC status code returned when a product input does not exist
+const GRPC_NOT_FOUND = 5;
+
+// Clients are kept at module scope, so the warm invocations of an action reuse
+// them and the access tokens they fetched. Auth clients are cached by credential,
+// service clients by service, merchant and credential.
+const authClients = new Map();
+const serviceClients = new Map();
+
+/**
+ * Builds the cache key of a credential, so the credentials themselves are not
+ * used as keys.
+ *
+ * @param {string} credsJson - JSON string containing service account credentials
+ * @returns {string} The SHA-256 hash of the credentials
+ * @private
+ */
+const toCredentialKey = (credsJson) => {
+  return createHash("sha256").update(credsJson).digest("hex");
+};
+
 /**
- * Gets authentication credentials using a service account.
+ * Gets authentication credentials using a service account. The GoogleAuth
+ * instance of a credential is created once and shared by its service clients,
+ * so they fetch a single access token until it expires.
  *
  * @param {string} credsJson - JSON string containing service account credentials
  * @returns {Promise<GoogleAuth>} Authenticated GoogleAuth instance
  */
 const getCredentials = async (credsJson) => {
-  const credentials = JSON.parse(credsJson);
+  const credentialKey = toCredentialKey(credsJson);
+  if (!authClients.has(credentialKey)) {
+    authClients.set(
+      credentialKey,
+      new GoogleAuth({
+        credentials: JSON.parse(credsJson),
+        scopes: SCOPES,
+      })
+    );
+  }
+  return authClients.get(credentialKey);
+};
 
-  return new GoogleAuth({
-    credentials,
-    scopes: SCOPES,
-  });
+/**
+ * Gets the client of a Merchant API service for a merchant. The client is
+ * created on first use and reused by the next calls with the same credentials.
+ * When the credentials of the merchant change, the client built with the old
+ * ones is closed and replaced.
+ *
+ * @template T
+ * @param {new (options: {authClient: GoogleAuth}) => T} ServiceClient - The service client class
+ * @param {string} credsJson - JSON string containing service account credentials
+ * @param {string} merchantId - The Merchant Center account ID
+ * @returns {Promise<T>} The service client
+ */
+const getClient = async (ServiceClient, credsJson, merchantId) => {
+  const credentialKey = toCredentialKey(credsJson);
+  const cacheKey = `${ServiceClient.name}:${merchantId}`;
+  const cached = serviceClients.get(cacheKey);
+  if (cached?.credentialKey === credentialKey) {
+    return cached.client;
+  }
+
+  const authClient = await getCredentials(credsJson);
+  const client = new ServiceClient({ authClient });
+  serviceClients.set(cacheKey, { credentialKey, client });
+
+  if (cached) {
+    const inUse = [...serviceClients.values()].some(
+      (entry) => entry.credentialKey === cached.credentialKey
+    );
+    if (!inUse) authClients.delete(cached.credentialKey);
+    // The old client is not used anymore, failing to close it must not fail the call
+    await cached.client.close().catch(() => {});
+  }
+  return client;
+};
+
+/**
+ * Closes the cached service clients and forgets the cached credentials. The
+ * next calls create new clients.
+ *
+ * @returns {Promise<void>}
+ */
+const closeClients = async () => {
+  const clients = [...serviceClients.values()].map(({ client }) => client);
+  serviceClients.clear();
+  authClients.clear();
+  await Promise.allSettled(clients.map((client) => client.close()));
+};
+
+/**
+ * Builds the resource name of a product input.
+ *
+ * @param {string} merchantId - The Merchant Center account ID
+ * @param {string} feedLabel - The feed label for the product
+ * @param {string} language - ISO 639-1 content language code
+ * @param {string} sku - The product SKU (offer ID)
+ * @returns {string} The product input name
+ */
+const buildProductInputName = (merchantId, feedLabel, language, sku) => {
+  return `accounts/${merchantId}/productInputs/${language}~${feedLabel}~${sku}`;
 };
 
 /**
  * Upserts multiple products into Google Merchant Center concurrently.
  * Uses insertProductInput which creates new products or updates existing ones.
+ * A rejected request only fails its own product, the others are still upserted.
+ * Requests rejected with a transient error are retried as set by the request options.
  *
  * @param {string} credsJson - JSON string containing service account credentials
  * @param {string} merchantId - The Merchant Center account ID
  * @param {string} dataSourceId - The data source ID to upsert the products into
  * @param {IProductInput[]} productInputs - Array of product inputs from transformer
  * @param {Logger} logger - The logger to use
- * @returns {Promise<object[]>} Array of upserted product responses
+ * @param {GoogleRequestOptions} [requestOptions] - The concurrency and retry options
+ * @returns {Promise<{upserted: IProductInput[], failed: {offerId: string, error: Error}[], retries: number}>}
+ *   Upserted product responses, the offer IDs that failed and the number of retried requests
  */
 const upsertProducts = async (
   credsJson,
   merchantId,
   dataSourceId,
   productInputs,
-  logger
+  logger,
+  requestOptions
 ) => {
-  if (productInputs.length === 0) return [];
-
-  const authClient = await getCredentials(credsJson);
+  if (productInputs.length === 0) {
+    return { upserted: [], failed: [], retries: 0 };
+  }
 
-  const client = new ProductInputsServiceClient({ authClient });
+  const client = await getClient(
+    ProductInputsServiceClient,
+    credsJson,
+    merchantId
+  );
   const parent = `accounts/${merchantId}`;
   const dataSource = `accounts/${merchantId}/dataSources/${dataSourceId}`;
 
@@ -70,19 +174,123 @@ const upsertProducts = async (
 
   logger.info(`Upserting ${requests.length} products concurrently`);
 
-  const insertPromises = requests.map((request) =>
-    client.insertProductInput(request)
+  const { results, retries } = await settleRequests(
+    requests,
+    (request) => client.insertProductInput(request),
+    requestOptions,
+    logger
+  );
+
+  const upserted = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    const { offerId } = productInputs[index];
+    if (result.status === "fulfilled") {
+      upserted.push(result.value[0]);
+    } else {
+      logger.error(
+        `Failed to upsert product ${offerId}: ${result.reason.message}`
+      );
+      failed.push({ offerId, error: result.reason });
+    }
+  });
+  logger.debug(`Response from Google: ${JSON.stringify(upserted)}`);
+
+  logger.info(
+    `Successfully upserted ${upserted.length} products, ${failed.length} failed`
+  );
+  return { upserted, failed, retries };
+};
+
+/**
+ * Updates attributes of existing products in Google Merchant Center concurrently,
+ * using updateProductInput with the given update mask.
+ * Products that do not exist yet are reported as not found, so the caller can
+ * insert them in full. A rejected request only fails its own product.
+ * Requests rejected with a transient error are retried as set by the request options.
+ *
+ * @param {string} credsJson - JSON string containing service account credentials
+ * @param {string} merchantId - The Merchant Center account ID
+ * @param {string} dataSourceId - The data source ID of the products
+ * @param {IProductInput[]} productInputs - Product inputs with the attributes to update
+ * @param {string[]} updateMask - The update mask paths (e.g. product_attributes.price)
+ * @param {Logger} logger - The logger to use
+ * @param {GoogleRequestOptions} [requestOptions] - The concurrency and retry options
+ * @returns {Promise<{updated: IProductInput[], notFound: string[], failed: {offerId: string, error: Error}[], retries: number}>}
+ *   Updated product responses, the offer IDs not found, the offer IDs that failed and the number of retried requests
+ */
+const updateProducts = async (
+  credsJson,
+  merchantId,
+  dataSourceId,
+  productInputs,
+  updateMask,
+  logger,
+  requestOptions
+) => {
+  if (productInputs.length === 0) {
+    return { updated: [], notFound: [], failed: [], retries: 0 };
+  }
+
+  const client = await getClient(
+    ProductInputsServiceClient,
+    credsJson,
+    merchantId
+  );
+  const dataSource = `accounts/${merchantId}/dataSources/${dataSourceId}`;
+
+  const requests = productInputs.map((productInput) => ({
+    productInput: {
+      ...productInput,
+      name: buildProductInputName(
+        merchantId,
+        productInput.feedLabel,
+        productInput.contentLanguage,
+        productInput.offerId
+      ),
+    },
+    updateMask: { paths: updateMask },
+    dataSource,
+  }));
+
+  logger.info(`Updating ${requests.length} products concurrently`);
+
+  const { results, retries } = await settleRequests(
+    requests,
+    (request) => client.updateProductInput(request),
+    requestOptions,
+    logger
   );
-  const results = await Promise.all(insertPromises);
-  logger.debug(`Response from Google: ${JSON.stringify(results)}`);
-  const insertedProducts = results.map((result) => result[0]);
 
-  logger.info(`Successfully upserted ${insertedProducts.length} products`);
-  return insertedProducts;
+  const updated = [];
+  const notFound = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    const { offerId } = productInputs[index];
+    if (result.status === "fulfilled") {
+      updated.push(result.value[0]);
+    } else if (result.reason.code === GRPC_NOT_FOUND) {
+      logger.info(`Product ${offerId} not found in Google, cannot update it`);
+      notFound.push(offerId);
+    } else {
+      logger.error(
+        `Failed to update product ${offerId}: ${result.reason.message}`
+      );
+      failed.push({ offerId, error: result.reason });
+    }
+  });
+
+  logger.info(
+    `Successfully updated ${updated.length} products, ${notFound.length} not found, ${failed.length} failed`
+  );
+  return { updated, notFound, failed, retries };
 };
 
 /**
  * Deletes multiple products from Google Merchant Center concurrently.
+ * A rejected request only fails its own product, the others are still deleted.
+ * Products that do not exist are counted as deleted, and also reported as not found.
+ * Requests rejected with a transient error are retried as set by the request options.
  *
  * @param {string} credsJson - JSON string containing service account credentials
  * @param {string} merchantId - The Merchant Center account ID
@@ -91,7 +299,9 @@ const upsertProducts = async (
  * @param {string} language - ISO 639-1 content language code
  * @param {string[]} skus - Array of product SKUs to delete
  * @param {Logger} logger - The logger to use
- * @returns {Promise<void>}
+ * @param {GoogleRequestOptions} [requestOptions] - The concurrency and retry options
+ * @returns {Promise<{deleted: string[], notFound: string[], failed: {sku: string, error: Error}[], retries: number}>}
+ *   Deleted SKUs, the SKUs not found, the SKUs that failed and the number of retried requests
  */
 const deleteProducts = async (
   credsJson,
@@ -100,34 +310,288 @@ const deleteProducts = async (
   feedLabel,
   language,
   skus,
+  logger,
+  requestOptions
+) => {
+  if (skus.length === 0) {
+    return { deleted: [], notFound: [], failed: [], retries: 0 };
+  }
+
+  const client = await getClient(
+    ProductInputsServiceClient,
+    credsJson,
+    merchantId
+  );
+  const dataSource = `accounts/${merchantId}/dataSources/${dataSourceId}`;
+
+  const requests = skus.map((sku) => ({
+    name: buildProductInputName(merchantId, feedLabel, language, sku),
+    dataSource,
+  }));
+
+  logger.info(`Deleting ${requests.length} products concurrently`);
+
+  const { results, retries } = await settleRequests(
+    requests,
+    (request) => client.deleteProductInput(request),
+    requestOptions,
+    logger
+  );
+
+  const deleted = [];
+  const notFound = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    const sku = skus[index];
+    if (result.status === "fulfilled") {
+      deleted.push(sku);
+    } else if (result.reason.code === GRPC_NOT_FOUND) {
+      logger.info(`Product ${sku} not found in Google, nothing to delete`);
+      deleted.push(sku);
+      notFound.push(sku);
+    } else {
+      logger.error(`Failed to delete product ${sku}: ${result.reason.message}`);
+      failed.push({ sku, error: result.reason });
+    }
+  });
+
+  logger.info(
+    `Successfully deleted ${deleted.length} products (${notFound.length} not found), ${failed.length} failed`
+  );
+  return { deleted, notFound, failed, retries };
+};
+
+// Largest page of products the Merchant API returns
+const LIST_PAGE_SIZE = 1000;
+
+/**
+ * Checks whether a processed product belongs to a data source, feed label and language.
+ *
+ * @param {IProduct} product - The processed product
+ * @param {string} dataSource - The data source name
+ * @param {string} feedLabel - The feed label for the products
+ * @param {string} language - ISO 639-1 content language code
+ * @returns {boolean} True if the product belongs to them
+ * @private
+ */
+const isDataSourceProduct = (product, dataSource, feedLabel, language) =>
+  product.dataSource === dataSource &&
+  product.feedLabel === feedLabel &&
+  product.contentLanguage === language;
+
+/**
+ * Gets the offer ID of a processed product, with the item group of variants.
+ *
+ * @param {IProduct} product - The processed product
+ * @returns {{offerId: string, itemGroupId: string|null}} The offer
+ * @private
+ */
+const toOffer = (product) => ({
+  offerId: product.offerId,
+  itemGroupId: product.productAttributes?.itemGroupId || null,
+});
+
+/**
+ * Lists the processed products of a data source in Google Merchant Center for a
+ * feed label and language. Products are listed for the whole account and
+ * filtered locally, as the API has no data source filter.
+ *
+ * @param {string} credsJson - JSON string containing service account credentials
+ * @param {string} merchantId - The Merchant Center account ID
+ * @param {string} dataSourceId - The data source ID
+ * @param {string} feedLabel - The feed label for the products
+ * @param {string} language - ISO 639-1 content language code
+ * @param {Logger} logger - The logger to use
+ * @returns {Promise<IProduct[]>} The processed products
+ * @private
+ */
+const listDataSourceProducts = async (
+  credsJson,
+  merchantId,
+  dataSourceId,
+  feedLabel,
+  language,
   logger
 ) => {
-  if (skus.length === 0) return;
+  const client = await getClient(ProductsServiceClient, credsJson, merchantId);
+  const dataSource = `accounts/${merchantId}/dataSources/${dataSourceId}`;
 
-  const authClient = await getCredentials(credsJson);
+  const products = [];
+  let listed = 0;
+  for await (const product of client.listProductsAsync({
+    parent: `accounts/${merchantId}`,
+    pageSize: LIST_PAGE_SIZE,
+  })) {
+    listed++;
+    if (isDataSourceProduct(product, dataSource, feedLabel, language)) {
+      products.push(product);
+    }
+  }
+
+  logger.info(
+    `Found ${products.length} of ${listed} products in data source ${dataSourceId} for ${language}~${feedLabel}`
+  );
+  return products;
+};
 
-  const client = new ProductInputsServiceClient({ authClient });
+/**
+ * Lists the products of a data source in Google Merchant Center for a feed label and language.
+ *
+ * @param {string} credsJson - JSON string containing service account credentials
+ * @param {string} merchantId - The Merchant Center account ID
+ * @param {string} dataSourceId - The data source ID
+ * @param {string} feedLabel - The feed label for the products
+ * @param {string} language - ISO 639-1 content language code
+ * @param {Logger} logger - The logger to use
+ * @returns {Promise<{offerId: string, itemGroupId: string|null}[]>} The offer IDs, with the item group of variants
+ */
+const listProducts = async (
+  credsJson,
+  merchantId,
+  dataSourceId,
+  feedLabel,
+  language,
+  logger
+) => {
+  const products = await listDataSourceProducts(
+    credsJson,
+    merchantId,
+    dataSourceId,
+    feedLabel,
+    language,
+    logger
+  );
+  return products.map(toOffer);
+};
+
+/**
+ * Lists one page of the products of the account in Google Merchant Center and
+ * keeps those of a data source for a feed label and language, so a large account
+ * can be listed over many invocations.
+ *
+ * @param {string} credsJson - JSON string containing service account credentials
+ * @param {string} merchantId - The Merchant Center account ID
+ * @param {string} dataSourceId - The data source ID
+ * @param {string} feedLabel - The feed label for the products
+ * @param {string} language - ISO 639-1 content language code
+ * @param {string|null} pageToken - The token of the page to list, null for the first page
+ * @param {Logger} logger - The logger to use
+ * @returns {Promise<{offers: {offerId: string, itemGroupId: string|null}[], nextPageToken: string|null}>}
+ *   The offer IDs of the page, with the item group of variants, and the token of the next page, null after the last page
+ */
+const listProductsPage = async (
+  credsJson,
+  merchantId,
+  dataSourceId,
+  feedLabel,
+  language,
+  pageToken,
+  logger
+) => {
+  const client = await getClient(ProductsServiceClient, credsJson, merchantId);
   const dataSource = `accounts/${merchantId}/dataSources/${dataSourceId}`;
 
-  const requests = skus.map((sku) => {
-    const productId = `${language}~${feedLabel}~${sku}`;
-    return {
-      name: `accounts/${merchantId}/productInputs/${productId}`,
-      dataSource,
-    };
-  });
+  const [products, , response] = await client.listProducts(
+    {
+      parent: `accounts/${merchantId}`,
+      pageSize: LIST_PAGE_SIZE,
+      ...(pageToken && { pageToken }),
+    },
+    { autoPaginate: false }
+  );
+  const offers = products
+    .filter((product) =>
+      isDataSourceProduct(product, dataSource, feedLabel, language)
+    )
+    .map(toOffer);
 
-  logger.info(`Deleting ${requests.length} products concurrently`);
+  logger.info(
+    `Found ${offers.length} of ${products.length} products of the page in data source ${dataSourceId} for ${language}~${feedLabel}`
+  );
+  return { offers, nextPageToken: response?.nextPageToken || null };
+};
 
-  const deletePromises = requests.map((request) =>
-    client.deleteProductInput(request)
+/**
+ * Lists the variant offers of a data source in Google Merchant Center whose
+ * item group is one of the given parent SKUs, for a feed label and language.
+ *
+ * @param {string} credsJson - JSON string containing service account credentials
+ * @param {string} merchantId - The Merchant Center account ID
+ * @param {string} dataSourceId - The data source ID
+ * @param {string} feedLabel - The feed label for the products
+ * @param {string} language - ISO 639-1 content language code
+ * @param {string[]} itemGroupIds - The parent SKUs
+ * @param {Logger} logger - The logger to use
+ * @returns {Promise<{offerId: string, itemGroupId: string}[]>} The offer IDs, with their item group
+ */
+const listItemGroupOffers = async (
+  credsJson,
+  merchantId,
+  dataSourceId,
+  feedLabel,
+  language,
+  itemGroupIds,
+  logger
+) => {
+  const offers = await listProducts(
+    credsJson,
+    merchantId,
+    dataSourceId,
+    feedLabel,
+    language,
+    logger
   );
-  await Promise.all(deletePromises);
+  const groups = new Set(itemGroupIds);
+  return offers.filter(({ itemGroupId }) => groups.has(itemGroupId));
+};
 
-  logger.info(`Successfully deleted ${skus.length} products`);
+/**
+ * Lists the statuses of the products of a data source in Google Merchant Center
+ * for a feed label and language: the destinations where each product is
+ * approved or disapproved, and its item-level issues.
+ *
+ * @param {string} credsJson - JSON string containing service account credentials
+ * @param {string} merchantId - The Merchant Center account ID
+ * @param {string} dataSourceId - The data source ID
+ * @param {string} feedLabel - The feed label for the products
+ * @param {string} language - ISO 639-1 content language code
+ * @param {Logger} logger - The logger to use
+ * @returns {Promise<{offerId: string, itemGroupId: string|null, productStatus: IProductStatus|null}[]>}
+ *   The offer IDs, with the item group of variants and the product status
+ */
+const listProductStatuses = async (
+  credsJson,
+  merchantId,
+  dataSourceId,
+  feedLabel,
+  language,
+  logger
+) => {
+  const products = await listDataSourceProducts(
+    credsJson,
+    merchantId,
+    dataSourceId,
+    feedLabel,
+    language,
+    logger
+  );
+  return products.map((product) => ({
+    offerId: product.offerId,
+    itemGroupId: product.productAttributes?.itemGroupId || null,
+    productStatus: product.productStatus || null,
+  }));
 };
 
 module.exports = {
+  getCredentials,
+  getClient,
+  closeClients,
+  buildProductInputName,
   upsertProducts,
+  updateProducts,
   deleteProducts,
+  listProducts,
+  listProductsPage,
+  listItemGroupOffers,
+  listProductStatuses,
 };
@@ -0,0 +1,188 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * Google Merchant Center client for managing product inventories.
+ *
+ * @typedef {import('@google-shopping/inventories').protos.google.shopping.merchant.inventories.v1.ILocalInventory} ILocalInventory
+ * @typedef {import('@google-shopping/inventories').protos.google.shopping.merchant.inventories.v1.IRegionalInventory} IRegionalInventory
+ * @typedef {import('../types/config').GoogleRequestOptions} GoogleRequestOptions
+ */
+
+const { LocalInventoryServiceClient, RegionalInventoryServiceClient } =
+  require("@google-shopping/inventories").v1;
+const { getClient } = require("./google.js");
+const { settleRequests } = require("./requests.js");
+
+/**
+ * Builds the resource name of a processed product, the parent of its inventories.
+ *
+ * @param {string} merchantId - The Merchant Center account ID
+ * @param {string} feedLabel - The feed label for the product
+ * @param {string} language - ISO 639-1 content language code
+ * @param {string} sku - The product SKU (offer ID)
+ * @returns {string} The product name
+ */
+const buildProductName = (merchantId, feedLabel, language, sku) => {
+  return `accounts/${merchantId}/products/${language}~${feedLabel}~${sku}`;
+};
+
+/**
+ * Sends inventory insert requests concurrently and collects their results. A
+ * rejected request only fails its own product, the others are still inserted.
+ * Requests rejected with a transient error are retried as set by the request options.
+ *
+ * @param {{offerId: string}[]} inventories - The inventories by offer ID
+ * @param {function(object): Promise<any>} insert - Sends the insert request of an inventory
+ * @param {function(object): string} describe - Describes an inventory for the logs (e.g. its store code)
+ * @param {string} kind - The kind of inventories, for the logs
+ * @param {Logger} logger - The logger to use
+ * @param {GoogleRequestOptions} [requestOptions] - The concurrency and retry options
+ * @returns {Promise<{inserted: number, failed: {offerId: string, error: Error}[], retries: number}>}
+ *   The number of inserted inventories, the inventories that failed and the number of retried requests
+ * @private
+ */
+const settleInserts = async (
+  inventories,
+  insert,
+  describe,
+  kind,
+  logger,
+  requestOptions
+) => {
+  logger.info(`Inserting ${inventories.length} ${kind} concurrently`);
+
+  const { results, retries } = await settleRequests(
+    inventories,
+    insert,
+    requestOptions,
+    logger
+  );
+
+  let inserted = 0;
+  const failed = [];
+  results.forEach((result, index) => {
+    const inventory = inventories[index];
+    if (result.status === "fulfilled") {
+      inserted++;
+    } else {
+      logger.error(
+        `Failed to insert ${describe(inventory)} of ${inventory.offerId}: ${result.reason.message}`
+      );
+      failed.push({ ...inventory, error: result.reason });
+    }
+  });
+
+  logger.info(
+    `Successfully inserted ${inserted} ${kind}, ${failed.length} failed`
+  );
+  return { inserted, failed, retries };
+};
+
+/**
+ * Inserts local inventories of products into Google Merchant Center concurrently.
+ * Inserting the inventory of a store replaces its previous inventory.
+ *
+ * @param {string} credsJson - JSON string containing service account credentials
+ * @param {string} merchantId - The Merchant Center account ID
+ * @param {string} feedLabel - The feed label for the products
+ * @param {string} language - ISO 639-1 content language code
+ * @param {{offerId: string, localInventory: ILocalInventory}[]} inventories - The local inventories by offer ID
+ * @param {Logger} logger - The logger to use
+ * @param {GoogleRequestOptions} [requestOptions] - The concurrency and retry options
+ * @returns {Promise<{inserted: number, failed: {offerId: string, localInventory: ILocalInventory, error: Error}[], retries: number}>}
+ *   The number of inserted inventories and the inventories that failed
+ */
+const insertLocalInventories = async (
+  credsJson,
+  merchantId,
+  feedLabel,
+  language,
+  inventories,
+  logger,
+  requestOptions
+) => {
+  if (inventories.length === 0) return { inserted: 0, failed: [], retries: 0 };
+
+  const client = await getClient(
+    LocalInventoryServiceClient,
+    credsJson,
+    merchantId
+  );
+
+  return settleInserts(
+    inventories,
+    ({ offerId, localInventory }) =>
+      client.insertLocalInventory({
+        parent: buildProductName(merchantId, feedLabel, language, offerId),
+        localInventory,
+      }),
+    ({ localInventory }) =>
+      `local inventory in store ${localInventory.storeCode}`,
+    "local inventories",
+    logger,
+    requestOptions
+  );
+};
+
+/**
+ * Inserts regional inventories of products into Google Merchant Center
+ * concurrently. Inserting the inventory of a region replaces its previous
+ * inventory.
+ *
+ * @param {string} credsJson - JSON string containing service account credentials
+ * @param {string} merchantId - The Merchant Center account ID
+ * @param {string} feedLabel - The feed label for the products
+ * @param {string} language - ISO 639-1 content language code
+ * @param {{offerId: string, regionalInventory: IRegionalInventory}[]} inventories - The regional inventories by offer ID
+ * @param {Logger} logger - The logger to use
+ * @param {GoogleRequestOptions} [requestOptions] - The concurrency and retry options
+ * @returns {Promise<{inserted: number, failed: {offerId: string, regionalInventory: IRegionalInventory, error: Error}[], retries: number}>}
+ *   The number of inserted inventories and the inventories that failed
+ */
+const insertRegionalInventories = async (
+  credsJson,
+  merchantId,
+  feedLabel,
+  language,
+  inventories,
+  logger,
+  requestOptions
+) => {
+  if (inventories.length === 0) return { inserted: 0, failed: [], retries: 0 };
+
+  const client = await getClient(
+    RegionalInventoryServiceClient,
+    credsJson,
+    merchantId
+  );
+
+  return settleInserts(
+    inventories,
+    ({ offerId, regionalInventory }) =>
+      client.insertRegionalInventory({
+        parent: buildProductName(merchantId, feedLabel, language, offerId),
+        regionalInventory,
+      }),
+    ({ regionalInventory }) =>
+      `regional inventory in region ${regionalInventory.region}`,
+    "regional inventories",
+    logger,
+    requestOptions
+  );
+};
+
+module.exports = {
+  buildProductName,
+  insertLocalInventories,
+  insertRegionalInventories,
+};
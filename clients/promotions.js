@@ -0,0 +1,88 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * Google Merchant Center client for managing promotions.
+ *
+ * @typedef {import('@google-shopping/promotions').protos.google.shopping.merchant.promotions.v1.IPromotion} IPromotion
+ * @typedef {import('../types/config').GoogleRequestOptions} GoogleRequestOptions
+ */
+
+const { PromotionsServiceClient } = require("@google-shopping/promotions").v1;
+const { getClient } = require("./google.js");
+const { settleRequests } = require("./requests.js");
+
+/**
+ * Upserts promotions into a promotions data source of Google Merchant Center
+ * concurrently. Inserting a promotion replaces the promotion with the same ID.
+ * A rejected request only fails its own promotion, the others are still upserted.
+ * Requests rejected with a transient error are retried as set by the request options.
+ *
+ * @param {string} credsJson - JSON string containing service account credentials
+ * @param {string} merchantId - The Merchant Center account ID
+ * @param {string} dataSourceId - The promotions data source ID
+ * @param {IPromotion[]} promotions - Array of promotions from transformer
+ * @param {Logger} logger - The logger to use
+ * @param {GoogleRequestOptions} [requestOptions] - The concurrency and retry options
+ * @returns {Promise<{upserted: string[], failed: {promotionId: string, error: Error}[], retries: number}>}
+ *   The upserted promotion IDs, the promotions that failed and the number of retried requests
+ */
+const upsertPromotions = async (
+  credsJson,
+  merchantId,
+  dataSourceId,
+  promotions,
+  logger,
+  requestOptions
+) => {
+  if (promotions.length === 0) return { upserted: [], failed: [], retries: 0 };
+
+  const client = await getClient(
+    PromotionsServiceClient,
+    credsJson,
+    merchantId
+  );
+  const parent = `accounts/${merchantId}`;
+  const dataSource = `accounts/${merchantId}/dataSources/${dataSourceId}`;
+
+  logger.info(`Upserting ${promotions.length} promotions concurrently`);
+
+  const { results, retries } = await settleRequests(
+    promotions,
+    (promotion) => client.insertPromotion({ parent, promotion, dataSource }),
+    requestOptions,
+    logger
+  );
+
+  const upserted = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    const { promotionId } = promotions[index];
+    if (result.status === "fulfilled") {
+      upserted.push(promotionId);
+    } else {
+      logger.error(
+        `Failed to upsert promotion ${promotionId}: ${result.reason.message}`
+      );
+      failed.push({ promotionId, error: result.reason });
+    }
+  });
+
+  logger.info(
+    `Successfully upserted ${upserted.length} promotions, ${failed.length} failed`
+  );
+  return { upserted, failed, retries };
+};
+
+module.exports = {
+  upsertPromotions,
+};
@@ -0,0 +1,114 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * Sends batches of Google Merchant API requests with bounded concurrency,
+ * retrying the requests rejected with a transient gRPC status.
+ *
+ * @typedef {import('../types/config').GoogleRequestOptions} GoogleRequestOptions
+ */
+
+// gRPC status codes of transient errors: DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED
+// (quota exceeded) and UNAVAILABLE
+const RETRYABLE_CODES = new Set([4, 8, 14]);
+
+const DEFAULT_BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+/**
+ * Checks whether a rejected request can be retried.
+ *
+ * @param {Error & {code?: number}} error - The request error
+ * @returns {boolean} True for a transient gRPC status
+ */
+const isRetryable = (error) => RETRYABLE_CODES.has(error?.code);
+
+/**
+ * Gets the delay before a retry: an exponential backoff with full jitter, so
+ * requests throttled together do not retry together.
+ *
+ * @param {number} attempt - The retry attempt, starting at 0
+ * @param {number} baseDelayMs - The delay of the first retry
+ * @returns {number} The delay in milliseconds
+ */
+const getRetryDelay = (attempt, baseDelayMs) => {
+  return Math.random() * Math.min(MAX_DELAY_MS, baseDelayMs * 2 ** attempt);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Sends a request for each item, at most `concurrency` at a time, and settles
+ * them like Promise.allSettled. A request rejected with a transient gRPC status
+ * is retried up to `maxRetries` times; other rejections only fail their item.
+ * Without options, all requests are sent at once and never retried.
+ *
+ * @template T, R
+ * @param {T[]} items - The items to send
+ * @param {(item: T) => Promise<R>} send - Sends the request of an item
+ * @param {GoogleRequestOptions} options - The concurrency and retry options
+ * @param {object} logger - The logger to use
+ * @returns {Promise<{results: PromiseSettledResult<R>[], retries: number}>}
+ *   The settled results in the order of the items, and the number of retries
+ */
+const settleRequests = async (items, send, options, logger) => {
+  const {
+    concurrency = items.length,
+    maxRetries = 0,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  } = options || {};
+  const results = new Array(items.length);
+  let retries = 0;
+  let next = 0;
+
+  const sendWithRetries = async (item) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send(item);
+      } catch (error) {
+        if (attempt >= maxRetries || !isRetryable(error)) throw error;
+        retries++;
+        const delay = getRetryDelay(attempt, baseDelayMs);
+        logger.warn(
+          `Retrying request in ${Math.round(delay)}ms (${attempt + 1} of ${maxRetries}): ${error.message}`
+        );
+        await sleep(delay);
+      }
+    }
+  };
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = {
+          status: "fulfilled",
+          value: await sendWithRetries(items[index]),
+        };
+      } catch (reason) {
+        results[index] = { status: "rejected", reason };
+      }
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  if (retries > 0) {
+    logger.info(`Retried ${retries} request(s)`);
+  }
+  return { results, retries };
+};
+
+module.exports = {
+  settleRequests,
+};
@@ -0,0 +1,137 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * App Builder State client (aio-lib-state) and an in-memory stand-in with the same interface.
+ *
+ * @typedef {object} StateStore
+ * @property {(key: string) => Promise<{value: string, expiration: string}|undefined>} get
+ * @property {(key: string, value: string, options?: {ttl?: number}) => Promise<string>} put
+ * @property {(key: string) => Promise<string|null>} delete
+ * @property {(options: {match: string, countHint?: number}) => AsyncGenerator<{keys: string[]}>} list
+ */
+
+const { State } = require("@adobe/aio-sdk");
+
+// aio-lib-state expires keys after one day when no TTL is given
+const DEFAULT_TTL_SECONDS = 60 * 60 * 24;
+
+/**
+ * Initializes the App Builder State store for the runtime namespace.
+ *
+ * @param {string} [region] - The state region (e.g. "amer", "emea", "apac")
+ * @returns {Promise<StateStore>} The initialized state store
+ */
+const initStateStore = async (region) => {
+  return State.init(region ? { region } : {});
+};
+
+/**
+ * Encodes a value so it only contains characters allowed in state keys.
+ * Characters outside [a-zA-Z0-9-] are escaped as `_` followed by their UTF-8 hex
+ * bytes, which keeps the encoding collision free and leaves `.` free as a separator.
+ *
+ * @param {string|number} value - The value to encode
+ * @returns {string} The encoded key part
+ */
+const encodeKeyPart = (value) => {
+  return Array.from(Buffer.from(String(value), "utf8"))
+    .map((byte) => {
+      const char = String.fromCharCode(byte);
+      return /[a-zA-Z0-9-]/.test(char)
+        ? char
+        : `_${byte.toString(16).padStart(2, "0")}`;
+    })
+    .join("");
+};
+
+/**
+ * Builds a state key from its parts, separated by `.`.
+ *
+ * @param {...(string|number)} parts - The key parts (e.g. prefix, market id, SKU)
+ * @returns {string} The state key
+ */
+const toStateKey = (...parts) => {
+  return parts.map(encodeKeyPart).join(".");
+};
+
+/**
+ * Converts a glob pattern supporting `*` to a regular expression.
+ *
+ * @param {string} match - The glob pattern
+ * @returns {RegExp} The regular expression
+ * @private
+ */
+const globToRegExp = (match) => {
+  const escaped = match
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`);
+};
+
+/**
+ * Creates an in-memory state store implementing the subset of the aio-lib-state
+ * interface used by this application. Useful for tests and local development.
+ *
+ * @returns {StateStore} The in-memory state store
+ */
+const createMemoryStateStore = () => {
+  const entries = new Map();
+
+  const getLiveEntry = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  return {
+    async get(key) {
+      const entry = getLiveEntry(key);
+      if (!entry) return undefined;
+      return {
+        value: entry.value,
+        expiration: new Date(entry.expiresAt).toISOString(),
+      };
+    },
+
+    async put(key, value, options = {}) {
+      const ttl = options.ttl || DEFAULT_TTL_SECONDS;
+      entries.set(key, {
+        value: String(value),
+        expiresAt: Date.now() + ttl * 1000,
+      });
+      return key;
+    },
+
+    async delete(key) {
+      return entries.delete(key) ? key : null;
+    },
+
+    async *list(options = {}) {
+      const pattern = globToRegExp(options.match || "*");
+      const keys = [...entries.keys()].filter(
+        (key) => getLiveEntry(key) && pattern.test(key)
+      );
+      yield { keys };
+    },
+  };
+};
+
+module.exports = {
+  initStateStore,
+  createMemoryStateStore,
+  toStateKey,
+};
@@ -0,0 +1,190 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+const {
+  getProducts,
+  getVariants,
+  isComplexProduct,
+  isProductListed,
+} = require("../../clients/commerce.js");
+const {
+  explainAttributes,
+  resolveOptionSelections,
+  transformProduct,
+  transformVariant,
+} = require("../../transformers/product.js");
+const { applyPromotionIds } = require("../../transformers/promotion.js");
+
+/**
+ * @typedef {import('../../types/config').FeedConfig} FeedConfig
+ * @typedef {import('../../types/commerce').CommerceProduct} CommerceProduct
+ * @typedef {import('../../types/preview').ProductPreview} ProductPreview
+ * @typedef {import('../../types/preview').PreviewResult} PreviewResult
+ */
+
+/**
+ * Previews a simple product.
+ *
+ * @param {FeedConfig} feedConfig - The feed configuration
+ * @param {CommerceProduct} product - The Commerce product
+ * @returns {ProductPreview} The product input and where its attributes went
+ */
+const previewSimpleProduct = (feedConfig, product) => {
+  const productInput = applyPromotionIds(
+    transformProduct(
+      feedConfig.googleFeedLabel,
+      product,
+      feedConfig.googleContentLanguage,
+      feedConfig.googleTargetCountry,
+      feedConfig.storeUrlTemplate
+    ),
+    feedConfig.googlePromotions
+  );
+  const { standard, custom } = explainAttributes(product.attributes || []);
+  return {
+    sku: product.sku,
+    productInput,
+    standardAttributes: standard,
+    customAttributes: custom,
+  };
+};
+
+/**
+ * Previews a variant of a complex product. Standard fields are merged from the
+ * parent, the option selections and the variant, while custom attributes only
+ * come from the variant.
+ *
+ * @param {FeedConfig} feedConfig - The feed configuration
+ * @param {CommerceProduct} parentProduct - The parent complex product
+ * @param {object} variant - The variant from the variants query
+ * @returns {ProductPreview} The product input and where its attributes went
+ */
+const previewVariant = (feedConfig, parentProduct, variant) => {
+  const productInput = applyPromotionIds(
+    transformVariant(
+      feedConfig.googleFeedLabel,
+      parentProduct,
+      variant,
+      feedConfig.googleContentLanguage,
+      feedConfig.googleTargetCountry,
+      feedConfig.storeUrlTemplate,
+      feedConfig.storeVariantUrlTemplate
+    ),
+    feedConfig.googlePromotions
+  );
+  const parentExplained = explainAttributes(parentProduct.attributes || []);
+  const variantExplained = explainAttributes(variant.product.attributes || []);
+  const variantFields = new Set(
+    variantExplained.standard.map(({ field }) => field)
+  );
+  // Variant attributes take precedence over the option selections
+  const optionAttributes = resolveOptionSelections(
+    parentProduct,
+    variant.selections
+  ).map((selection) => ({
+    ...selection,
+    field: variantFields.has(selection.field) ? null : selection.field,
+  }));
+  const optionFields = new Set(optionAttributes.map(({ field }) => field));
+  return {
+    sku: variant.product.sku,
+    parentSku: parentProduct.sku,
+    productInput,
+    standardAttributes: [
+      ...parentExplained.standard.filter(
+        ({ field }) => !variantFields.has(field) && !optionFields.has(field)
+      ),
+      ...variantExplained.standard,
+    ],
+    optionAttributes,
+    customAttributes: variantExplained.custom,
+  };
+};
+
+/**
+ * Fetches a product from the catalog view of a market and transforms it the way it
+ * would be sent to Google Merchant Center. A complex product is previewed as its
+ * variants, and a variant is previewed on its own when its parent SKU is given.
+ * Storefront returns a variant requested without its parent as a simple product,
+ * so a simple product that is not listed in the catalog view search is reported
+ * as needing its parent SKU instead of being previewed.
+ * Products that cannot be transformed are reported with their error.
+ *
+ * @param {FeedConfig} feedConfig - The feed configuration
+ * @param {string} tenantId - The tenant ID
+ * @param {string} sku - The SKU to preview
+ * @param {string} [parentSku] - The parent SKU, when previewing a variant
+ * @returns {Promise<PreviewResult|null>} The previews, or null if the product was not found
+ */
+const previewProduct = async (feedConfig, tenantId, sku, parentSku) => {
+  const { acoApiBaseUrl, acoViewId, acoPriceBookId, acoRequestOptions } =
+    feedConfig;
+  const [product] = await getProducts(
+    acoApiBaseUrl,
+    acoViewId,
+    acoPriceBookId,
+    tenantId,
+    [parentSku || sku],
+    acoRequestOptions
+  );
+  if (!product) return null;
+
+  const products = [];
+  const errors = [];
+  const preview = (productSku, build) => {
+    try {
+      products.push(build());
+    } catch (error) {
+      errors.push({ sku: productSku, error: error.message });
+    }
+  };
+
+  if (!isComplexProduct(product)) {
+    if (parentSku) return null;
+    const listed = await isProductListed(
+      acoApiBaseUrl,
+      acoViewId,
+      acoPriceBookId,
+      tenantId,
+      product.sku,
+      acoRequestOptions
+    );
+    if (!listed) return { products, errors, parentSkuRequired: true };
+    preview(product.sku, () => previewSimpleProduct(feedConfig, product));
+    return { products, errors };
+  }
+
+  const variants = await getVariants(
+    acoApiBaseUrl,
+    acoViewId,
+    acoPriceBookId,
+    tenantId,
+    product.sku,
+    undefined,
+    acoRequestOptions
+  );
+  const selected = parentSku
+    ? variants.filter((variant) => variant.product.sku === sku)
+    : variants;
+  if (selected.length === 0 && parentSku) return null;
+
+  for (const variant of selected) {
+    preview(variant.product.sku, () =>
+      previewVariant(feedConfig, product, variant)
+    );
+  }
+  return { products, errors };
+};
+
+module.exports = {
+  previewProduct,
+};
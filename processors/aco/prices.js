@@ -0,0 +1,270 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+const { groupByOperation } = require("../../actions/utils.js");
+const { updateProducts, upsertProducts } = require("../../clients/google.js");
+const {
+  getMaskedAttributeName,
+  pickMaskedAttributes,
+  PRICE_FIELD_MASKS,
+} = require("../../transformers/product.js");
+const {
+  deleteAndRecord,
+  deleteDroppedVariants,
+  fetchAndTransformProducts,
+  insertOfferInventories,
+  listOfferInventories,
+  recordOfferOutcomes,
+  upsertOffers,
+} = require("./products.js");
+const { createOutcomes, recordRetries } = require("../outcomes.js");
+
+/**
+ * @typedef {import('@google-shopping/products').protos.google.shopping.merchant.products.v1.IProductInput} IProductInput
+ * @typedef {import('../../types/config').FeedConfig} FeedConfig
+ * @typedef {import('../../types/config').SupplementalDataSourceConfig} SupplementalDataSourceConfig
+ * @typedef {import('../../types/outcomes').ItemOutcomes} ItemOutcomes
+ * @typedef {import('./products').OfferInventories} OfferInventories
+ */
+
+/**
+ * Routes the price fields to the data sources of a market. A field declared by a
+ * supplemental data source is written there, the other fields are written to
+ * the primary data source.
+ *
+ * @param {SupplementalDataSourceConfig[]} supplementalDataSources - The supplemental data sources of the market
+ * @returns {{primaryFieldMasks: string[], supplementalRoutes: {dataSourceId: string, fieldMasks: string[]}[]}}
+ *   The price fields of the primary data source and of each supplemental data source
+ */
+const routePriceFields = (supplementalDataSources = []) => {
+  const routed = new Set();
+  const supplementalRoutes = [];
+  for (const { dataSourceId, fields } of supplementalDataSources) {
+    const fieldMasks = PRICE_FIELD_MASKS.filter(
+      (path) =>
+        !routed.has(path) && fields.includes(getMaskedAttributeName(path))
+    );
+    if (fieldMasks.length > 0) {
+      fieldMasks.forEach((path) => routed.add(path));
+      supplementalRoutes.push({ dataSourceId, fieldMasks });
+    }
+  }
+
+  return {
+    primaryFieldMasks: PRICE_FIELD_MASKS.filter((path) => !routed.has(path)),
+    supplementalRoutes,
+  };
+};
+
+/**
+ * Sends the price fields of the transformed products and records the per-item
+ * outcomes. Fields routed to the primary data source are sent with
+ * updateProductInput, and products that do not exist there yet are inserted in
+ * full instead. Fields routed to a supplemental data source replace the product
+ * input of that data source. The inventories of the updated products are
+ * inserted next, so regional prices follow. An item fails if any of its writes
+ * fails. In a dry run, the price updates and inventories are collected in the
+ * outcomes.
+ *
+ * @param {FeedConfig} feedConfig - The feed configuration
+ * @param {IProductInput[]} productInputs - The full product inputs
+ * @param {Map<string, object>} itemsBySku - The event items by SKU
+ * @param {ItemOutcomes} outcomes - The outcomes collector
+ * @param {object} logger - The logger to use
+ * @param {OfferInventories} [inventories] - The inventories by offer ID
+ * @returns {Promise<void>}
+ */
+const updatePricesAndRecord = async (
+  feedConfig,
+  productInputs,
+  itemsBySku,
+  outcomes,
+  logger,
+  inventories = {}
+) => {
+  const { primaryFieldMasks, supplementalRoutes } = routePriceFields(
+    feedConfig.googleSupplementalDataSources
+  );
+  const pickFields = (fieldMasks) =>
+    productInputs.map((productInput) =>
+      pickMaskedAttributes(productInput, fieldMasks)
+    );
+
+  if (feedConfig.dryRun) {
+    logger.info(`Dry run: skipping update of ${productInputs.length} prices`);
+    if (primaryFieldMasks.length > 0) {
+      outcomes.dryRun.productInputs.push(...pickFields(primaryFieldMasks));
+    }
+    for (const { dataSourceId, fieldMasks } of supplementalRoutes) {
+      outcomes.dryRun.supplementalInputs.push(
+        ...pickFields(fieldMasks).map((productInput) => ({
+          dataSourceId,
+          productInput,
+        }))
+      );
+    }
+    const { localInventories, regionalInventories } = listOfferInventories(
+      productInputs,
+      inventories
+    );
+    outcomes.dryRun.localInventories.push(...localInventories);
+    outcomes.dryRun.regionalInventories.push(...regionalInventories);
+    return;
+  }
+
+  const failures = new Map();
+  const recordFailures = (failed) => {
+    for (const { offerId, error } of failed) {
+      if (!failures.has(offerId)) {
+        failures.set(offerId, { stage: "update", error });
+      }
+    }
+  };
+
+  let notFound = new Set();
+  if (primaryFieldMasks.length > 0) {
+    try {
+      const result = await updateProducts(
+        feedConfig.googleCredsJson,
+        feedConfig.googleMerchantId,
+        feedConfig.googleDataSourceId,
+        pickFields(primaryFieldMasks),
+        primaryFieldMasks,
+        logger,
+        feedConfig.googleRequestOptions
+      );
+      recordFailures(result.failed);
+      recordRetries(outcomes, result.retries);
+      notFound = new Set(result.notFound);
+    } catch (error) {
+      logger.error(`Failed to update prices: ${error.message}`);
+      recordFailures(productInputs.map(({ offerId }) => ({ offerId, error })));
+    }
+  }
+
+  for (const { dataSourceId, fieldMasks } of supplementalRoutes) {
+    try {
+      const { failed, retries } = await upsertProducts(
+        feedConfig.googleCredsJson,
+        feedConfig.googleMerchantId,
+        dataSourceId,
+        pickFields(fieldMasks),
+        logger,
+        feedConfig.googleRequestOptions
+      );
+      recordFailures(failed);
+      recordRetries(outcomes, retries);
+    } catch (error) {
+      logger.error(
+        `Failed to update prices in supplemental data source ${dataSourceId}: ${error.message}`
+      );
+      recordFailures(productInputs.map(({ offerId }) => ({ offerId, error })));
+    }
+  }
+
+  const productsToInsert = productInputs.filter(
+    ({ offerId }) => notFound.has(offerId) && !failures.has(offerId)
+  );
+  if (productsToInsert.length > 0) {
+    logger.info(
+      `Inserting ${productsToInsert.length} products not yet in Google`
+    );
+    const failedByOfferId = await upsertOffers(
+      feedConfig,
+      productsToInsert,
+      outcomes,
+      logger
+    );
+    for (const [offerId, error] of failedByOfferId) {
+      failures.set(offerId, { stage: "upsert", error });
+    }
+  }
+  await insertOfferInventories(
+    feedConfig,
+    productInputs,
+    inventories,
+    failures,
+    outcomes,
+    logger
+  );
+
+  recordOfferOutcomes(outcomes, itemsBySku, productInputs, failures);
+};
+
+/**
+ * Process a price event for a given tenant.
+ * Products are fetched and transformed as for product events, but only their
+ * price, sale price and availability are sent to Google, to the primary or
+ * supplemental data sources of the market, along with their inventories. Deletes are processed as for
+ * product events.
+ *
+ * @param {string} tenantId - The tenant ID
+ * @param {object[]} items - The items to process
+ * @param {FeedConfig} feedConfig - The feed configuration
+ * @param {object} logger - The logger to use
+ * @returns {Promise<ItemOutcomes>} The per-item outcomes
+ */
+const processPriceEvent = async (tenantId, items, feedConfig, logger) => {
+  const outcomes = createOutcomes(feedConfig.dryRun);
+  const { create, update, delete: deleteOps } = groupByOperation(items);
+  logger.info(
+    `Processing ${create.length} price creates, ${update.length} price updates, ${deleteOps.length} price deletes`
+  );
+
+  const updateItems = [...create, ...update];
+  if (updateItems.length > 0) {
+    const collectors = {
+      parentVariants: new Map(),
+      localInventories: new Map(),
+      regionalInventories: new Map(),
+    };
+    const productInputs = await fetchAndTransformProducts(
+      feedConfig,
+      tenantId,
+      updateItems,
+      outcomes,
+      logger,
+      collectors
+    );
+    const itemsBySku = new Map(updateItems.map((item) => [item.sku, item]));
+    await deleteDroppedVariants(
+      feedConfig,
+      itemsBySku,
+      collectors.parentVariants,
+      outcomes,
+      logger
+    );
+    if (productInputs.length > 0) {
+      await updatePricesAndRecord(
+        feedConfig,
+        productInputs,
+        itemsBySku,
+        outcomes,
+        logger,
+        collectors
+      );
+    }
+  }
+
+  if (deleteOps.length > 0) {
+    await deleteAndRecord(feedConfig, deleteOps, outcomes, logger);
+  }
+
+  logger.info(
+    `Processed price items: ${outcomes.synced.length} synced, ${outcomes.skipped.length} skipped, ${outcomes.failed.length} failed`
+  );
+  return outcomes;
+};
+
+module.exports = {
+  processPriceEvent,
+};
@@ -16,14 +16,41 @@ const {
   getVariants,
   isComplexProduct,
 } = require("../../clients/commerce.js");
-const { upsertProducts, deleteProducts } = require("../../clients/google.js");
+const {
+  buildProductInputName,
+  upsertProducts,
+  deleteProducts,
+  listItemGroupOffers,
+} = require("../../clients/google.js");
+const {
+  insertLocalInventories,
+  insertRegionalInventories,
+} = require("../../clients/inventories.js");
 const {
   transformProduct,
   transformVariant,
 } = require("../../transformers/product.js");
+const {
+  transformLocalInventories,
+  transformRegionalInventory,
+} = require("../../transformers/inventory.js");
+const { applyPromotionIds } = require("../../transformers/promotion.js");
+const {
+  createOutcomes,
+  recordFailed,
+  recordRetries,
+  recordSkipped,
+  recordSynced,
+} = require("../outcomes.js");
 
 /**
  * @typedef {import('@google-shopping/products').protos.google.shopping.merchant.products.v1.IProductInput} IProductInput
+ * @typedef {import('@google-shopping/inventories').protos.google.shopping.merchant.inventories.v1.ILocalInventory} ILocalInventory
+ * @typedef {import('@google-shopping/inventories').protos.google.shopping.merchant.inventories.v1.IRegionalInventory} IRegionalInventory
+ * @typedef {{localInventories?: Map<string, ILocalInventory[]>, regionalInventories?: Map<string, IRegionalInventory[]>}} OfferInventories
+ * @typedef {import('../../types/outcomes').ItemOutcomes} ItemOutcomes
+ * @typedef {import('../../types/outcomes').ItemStage} ItemStage
+ * @typedef {import('../../types/commerce').CommerceRequestOptions} CommerceRequestOptions
  */
 
 const BATCH_SIZE = 25;
@@ -39,7 +66,9 @@ const getVariantOfLink = (item) => {
 };
 
 /**
- * Categorizes event items into simple product items, complex product variant items, and complex product parent SKUs.
+ * Categorizes event items into items without variantOf link (simple products or
+ * complex product parents), complex product variant items, and the parent SKUs
+ * of the variant items.
  *
  * @param {object[]} items - Event items with sku, sources, and optional links
  * @returns {{ simpleItems: object[], complexVariantItems: object[], complexParentSkus: string[] }}
@@ -60,13 +89,8 @@ const categorizeItems = (items) => {
     }
   }
 
-  // Simple items are those without variantOf link AND not a parent
-  const simpleItemsFiltered = simpleItems.filter(
-    (item) => !complexParentSkus.has(item.sku)
-  );
-
   return {
-    simpleItems: simpleItemsFiltered,
+    simpleItems,
     complexVariantItems,
     complexParentSkus: [...complexParentSkus],
   };
@@ -74,6 +98,8 @@ const categorizeItems = (items) => {
 
 /**
  * Fetches parent products and their variants from Commerce API.
+ * Fetch errors are collected per parent SKU instead of being thrown, so the
+ * remaining parents can still be processed.
  *
  * @param {string} baseUrl - The base URL of the Commerce API
  * @param {string} priceBookId - The price book ID
@@ -81,7 +107,9 @@ const categorizeItems = (items) => {
  * @param {string} tenantId - The tenant ID
  * @param {string[]} parentSkus - Array of parent SKUs to fetch
  * @param {Logger} logger - The logger to use
- * @returns {Promise<Map<string, {parentProduct: object, variant: object}>>}
+ * @param {CommerceRequestOptions} [requestOptions] - The timeout and retry options of the Commerce requests
+ * @returns {Promise<{variantDataMap: Map<string, {parentProduct: object, variant: object}>, fetchErrors: Map<string, string>}>}
+ *   Variant data by variant SKU and fetch error messages by parent SKU
  */
 const fetchVariantData = async (
   baseUrl,
@@ -89,11 +117,13 @@ const fetchVariantData = async (
   viewId,
   tenantId,
   parentSkus,
-  logger
+  logger,
+  requestOptions
 ) => {
   const variantDataMap = new Map();
+  const fetchErrors = new Map();
 
-  if (parentSkus.length === 0) return variantDataMap;
+  if (parentSkus.length === 0) return { variantDataMap, fetchErrors };
 
   logger.info(
     `Fetching ${parentSkus.length} parent products and their variants`
@@ -103,33 +133,89 @@ const fetchVariantData = async (
   const parentMap = new Map();
 
   for (const batch of parentBatches) {
-    const products = await getProducts(
-      baseUrl,
-      viewId,
-      priceBookId,
-      tenantId,
-      batch
-    );
-    for (const product of products) {
-      parentMap.set(product.sku, product);
+    try {
+      const products = await getProducts(
+        baseUrl,
+        viewId,
+        priceBookId,
+        tenantId,
+        batch,
+        requestOptions
+      );
+      for (const product of products) {
+        parentMap.set(product.sku, product);
+      }
+    } catch (error) {
+      logger.error(
+        `Failed to fetch parent products ${batch.join(", ")}: ${error.message}`
+      );
+      for (const parentSku of batch) {
+        fetchErrors.set(parentSku, error.message);
+      }
     }
   }
 
-  // For each parent, fetch its variants
+  const parentProducts = [];
   for (const parentSku of parentSkus) {
     const parentProduct = parentMap.get(parentSku);
-    if (!parentProduct) {
+    if (parentProduct) {
+      parentProducts.push(parentProduct);
+    } else if (!fetchErrors.has(parentSku)) {
       logger.error(`Parent product ${parentSku} not found in Commerce`);
-      continue;
     }
+  }
 
+  await fetchParentVariants(
+    baseUrl,
+    priceBookId,
+    viewId,
+    tenantId,
+    parentProducts,
+    { variantDataMap, fetchErrors },
+    logger,
+    requestOptions
+  );
+
+  return { variantDataMap, fetchErrors };
+};
+
+/**
+ * Fetches the variants of parent products from Commerce API into the variant data.
+ * Fetch errors are collected per parent SKU instead of being thrown.
+ *
+ * @param {string} baseUrl - The base URL of the Commerce API
+ * @param {string} priceBookId - The price book ID
+ * @param {string} viewId - The view ID
+ * @param {string} tenantId - The tenant ID
+ * @param {object[]} parentProducts - The parent products
+ * @param {{variantDataMap: Map<string, {parentProduct: object, variant: object}>, fetchErrors: Map<string, string>}} variantData - Variant data to fill
+ * @param {Logger} logger - The logger to use
+ * @param {CommerceRequestOptions} [requestOptions] - The timeout and retry options of the Commerce requests
+ * @returns {Promise<void>}
+ */
+const fetchParentVariants = async (
+  baseUrl,
+  priceBookId,
+  viewId,
+  tenantId,
+  parentProducts,
+  variantData,
+  logger,
+  requestOptions
+) => {
+  const { variantDataMap, fetchErrors } = variantData;
+
+  for (const parentProduct of parentProducts) {
+    const parentSku = parentProduct.sku;
     try {
       const variants = await getVariants(
         baseUrl,
         viewId,
         priceBookId,
         tenantId,
-        parentSku
+        parentSku,
+        undefined,
+        requestOptions
       );
       logger.info(`Found ${variants.length} variants for parent ${parentSku}`);
 
@@ -141,14 +227,15 @@ const fetchVariantData = async (
       logger.error(
         `Failed to fetch variants for ${parentSku}: ${error.message}`
       );
+      fetchErrors.set(parentSku, error.message);
     }
   }
-
-  return variantDataMap;
 };
 
 /**
  * Fetches simple products from Commerce API.
+ * Fetch errors are collected per SKU instead of being thrown, so the remaining
+ * batches can still be processed.
  *
  * @param {string} baseUrl - The base URL of the Commerce API
  * @param {string} priceBookId - The price book ID
@@ -156,7 +243,9 @@ const fetchVariantData = async (
  * @param {string} tenantId - The tenant ID
  * @param {string[]} skus - Array of simple product SKUs to fetch
  * @param {Logger} logger - The logger to use
- * @returns {Promise<Map<string, object>>} Map of SKU to product
+ * @param {CommerceRequestOptions} [requestOptions] - The timeout and retry options of the Commerce requests
+ * @returns {Promise<{productMap: Map<string, object>, fetchErrors: Map<string, string>}>}
+ *   Products by SKU and fetch error messages by SKU
  */
 const fetchSimpleProducts = async (
   baseUrl,
@@ -164,63 +253,85 @@ const fetchSimpleProducts = async (
   viewId,
   tenantId,
   skus,
-  logger
+  logger,
+  requestOptions
 ) => {
   const productMap = new Map();
+  const fetchErrors = new Map();
 
-  if (skus.length === 0) return productMap;
+  if (skus.length === 0) return { productMap, fetchErrors };
 
   logger.info(`Fetching ${skus.length} simple products`);
 
   const batches = chunk(skus, BATCH_SIZE);
   for (const batch of batches) {
-    const products = await getProducts(
-      baseUrl,
-      viewId,
-      priceBookId,
-      tenantId,
-      batch
-    );
-    for (const product of products) {
-      productMap.set(product.sku, product);
+    try {
+      const products = await getProducts(
+        baseUrl,
+        viewId,
+        priceBookId,
+        tenantId,
+        batch,
+        requestOptions
+      );
+      for (const product of products) {
+        productMap.set(product.sku, product);
+      }
+    } catch (error) {
+      logger.error(
+        `Failed to fetch products ${batch.join(", ")}: ${error.message}`
+      );
+      for (const sku of batch) {
+        fetchErrors.set(sku, error.message);
+      }
     }
   }
 
-  return productMap;
+  return { productMap, fetchErrors };
 };
 
 /**
- * Transforms complex variant product structures for Google Merchant Center
+ * Transforms complex variant product structures for Google Merchant Center.
+ * Variants that cannot be fetched or transformed are recorded in the outcomes
+ * and left out of the result.
  *
  * @param {string} googleFeedLabel - The Google feed label
  * @param {string} language - ISO 639-1 content language code
  * @param {string} country - ISO 3166-1 alpha-2 target country code
  * @param {string} storeUrlTemplate - The store URL template
+ * @param {string} [storeVariantUrlTemplate] - The store URL template of variants
  * @param {object[]} variantItems - Items with sku
- * @param {Map<string, {parentProduct: object, variant: object}>} variantDataMap - Variant data
+ * @param {{variantDataMap: Map<string, {parentProduct: object, variant: object}>, fetchErrors: Map<string, string>}} variantData - Variant data
+ * @param {ItemOutcomes} outcomes - The outcomes collector
  * @param {Logger} logger - The logger to use
  * @returns {IProductInput[]} Array of transformed Google product inputs
- * @throws {Error} If a variant is not found or fails to transform
  */
 const transformVariantItems = (
   googleFeedLabel,
   language,
   country,
   storeUrlTemplate,
+  storeVariantUrlTemplate,
   variantItems,
-  variantDataMap,
+  variantData,
+  outcomes,
   logger
 ) => {
+  const { variantDataMap, fetchErrors } = variantData;
   const transformed = [];
 
   for (const item of variantItems) {
     const data = variantDataMap.get(item.sku);
     if (!data) {
-      const error = new Error(
-        `Variant ${item.sku} not found in data from Storefront API`
-      );
-      logger.error(error.message);
-      throw error;
+      const parentSku = getVariantOfLink(item).sku;
+      if (fetchErrors.has(parentSku)) {
+        recordFailed(outcomes, item, "fetch", fetchErrors.get(parentSku));
+      } else {
+        const reason = `Variant ${item.sku} not found in data from Storefront API`;
+        logger.error(reason);
+        recordSkipped(outcomes, item, reason);
+      }
+      continue;
     }
 
     try {
@@ -230,12 +341,13 @@ const transformVariantItems = (
         data.variant,
         language,
         country,
-        storeUrlTemplate
+        storeUrlTemplate,
+        storeVariantUrlTemplate
       );
       transformed.push(product);
     } catch (error) {
       logger.error(`Failed to transform variant ${item.sku}: ${error.message}`);
-      throw error;
+      recordFailed(outcomes, item, "transform", error);
     }
   }
 
@@ -244,16 +356,18 @@ const transformVariantItems = (
 
 /**
  * Transforms simple product structures for Google Merchant Center.
+ * Products that cannot be fetched or transformed are recorded in the outcomes
+ * and left out of the result.
  *
  * @param {string} googleFeedLabel - The Google feed label
  * @param {string} language - ISO 639-1 content language code
  * @param {string} country - ISO 3166-1 alpha-2 target country code
  * @param {string} storeUrlTemplate - The store URL template
  * @param {object[]} simpleItems - Simple product event items
- * @param {Map<string, object>} productMap - Product data
+ * @param {{productMap: Map<string, object>, fetchErrors: Map<string, string>}} productData - Product data
+ * @param {ItemOutcomes} outcomes - The outcomes collector
  * @param {object} logger - The logger to use
  * @returns {IProductInput[]} Transformed products
- * @throws {Error} If a product is not found or fails to transform
  */
 const transformSimpleItems = (
   googleFeedLabel,
@@ -261,27 +375,29 @@ const transformSimpleItems = (
   country,
   storeUrlTemplate,
   simpleItems,
-  productMap,
+  productData,
+  outcomes,
   logger
 ) => {
+  const { productMap, fetchErrors } = productData;
   const transformed = [];
 
   for (const item of simpleItems) {
     const product = productMap.get(item.sku);
     if (!product) {
-      const error = new Error(`Product ${item.sku} not found in Commerce`);
-      logger.error(error.message);
-      throw error;
-    }
-
-    // Skip complex product parent SKUs - only their variants should be sent to GMC
-    if (isComplexProduct(product)) {
-      logger.info(
-        `Skipping complex product parent ${item.sku} - only variants are sent to GMC`
-      );
+      if (fetchErrors.has(item.sku)) {
+        recordFailed(outcomes, item, "fetch", fetchErrors.get(item.sku));
+      } else {
+        const reason = `Product ${item.sku} not found in Commerce`;
+        logger.error(reason);
+        recordSkipped(outcomes, item, reason);
+      }
       continue;
     }
 
+    // Complex product parents are sent as their variants, see transformParentItems
+    if (isComplexProduct(product)) continue;
+
     try {
       const googleProduct = transformProduct(
         googleFeedLabel,
@@ -293,29 +409,248 @@ const transformSimpleItems = (
       transformed.push(googleProduct);
     } catch (error) {
       logger.error(`Failed to transform product ${item.sku}: ${error.message}`);
-      throw error;
+      recordFailed(outcomes, item, "transform", error);
+    }
+  }
+
+  return transformed;
+};
+
+/**
+ * Transforms all the variants of updated complex product parents, so changes to
+ * a parent reach every variant offer. Variants that are event items of their
+ * own are left to transformVariantItems. A parent whose variants cannot be
+ * fetched, or with a variant that cannot be transformed, is recorded as failed;
+ * its other variants are still transformed.
+ *
+ * @param {import('../../types/config').FeedConfig} feedConfig - The feed configuration
+ * @param {object[]} parentItems - Event items of complex product parents
+ * @param {{variantDataMap: Map<string, {parentProduct: object, variant: object}>, fetchErrors: Map<string, string>}} variantData - Variant data
+ * @param {Set<string>} variantItemSkus - SKUs of the variant event items
+ * @param {Map<string, string[]>} parentVariants - Collects the variant SKUs of each parent
+ * @param {ItemOutcomes} outcomes - The outcomes collector
+ * @param {Logger} logger - The logger to use
+ * @returns {IProductInput[]} Transformed variants
+ */
+const transformParentItems = (
+  feedConfig,
+  parentItems,
+  variantData,
+  variantItemSkus,
+  parentVariants,
+  outcomes,
+  logger
+) => {
+  const { variantDataMap, fetchErrors } = variantData;
+  const transformed = [];
+
+  for (const item of parentItems) {
+    if (fetchErrors.has(item.sku)) {
+      recordFailed(outcomes, item, "fetch", fetchErrors.get(item.sku));
+      continue;
+    }
+
+    const variants = [...variantDataMap.values()].filter(
+      ({ parentProduct }) => parentProduct.sku === item.sku
+    );
+    parentVariants.set(
+      item.sku,
+      variants.map(({ variant }) => variant.product.sku)
+    );
+    if (variants.length === 0) continue;
+    logger.info(
+      `Cascading parent ${item.sku} to its ${variants.length} variants`
+    );
+
+    let failure = null;
+    for (const { parentProduct, variant } of variants) {
+      if (variantItemSkus.has(variant.product.sku)) continue;
+      try {
+        transformed.push(
+          transformVariant(
+            feedConfig.googleFeedLabel,
+            parentProduct,
+            variant,
+            feedConfig.googleContentLanguage,
+            feedConfig.googleTargetCountry,
+            feedConfig.storeUrlTemplate,
+            feedConfig.storeVariantUrlTemplate
+          )
+        );
+      } catch (error) {
+        logger.error(
+          `Failed to transform variant ${variant.product.sku}: ${error.message}`
+        );
+        failure = failure || error;
+      }
+    }
+    if (failure) {
+      recordFailed(outcomes, item, "transform", failure);
     }
   }
 
   return transformed;
 };
 
+/**
+ * Fetches the products of offers from the price book of a region. Variants are
+ * fetched with the variants of their parent, as for the price book of the market.
+ *
+ * @param {import('../../types/config').FeedConfig} feedConfig - The feed configuration
+ * @param {string} tenantId - The tenant ID
+ * @param {string} priceBookId - The price book ID of the region
+ * @param {string[]} offerIds - The offer IDs
+ * @param {{variantDataMap: Map<string, {parentProduct: object, variant: object}>}} variantData - Variant data of the market
+ * @param {Logger} logger - The logger to use
+ * @returns {Promise<{productMap: Map<string, object>, fetchErrors: Map<string, string>}>}
+ *   Products and fetch error messages by offer ID
+ */
+const fetchRegionalProducts = async (
+  feedConfig,
+  tenantId,
+  priceBookId,
+  offerIds,
+  variantData,
+  logger
+) => {
+  const { acoApiBaseUrl: baseUrl, acoViewId: viewId } = feedConfig;
+  const { variantDataMap } = variantData;
+  const variantOfferIds = offerIds.filter((offerId) =>
+    variantDataMap.has(offerId)
+  );
+  const parentProducts = [
+    ...new Set(
+      variantOfferIds.map(
+        (offerId) => variantDataMap.get(offerId).parentProduct
+      )
+    ),
+  ];
+  const regionalVariantData = {
+    variantDataMap: new Map(),
+    fetchErrors: new Map(),
+  };
+
+  const [{ productMap, fetchErrors }] = await Promise.all([
+    fetchSimpleProducts(
+      baseUrl,
+      priceBookId,
+      viewId,
+      tenantId,
+      offerIds.filter((offerId) => !variantDataMap.has(offerId)),
+      logger,
+      feedConfig.acoRequestOptions
+    ),
+    fetchParentVariants(
+      baseUrl,
+      priceBookId,
+      viewId,
+      tenantId,
+      parentProducts,
+      regionalVariantData,
+      logger,
+      feedConfig.acoRequestOptions
+    ),
+  ]);
+
+  for (const offerId of variantOfferIds) {
+    const parentSku = variantDataMap.get(offerId).parentProduct.sku;
+    if (regionalVariantData.fetchErrors.has(parentSku)) {
+      fetchErrors.set(offerId, regionalVariantData.fetchErrors.get(parentSku));
+    } else if (regionalVariantData.variantDataMap.has(offerId)) {
+      productMap.set(
+        offerId,
+        regionalVariantData.variantDataMap.get(offerId).variant.product
+      );
+    }
+  }
+
+  return { productMap, fetchErrors };
+};
+
+/**
+ * Transforms the regional inventories of the product inputs, from the price
+ * book of each region of the market.
+ *
+ * @param {import('../../types/config').FeedConfig} feedConfig - The feed configuration
+ * @param {string} tenantId - The tenant ID
+ * @param {IProductInput[]} productInputs - The product inputs
+ * @param {{variantDataMap: Map<string, {parentProduct: object, variant: object}>}} variantData - Variant data of the market
+ * @param {Map<string, IRegionalInventory[]>} regionalInventories - Collects the regional inventories by offer ID
+ * @param {Logger} logger - The logger to use
+ * @returns {Promise<Map<string, string>>} Fetch error messages by offer ID
+ */
+const collectRegionalInventories = async (
+  feedConfig,
+  tenantId,
+  productInputs,
+  variantData,
+  regionalInventories,
+  logger
+) => {
+  const offerIds = productInputs.map(({ offerId }) => offerId);
+  const regionalFetchErrors = new Map();
+
+  for (const { regionId, priceBookId } of feedConfig.googleRegions) {
+    logger.info(
+      `Fetching ${offerIds.length} products from price book ${priceBookId} of region ${regionId}`
+    );
+    const { productMap, fetchErrors } = await fetchRegionalProducts(
+      feedConfig,
+      tenantId,
+      priceBookId,
+      offerIds,
+      variantData,
+      logger
+    );
+    for (const offerId of offerIds) {
+      if (fetchErrors.has(offerId)) {
+        if (!regionalFetchErrors.has(offerId)) {
+          regionalFetchErrors.set(offerId, fetchErrors.get(offerId));
+        }
+        continue;
+      }
+      regionalInventories.set(offerId, [
+        ...(regionalInventories.get(offerId) || []),
+        transformRegionalInventory(regionId, productMap.get(offerId)),
+      ]);
+    }
+  }
+
+  return regionalFetchErrors;
+};
+
 /**
  * Fetches products from Commerce and transforms them for Google Merchant Center.
+ * Items that cannot be fetched or transformed are recorded in the outcomes.
+ * Products are linked to the promotions of the market listing their SKU.
+ * Complex product parents are transformed as all of their variants, collected
+ * per parent for deleteDroppedVariants. When the market has local inventory or
+ * regions, the inventories of each product are collected for upsertAndRecord.
+ * A product that cannot be fetched from the price book of a region is left out
+ * and its item recorded as failed, so its regional price is not left stale.
  *
  * @param {import('../../types/config').FeedConfig} feedConfig - The feed configuration
  * @param {string} tenantId - The tenant ID
  * @param {object[]} items - Event items to process
+ * @param {ItemOutcomes} outcomes - The outcomes collector
  * @param {Logger} logger - The logger to use
+ * @param {{parentVariants?: Map<string, string[]>} & OfferInventories} [collectors]
+ *   Collect the variant SKUs by complex product parent SKU, and the inventories by offer ID
  * @returns {Promise<IProductInput[]>} Array of transformed Google product inputs
- * @throws {Error} If fetching or transforming fails
  */
 const fetchAndTransformProducts = async (
   feedConfig,
   tenantId,
   items,
-  logger
+  outcomes,
+  logger,
+  collectors = {}
 ) => {
+  const {
+    parentVariants = new Map(),
+    localInventories = new Map(),
+    regionalInventories = new Map(),
+  } = collectors;
   const {
     acoApiBaseUrl: baseUrl,
     acoPriceBookId: priceBookId,
@@ -324,22 +659,24 @@ const fetchAndTransformProducts = async (
     googleContentLanguage: language,
     googleTargetCountry: country,
     storeUrlTemplate,
+    storeVariantUrlTemplate,
   } = feedConfig;
   const { complexVariantItems, simpleItems, complexParentSkus } =
     categorizeItems(items);
 
   logger.info(
-    `Categorized: ${complexVariantItems.length} variants, ${simpleItems.length} simple products, ${complexParentSkus.length} parents (skipped)`
+    `Categorized: ${complexVariantItems.length} variants, ${simpleItems.length} simple products or parents, ${complexParentSkus.length} parents of variants`
   );
 
-  const [variantDataMap, simpleProductMap] = await Promise.all([
+  const [variantData, simpleProductData] = await Promise.all([
     fetchVariantData(
       baseUrl,
       priceBookId,
       viewId,
       tenantId,
       complexParentSkus,
-      logger
+      logger,
+      feedConfig.acoRequestOptions
     ),
     fetchSimpleProducts(
       baseUrl,
@@ -347,17 +684,38 @@ const fetchAndTransformProducts = async (
       viewId,
       tenantId,
       simpleItems.map((i) => i.sku),
-      logger
+      logger,
+      feedConfig.acoRequestOptions
     ),
   ]);
 
+  // Parents without variant items in this batch still need their variants
+  const parentItems = simpleItems.filter((item) => {
+    const product = simpleProductData.productMap.get(item.sku);
+    return product && isComplexProduct(product);
+  });
+  await fetchParentVariants(
+    baseUrl,
+    priceBookId,
+    viewId,
+    tenantId,
+    parentItems
+      .filter((item) => !complexParentSkus.includes(item.sku))
+      .map((item) => simpleProductData.productMap.get(item.sku)),
+    variantData,
+    logger,
+    feedConfig.acoRequestOptions
+  );
+
   const transformedVariants = transformVariantItems(
     googleFeedLabel,
     language,
     country,
     storeUrlTemplate,
+    storeVariantUrlTemplate,
     complexVariantItems,
-    variantDataMap,
+    variantData,
+    outcomes,
     logger
   );
   const transformedSimple = transformSimpleItems(
@@ -366,15 +724,71 @@ const fetchAndTransformProducts = async (
     country,
     storeUrlTemplate,
     simpleItems,
-    simpleProductMap,
+    simpleProductData,
+    outcomes,
+    logger
+  );
+
+  const transformedParents = transformParentItems(
+    feedConfig,
+    parentItems,
+    variantData,
+    new Set(complexVariantItems.map((item) => item.sku)),
+    parentVariants,
+    outcomes,
     logger
   );
 
-  return [...transformedVariants, ...transformedSimple];
+  const productInputs = [
+    ...transformedVariants,
+    ...transformedSimple,
+    ...transformedParents,
+  ].map((productInput) =>
+    applyPromotionIds(productInput, feedConfig.googlePromotions)
+  );
+
+  if (feedConfig.googleLocalInventory) {
+    for (const { offerId } of productInputs) {
+      const product =
+        simpleProductData.productMap.get(offerId) ||
+        variantData.variantDataMap.get(offerId)?.variant.product;
+      localInventories.set(
+        offerId,
+        transformLocalInventories(product, feedConfig.googleLocalInventory)
+      );
+    }
+  }
+
+  if (!feedConfig.googleRegions?.length) return productInputs;
+
+  const regionalFetchErrors = await collectRegionalInventories(
+    feedConfig,
+    tenantId,
+    productInputs,
+    variantData,
+    regionalInventories,
+    logger
+  );
+  const itemsBySku = new Map(items.map((item) => [item.sku, item]));
+  const failedSkus = new Set(outcomes.failed.map(({ sku }) => sku));
+  for (const { offerId, productAttributes } of productInputs) {
+    if (!regionalFetchErrors.has(offerId)) continue;
+    const item =
+      itemsBySku.get(offerId) || itemsBySku.get(productAttributes?.itemGroupId);
+    if (item && !failedSkus.has(item.sku)) {
+      recordFailed(outcomes, item, "fetch", regionalFetchErrors.get(offerId));
+      failedSkus.add(item.sku);
+    }
+  }
+
+  return productInputs.filter(
+    ({ offerId }) => !regionalFetchErrors.has(offerId)
+  );
 };
 
 /**
- * Extracts SKUs to delete, excluding complex parent products.
+ * Extracts SKUs to delete, excluding the complex parent products that variant
+ * items of the batch link to.
  *
  * @param {object[]} items - Event items to delete
  * @returns {string[]} Array of SKUs for deletion
@@ -398,16 +812,425 @@ const prepareSkusToDelete = (items) => {
   return skus;
 };
 
+/**
+ * Upserts product inputs into the primary data source of the market.
+ *
+ * @param {import('../../types/config').FeedConfig} feedConfig - The feed configuration
+ * @param {IProductInput[]} productInputs - The product inputs to upsert
+ * @param {ItemOutcomes} outcomes - The outcomes collector, to add the retried requests to
+ * @param {Logger} logger - The logger to use
+ * @returns {Promise<Map<string, Error>>} The errors of the failed product inputs by offer ID
+ */
+const upsertOffers = async (feedConfig, productInputs, outcomes, logger) => {
+  try {
+    const { failed, retries } = await upsertProducts(
+      feedConfig.googleCredsJson,
+      feedConfig.googleMerchantId,
+      feedConfig.googleDataSourceId,
+      productInputs,
+      logger,
+      feedConfig.googleRequestOptions
+    );
+    recordRetries(outcomes, retries);
+    return new Map(failed.map((f) => [f.offerId, f.error]));
+  } catch (error) {
+    logger.error(`Failed to upsert products: ${error.message}`);
+    return new Map(productInputs.map((p) => [p.offerId, error]));
+  }
+};
+
+/**
+ * Records the outcomes of the event items the product inputs were built for: the
+ * item of their SKU, and the item of their parent for the variants of an updated
+ * complex product parent. An item sent as several product inputs fails with the
+ * first of their failures. Items already recorded as failed are left as is.
+ *
+ * @param {ItemOutcomes} outcomes - The outcomes collector
+ * @param {Map<string, object>} itemsBySku - The event items by SKU
+ * @param {IProductInput[]} productInputs - The product inputs that were sent
+ * @param {Map<string, {stage: ItemStage, error: Error|string}>} failures - The failures by offer ID
+ */
+const recordOfferOutcomes = (outcomes, itemsBySku, productInputs, failures) => {
+  const failedSkus = new Set(outcomes.failed.map(({ sku }) => sku));
+  const failuresByItem = new Map();
+  for (const { offerId, productAttributes } of productInputs) {
+    const items = [
+      itemsBySku.get(offerId),
+      itemsBySku.get(productAttributes?.itemGroupId),
+    ].filter(Boolean);
+    for (const item of items) {
+      if (!failuresByItem.get(item)) {
+        failuresByItem.set(item, failures.get(offerId) || null);
+      }
+    }
+  }
+
+  for (const [item, failure] of failuresByItem) {
+    if (failedSkus.has(item.sku)) continue;
+    if (failure) {
+      recordFailed(outcomes, item, failure.stage, failure.error);
+    } else {
+      recordSynced(outcomes, item);
+    }
+  }
+};
+
+/**
+ * Lists the local and regional inventories collected for the product inputs.
+ *
+ * @param {IProductInput[]} productInputs - The product inputs
+ * @param {OfferInventories} inventories - The inventories by offer ID
+ * @returns {{localInventories: {offerId: string, localInventory: ILocalInventory}[], regionalInventories: {offerId: string, regionalInventory: IRegionalInventory}[]}}
+ *   The inventories of the product inputs
+ */
+const listOfferInventories = (productInputs, inventories) => {
+  const { localInventories = new Map(), regionalInventories = new Map() } =
+    inventories;
+  const withOfferId = (inventoriesByOffer, key) =>
+    productInputs.flatMap(({ offerId }) =>
+      (inventoriesByOffer.get(offerId) || []).map((inventory) => ({
+        offerId,
+        [key]: inventory,
+      }))
+    );
+
+  return {
+    localInventories: withOfferId(localInventories, "localInventory"),
+    regionalInventories: withOfferId(regionalInventories, "regionalInventory"),
+  };
+};
+
+/**
+ * Inserts the local and regional inventories of the product inputs that did
+ * not fail yet. An inventory that cannot be inserted fails its product input
+ * with the inventory stage.
+ *
+ * @param {import('../../types/config').FeedConfig} feedConfig - The feed configuration
+ * @param {IProductInput[]} productInputs - The product inputs that were sent
+ * @param {OfferInventories} inventories - The inventories by offer ID
+ * @param {Map<string, {stage: ItemStage, error: Error|string}>} failures - The failures by offer ID, to add to
+ * @param {ItemOutcomes} outcomes - The outcomes collector, to add the retried requests to
+ * @param {Logger} logger - The logger to use
+ * @returns {Promise<void>}
+ */
+const insertOfferInventories = async (
+  feedConfig,
+  productInputs,
+  inventories,
+  failures,
+  outcomes,
+  logger
+) => {
+  const { localInventories, regionalInventories } = listOfferInventories(
+    productInputs.filter(({ offerId }) => !failures.has(offerId)),
+    inventories
+  );
+  const inserts = [
+    [insertLocalInventories, localInventories, "local"],
+    [insertRegionalInventories, regionalInventories, "regional"],
+  ];
+
+  for (const [insert, offerInventories, kind] of inserts) {
+    if (offerInventories.length === 0) continue;
+    let failed;
+    try {
+      let retries;
+      ({ failed, retries } = await insert(
+        feedConfig.googleCredsJson,
+        feedConfig.googleMerchantId,
+        feedConfig.googleFeedLabel,
+        feedConfig.googleContentLanguage,
+        offerInventories,
+        logger,
+        feedConfig.googleRequestOptions
+      ));
+      recordRetries(outcomes, retries);
+    } catch (error) {
+      logger.error(`Failed to insert ${kind} inventories: ${error.message}`);
+      failed = offerInventories.map(({ offerId }) => ({ offerId, error }));
+    }
+    for (const { offerId, error } of failed) {
+      if (!failures.has(offerId)) {
+        failures.set(offerId, { stage: "inventory", error });
+      }
+    }
+  }
+};
+
+/**
+ * Upserts the transformed products and records the per-item outcomes. The
+ * inventories of the upserted products are inserted next, and an item fails if
+ * one of them cannot be inserted.
+ * In a dry run, the product inputs and inventories are collected in the outcomes instead.
+ *
+ * @param {import('../../types/config').FeedConfig} feedConfig - The feed configuration
+ * @param {IProductInput[]} productInputs - The product inputs to upsert
+ * @param {Map<string, object>} itemsBySku - The event items by SKU
+ * @param {ItemOutcomes} outcomes - The outcomes collector
+ * @param {Logger} logger - The logger to use
+ * @param {OfferInventories} [inventories] - The inventories by offer ID
+ * @returns {Promise<void>}
+ */
+const upsertAndRecord = async (
+  feedConfig,
+  productInputs,
+  itemsBySku,
+  outcomes,
+  logger,
+  inventories = {}
+) => {
+  if (feedConfig.dryRun) {
+    logger.info(`Dry run: skipping upsert of ${productInputs.length} products`);
+    const { localInventories, regionalInventories } = listOfferInventories(
+      productInputs,
+      inventories
+    );
+    outcomes.dryRun.productInputs.push(...productInputs);
+    outcomes.dryRun.localInventories.push(...localInventories);
+    outcomes.dryRun.regionalInventories.push(...regionalInventories);
+    return;
+  }
+
+  const failedByOfferId = await upsertOffers(
+    feedConfig,
+    productInputs,
+    outcomes,
+    logger
+  );
+  const failures = new Map();
+  for (const [offerId, error] of failedByOfferId) {
+    failures.set(offerId, { stage: "upsert", error });
+  }
+  await insertOfferInventories(
+    feedConfig,
+    productInputs,
+    inventories,
+    failures,
+    outcomes,
+    logger
+  );
+
+  recordOfferOutcomes(outcomes, itemsBySku, productInputs, failures);
+};
+
+/**
+ * Deletes the offers of item groups in Google Merchant Center, i.e. the variant
+ * offers whose itemGroupId is one of the parent SKUs, except the SKUs to keep.
+ * The offers are looked up in the primary data source of the market by their
+ * itemGroupId, so variants Commerce no longer returns are found too.
+ *
+ * @param {import('../../types/config').FeedConfig} feedConfig - The feed configuration
+ * @param {Map<string, Set<string>>} keepSkusByParent - The SKUs to keep by parent SKU
+ * @param {ItemOutcomes} outcomes - The outcomes collector, to add the retried requests to
+ * @param {Logger} logger - The logger to use
+ * @returns {Promise<Map<string, Error>>} The first error by parent SKU, for the parents not fully deleted
+ */
+const deleteItemGroupOffers = async (
+  feedConfig,
+  keepSkusByParent,
+  outcomes,
+  logger
+) => {
+  if (keepSkusByParent.size === 0) return new Map();
+
+  let offers;
+  try {
+    offers = await listItemGroupOffers(
+      feedConfig.googleCredsJson,
+      feedConfig.googleMerchantId,
+      feedConfig.googleDataSourceId,
+      feedConfig.googleFeedLabel,
+      feedConfig.googleContentLanguage,
+      [...keepSkusByParent.keys()],
+      logger
+    );
+  } catch (error) {
+    logger.error(`Failed to list variant offers: ${error.message}`);
+    return new Map([...keepSkusByParent.keys()].map((sku) => [sku, error]));
+  }
+
+  const parentByOfferId = new Map();
+  for (const { offerId, itemGroupId } of offers) {
+    if (!keepSkusByParent.get(itemGroupId).has(offerId)) {
+      parentByOfferId.set(offerId, itemGroupId);
+    }
+  }
+  if (parentByOfferId.size === 0) return new Map();
+
+  logger.info(`Deleting ${parentByOfferId.size} variant offers`);
+  const failedByParent = new Map();
+  try {
+    const { failed, retries } = await deleteProducts(
+      feedConfig.googleCredsJson,
+      feedConfig.googleMerchantId,
+      feedConfig.googleDataSourceId,
+      feedConfig.googleFeedLabel,
+      feedConfig.googleContentLanguage,
+      [...parentByOfferId.keys()],
+      logger,
+      feedConfig.googleRequestOptions
+    );
+    recordRetries(outcomes, retries);
+    for (const { sku, error } of failed) {
+      const parentSku = parentByOfferId.get(sku);
+      if (!failedByParent.has(parentSku)) {
+        failedByParent.set(parentSku, error);
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to delete variant offers: ${error.message}`);
+    for (const parentSku of parentByOfferId.values()) {
+      failedByParent.set(parentSku, error);
+    }
+  }
+  return failedByParent;
+};
+
+/**
+ * Deletes the offers of the variants that complex product parents no longer
+ * have, after the parents were updated. A parent fails if its dropped variants
+ * cannot be deleted, and a parent without variants left is synced once its
+ * offers are deleted. Nothing is deleted in a dry run.
+ *
+ * @param {import('../../types/config').FeedConfig} feedConfig - The feed configuration
+ * @param {Map<string, object>} itemsBySku - The event items by SKU
+ * @param {Map<string, string[]>} parentVariants - The current variant SKUs by parent SKU
+ * @param {ItemOutcomes} outcomes - The outcomes collector
+ * @param {Logger} logger - The logger to use
+ * @returns {Promise<void>}
+ */
+const deleteDroppedVariants = async (
+  feedConfig,
+  itemsBySku,
+  parentVariants,
+  outcomes,
+  logger
+) => {
+  if (parentVariants.size === 0) return;
+  if (feedConfig.dryRun) {
+    logger.info(
+      `Dry run: skipping delete of dropped variants of ${parentVariants.size} parents`
+    );
+    return;
+  }
+
+  const keepSkusByParent = new Map(
+    [...parentVariants].map(([parentSku, skus]) => [parentSku, new Set(skus)])
+  );
+  const failedByParent = await deleteItemGroupOffers(
+    feedConfig,
+    keepSkusByParent,
+    outcomes,
+    logger
+  );
+
+  for (const [parentSku, skus] of parentVariants) {
+    const item = itemsBySku.get(parentSku);
+    if (failedByParent.has(parentSku)) {
+      recordFailed(outcomes, item, "delete", failedByParent.get(parentSku));
+    } else if (skus.length === 0) {
+      recordSynced(outcomes, item);
+    }
+  }
+};
+
+/**
+ * Deletes the given SKUs and records the per-item outcomes. Deleting a complex
+ * product parent deletes all of its variant offers: parents are the SKUs that
+ * variant items of the batch link to, and the SKUs without offer of their own,
+ * as parents are never sent to Google. Commerce no longer returns the variants
+ * of a deleted parent, so its variant offers are looked up in Google.
+ * In a dry run, the names of the product inputs to delete are collected in the
+ * outcomes instead, and parents are skipped as their variant offers are not looked up.
+ *
+ * @param {import('../../types/config').FeedConfig} feedConfig - The feed configuration
+ * @param {object[]} items - The delete event items
+ * @param {ItemOutcomes} outcomes - The outcomes collector
+ * @param {Logger} logger - The logger to use
+ * @returns {Promise<void>}
+ */
+const deleteAndRecord = async (feedConfig, items, outcomes, logger) => {
+  const skusToDelete = prepareSkusToDelete(items);
+  const skusToDeleteSet = new Set(skusToDelete);
+  const parentItems = items.filter((item) => !skusToDeleteSet.has(item.sku));
+
+  if (feedConfig.dryRun) {
+    logger.info(`Dry run: skipping delete of ${skusToDelete.length} products`);
+    for (const item of parentItems) {
+      recordSkipped(
+        outcomes,
+        item,
+        "Dry run: variant offers of complex product parents are not looked up"
+      );
+    }
+    outcomes.dryRun.deleteNames.push(
+      ...skusToDelete.map((sku) =>
+        buildProductInputName(
+          feedConfig.googleMerchantId,
+          feedConfig.googleFeedLabel,
+          feedConfig.googleContentLanguage,
+          sku
+        )
+      )
+    );
+    return;
+  }
+
+  let failedBySku;
+  let notFound = [];
+  try {
+    const result = await deleteProducts(
+      feedConfig.googleCredsJson,
+      feedConfig.googleMerchantId,
+      feedConfig.googleDataSourceId,
+      feedConfig.googleFeedLabel,
+      feedConfig.googleContentLanguage,
+      skusToDelete,
+      logger,
+      feedConfig.googleRequestOptions
+    );
+    failedBySku = new Map(result.failed.map((f) => [f.sku, f.error]));
+    notFound = result.notFound;
+    recordRetries(outcomes, result.retries);
+  } catch (error) {
+    logger.error(`Failed to delete products: ${error.message}`);
+    failedBySku = new Map(skusToDelete.map((sku) => [sku, error]));
+  }
+
+  // Variants deleted as items of their own are not deleted again
+  const parentSkus = [...parentItems.map((item) => item.sku), ...notFound];
+  const failedByParent = await deleteItemGroupOffers(
+    feedConfig,
+    new Map(parentSkus.map((sku) => [sku, skusToDeleteSet])),
+    outcomes,
+    logger
+  );
+
+  for (const item of items) {
+    const error = failedBySku.get(item.sku) || failedByParent.get(item.sku);
+    if (error) {
+      recordFailed(outcomes, item, "delete", error);
+    } else {
+      recordSynced(outcomes, item);
+    }
+  }
+};
+
 /**
  * Process a product event for a given tenant.
+ * Items are processed independently: an item that fails to fetch, transform,
+ * upsert or delete is recorded as failed without aborting the other items.
+ * In a dry run, nothing is sent to Google and the outcomes carry the product
+ * inputs and delete names that would have been sent.
  *
  * @param {string} tenantId - The tenant ID
  * @param {object[]} items - The items to process
  * @param {import('../../types/config').FeedConfig} feedConfig - The feed configuration
  * @param {Logger} logger - The logger to use
- * @throws {Error} If fetching, transforming, or sending to Google fails
+ * @returns {Promise<ItemOutcomes>} The per-item outcomes
  */
 const processProductEvent = async (tenantId, items, feedConfig, logger) => {
+  const outcomes = createOutcomes(feedConfig.dryRun);
   const { create, update, delete: deleteOps } = groupByOperation(items);
   logger.info(
     `Processing ${create.length} creates, ${update.length} updates, ${deleteOps.length} deletes`
@@ -418,39 +1241,57 @@ const processProductEvent = async (tenantId, items, feedConfig, logger) => {
   // ACO (update event) but not yet in GMC.
   const upsertItems = [...create, ...update];
   if (upsertItems.length > 0) {
+    const collectors = {
+      parentVariants: new Map(),
+      localInventories: new Map(),
+      regionalInventories: new Map(),
+    };
     const productsToUpsert = await fetchAndTransformProducts(
       feedConfig,
       tenantId,
       upsertItems,
+      outcomes,
+      logger,
+      collectors
+    );
+    const itemsBySku = new Map(upsertItems.map((item) => [item.sku, item]));
+    await deleteDroppedVariants(
+      feedConfig,
+      itemsBySku,
+      collectors.parentVariants,
+      outcomes,
       logger
     );
     if (productsToUpsert.length > 0) {
-      await upsertProducts(
-        feedConfig.googleCredsJson,
-        feedConfig.googleMerchantId,
-        feedConfig.googleDataSourceId,
+      await upsertAndRecord(
+        feedConfig,
         productsToUpsert,
-        logger
+        itemsBySku,
+        outcomes,
+        logger,
+        collectors
       );
     }
   }
 
   if (deleteOps.length > 0) {
-    const skusToDelete = prepareSkusToDelete(deleteOps);
-    if (skusToDelete.length > 0) {
-      await deleteProducts(
-        feedConfig.googleCredsJson,
-        feedConfig.googleMerchantId,
-        feedConfig.googleDataSourceId,
-        feedConfig.googleFeedLabel,
-        feedConfig.googleContentLanguage,
-        skusToDelete,
-        logger
-      );
-    }
+    await deleteAndRecord(feedConfig, deleteOps, outcomes, logger);
   }
+
+  logger.info(
+    `Processed items: ${outcomes.synced.length} synced, ${outcomes.skipped.length} skipped, ${outcomes.failed.length} failed`
+  );
+  return outcomes;
 };
 
 module.exports = {
+  deleteAndRecord,
+  deleteDroppedVariants,
+  fetchAndTransformProducts,
+  insertOfferInventories,
+  listOfferInventories,
   processProductEvent,
+  recordOfferOutcomes,
+  upsertAndRecord,
+  upsertOffers,
 };
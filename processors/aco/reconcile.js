@@ -0,0 +1,151 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+const { chunk } = require("../../actions/utils.js");
+const { getProducts, getVariants } = require("../../clients/commerce.js");
+
+/**
+ * @typedef {import('../../types/config').FeedConfig} FeedConfig
+ * @typedef {import('../../types/reconcile').ReconcileResult} ReconcileResult
+ */
+
+const BATCH_SIZE = 25;
+
+/**
+ * Fetches which of the given SKUs exist in the catalog view of the market.
+ * SKUs of batches that cannot be fetched are reported as unverified.
+ *
+ * @param {FeedConfig} feedConfig - The feed configuration
+ * @param {string} tenantId - The tenant ID
+ * @param {string[]} skus - The SKUs to look up
+ * @param {object} logger - The logger to use
+ * @returns {Promise<{products: Map<string, object>, fetchErrors: Map<string, string>}>}
+ *   Existing products by SKU and fetch error messages by SKU
+ */
+const fetchExistingProducts = async (feedConfig, tenantId, skus, logger) => {
+  const products = new Map();
+  const fetchErrors = new Map();
+
+  for (const batch of chunk(skus, BATCH_SIZE)) {
+    try {
+      const found = await getProducts(
+        feedConfig.acoApiBaseUrl,
+        feedConfig.acoViewId,
+        feedConfig.acoPriceBookId,
+        tenantId,
+        batch,
+        feedConfig.acoRequestOptions
+      );
+      for (const product of found) {
+        products.set(product.sku, product);
+      }
+    } catch (error) {
+      logger.error(
+        `Failed to fetch products ${batch.join(", ")}: ${error.message}`
+      );
+      for (const sku of batch) {
+        fetchErrors.set(sku, error.message);
+      }
+    }
+  }
+
+  return { products, fetchErrors };
+};
+
+/**
+ * Compares offers listed in Google Merchant Center with the catalog view of the market.
+ * An offer is an orphan when its product no longer exists in Commerce, or, for variants,
+ * when its item group parent no longer exists or no longer has it as a variant.
+ * Offers that cannot be checked because Commerce could not be reached are reported as
+ * unverified and must never be deleted.
+ *
+ * @param {FeedConfig} feedConfig - The feed configuration
+ * @param {string} tenantId - The tenant ID
+ * @param {{offerId: string, itemGroupId: string|null}[]} offers - The offers listed in Google
+ * @param {object} logger - The logger to use
+ * @returns {Promise<ReconcileResult>} The orphan and unverified offer IDs
+ */
+const findOrphans = async (feedConfig, tenantId, offers, logger) => {
+  const orphans = [];
+  const unverified = [];
+
+  const simpleOffers = offers.filter((offer) => !offer.itemGroupId);
+  const { products, fetchErrors } = await fetchExistingProducts(
+    feedConfig,
+    tenantId,
+    simpleOffers.map((offer) => offer.offerId),
+    logger
+  );
+  for (const { offerId } of simpleOffers) {
+    if (fetchErrors.has(offerId)) {
+      unverified.push({ offerId, error: fetchErrors.get(offerId) });
+    } else if (!products.has(offerId)) {
+      orphans.push(offerId);
+    }
+  }
+
+  const offersByGroup = new Map();
+  for (const offer of offers.filter((o) => o.itemGroupId)) {
+    if (!offersByGroup.has(offer.itemGroupId)) {
+      offersByGroup.set(offer.itemGroupId, []);
+    }
+    offersByGroup.get(offer.itemGroupId).push(offer.offerId);
+  }
+
+  const parents = await fetchExistingProducts(
+    feedConfig,
+    tenantId,
+    [...offersByGroup.keys()],
+    logger
+  );
+  for (const [parentSku, offerIds] of offersByGroup) {
+    if (parents.fetchErrors.has(parentSku)) {
+      const error = parents.fetchErrors.get(parentSku);
+      unverified.push(...offerIds.map((offerId) => ({ offerId, error })));
+      continue;
+    }
+    if (!parents.products.has(parentSku)) {
+      orphans.push(...offerIds);
+      continue;
+    }
+
+    try {
+      const variants = await getVariants(
+        feedConfig.acoApiBaseUrl,
+        feedConfig.acoViewId,
+        feedConfig.acoPriceBookId,
+        tenantId,
+        parentSku,
+        undefined,
+        feedConfig.acoRequestOptions
+      );
+      const variantSkus = new Set(variants.map((v) => v.product.sku));
+      orphans.push(...offerIds.filter((offerId) => !variantSkus.has(offerId)));
+    } catch (error) {
+      logger.error(
+        `Failed to fetch variants for ${parentSku}: ${error.message}`
+      );
+      unverified.push(
+        ...offerIds.map((offerId) => ({ offerId, error: error.message }))
+      );
+    }
+  }
+
+  logger.info(
+    `Checked ${offers.length} offers: ${orphans.length} orphans, ${unverified.length} unverified`
+  );
+  return { orphans, unverified };
+};
+
+module.exports = {
+  findOrphans,
+};
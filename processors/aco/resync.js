@@ -0,0 +1,95 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+const { searchProducts } = require("../../clients/commerce.js");
+const { fetchAndTransformProducts, upsertAndRecord } = require("./products.js");
+const { createOutcomes } = require("../outcomes.js");
+
+/**
+ * @typedef {import('../../types/config').FeedConfig} FeedConfig
+ * @typedef {import('../../types/outcomes').ItemOutcomes} ItemOutcomes
+ */
+
+/**
+ * Re-sends one page of the catalog view of a market to Google Merchant Center.
+ * Every product of the page is upserted as an update item, as catalog events
+ * describe it; complex product parents are expanded to their variants by
+ * fetchAndTransformProducts. Errors listing the page are thrown so the caller
+ * can retry the same page later; errors of individual products are recorded
+ * in the outcomes.
+ *
+ * Pages are addressed by number, so products added to or removed from the
+ * catalog view between two pages shift the later pages: a product can be sent
+ * twice or missed until the next resync.
+ *
+ * @param {FeedConfig} feedConfig - The feed configuration
+ * @param {string} tenantId - The tenant ID
+ * @param {number} page - The page to resync, starting at 1
+ * @param {number} pageSize - Number of products per page
+ * @param {object} logger - The logger to use
+ * @returns {Promise<{items: object[], outcomes: ItemOutcomes, totalCount: number, totalPages: number}>}
+ *   The items derived from the page, their outcomes and the totals of the catalog view
+ */
+const resyncCatalogPage = async (
+  feedConfig,
+  tenantId,
+  page,
+  pageSize,
+  logger
+) => {
+  const outcomes = createOutcomes(feedConfig.dryRun);
+  const { products, totalCount, totalPages } = await searchProducts(
+    feedConfig.acoApiBaseUrl,
+    feedConfig.acoViewId,
+    feedConfig.acoPriceBookId,
+    tenantId,
+    page,
+    pageSize,
+    feedConfig.acoRequestOptions
+  );
+  logger.info(
+    `Resyncing page ${page}/${totalPages} with ${products.length} product(s)`
+  );
+
+  const items = products.map(({ sku }) => ({ sku, operation: "update" }));
+  if (items.length > 0) {
+    const inventories = {
+      localInventories: new Map(),
+      regionalInventories: new Map(),
+    };
+    const productInputs = await fetchAndTransformProducts(
+      feedConfig,
+      tenantId,
+      items,
+      outcomes,
+      logger,
+      inventories
+    );
+    if (productInputs.length > 0) {
+      const itemsBySku = new Map(items.map((item) => [item.sku, item]));
+      await upsertAndRecord(
+        feedConfig,
+        productInputs,
+        itemsBySku,
+        outcomes,
+        logger,
+        inventories
+      );
+    }
+  }
+
+  return { items, outcomes, totalCount, totalPages };
+};
+
+module.exports = {
+  resyncCatalogPage,
+};
@@ -0,0 +1,137 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * Helpers to collect per-item outcomes (synced, skipped, failed) while processing events.
+ *
+ * @typedef {import('../types/outcomes').ItemOutcomes} ItemOutcomes
+ * @typedef {import('../types/outcomes').ItemStage} ItemStage
+ * @typedef {import('../types/outcomes').MarketOutcomeSummary} MarketOutcomeSummary
+ */
+
+/**
+ * Creates an empty outcomes collector.
+ *
+ * @param {boolean} [dryRun=false] - Whether to collect what would be sent to Google instead of sending it
+ * @returns {ItemOutcomes} The outcomes collector
+ */
+const createOutcomes = (dryRun = false) => ({
+  synced: [],
+  skipped: [],
+  failed: [],
+  retries: 0,
+  ...(dryRun && {
+    dryRun: {
+      productInputs: [],
+      supplementalInputs: [],
+      localInventories: [],
+      regionalInventories: [],
+      deleteNames: [],
+    },
+  }),
+});
+
+/**
+ * Records an item as synced to Google Merchant Center.
+ *
+ * @param {ItemOutcomes} outcomes - The outcomes collector
+ * @param {{sku: string, operation: string}} item - The event item
+ */
+const recordSynced = (outcomes, item) => {
+  outcomes.synced.push({ sku: item.sku, operation: item.operation });
+};
+
+/**
+ * Records an item as intentionally skipped.
+ *
+ * @param {ItemOutcomes} outcomes - The outcomes collector
+ * @param {{sku: string, operation: string}} item - The event item
+ * @param {string} reason - Why the item was skipped
+ */
+const recordSkipped = (outcomes, item, reason) => {
+  outcomes.skipped.push({ sku: item.sku, operation: item.operation, reason });
+};
+
+/**
+ * Records an item as failed.
+ *
+ * @param {ItemOutcomes} outcomes - The outcomes collector
+ * @param {{sku: string, operation: string}} item - The event item
+ * @param {ItemStage} stage - The processing stage that failed
+ * @param {Error|string} error - The error
+ */
+const recordFailed = (outcomes, item, stage, error) => {
+  outcomes.failed.push({
+    sku: item.sku,
+    operation: item.operation,
+    stage,
+    error: error instanceof Error ? error.message : String(error),
+  });
+};
+
+/**
+ * Adds the requests retried after a transient error to the outcomes.
+ *
+ * @param {ItemOutcomes} outcomes - The outcomes collector
+ * @param {number} [retries=0] - The number of retried requests
+ */
+const recordRetries = (outcomes, retries = 0) => {
+  outcomes.retries += retries;
+};
+
+/**
+ * Appends the outcomes of a batch of items to an outcomes collector.
+ *
+ * @param {ItemOutcomes} target - The outcomes collector to append to
+ * @param {ItemOutcomes} outcomes - The outcomes of the batch
+ */
+const mergeOutcomes = (target, outcomes) => {
+  target.synced.push(...outcomes.synced);
+  target.skipped.push(...outcomes.skipped);
+  target.failed.push(...outcomes.failed);
+  recordRetries(target, outcomes.retries);
+  if (target.dryRun && outcomes.dryRun) {
+    target.dryRun.productInputs.push(...outcomes.dryRun.productInputs);
+    target.dryRun.supplementalInputs.push(
+      ...outcomes.dryRun.supplementalInputs
+    );
+    target.dryRun.localInventories.push(...outcomes.dryRun.localInventories);
+    target.dryRun.regionalInventories.push(
+      ...outcomes.dryRun.regionalInventories
+    );
+    target.dryRun.deleteNames.push(...outcomes.dryRun.deleteNames);
+  }
+};
+
+/**
+ * Summarizes outcomes for the action response.
+ *
+ * @param {ItemOutcomes} outcomes - The outcomes collector
+ * @returns {MarketOutcomeSummary} The summary
+ */
+const summarizeOutcomes = (outcomes) => ({
+  synced: outcomes.synced.length,
+  skipped: outcomes.skipped,
+  failed: outcomes.failed,
+  retries: outcomes.retries,
+  ...(outcomes.dryRun && { dryRun: outcomes.dryRun }),
+});
+
+module.exports = {
+  createOutcomes,
+  recordSynced,
+  recordSkipped,
+  recordFailed,
+  recordRetries,
+  mergeOutcomes,
+  summarizeOutcomes,
+};
@@ -0,0 +1,157 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+const { protos } = require("@google-shopping/products");
+const { listProductStatuses } = require("../clients/google.js");
+
+/**
+ * @typedef {import('../types/config').FeedConfig} FeedConfig
+ * @typedef {import('../types/productStatus').StatusReport} StatusReport
+ * @typedef {import('../types/productStatus').OfferIssue} OfferIssue
+ * @typedef {import('../types/productStatus').OfferPage} OfferPage
+ */
+
+const { Severity } =
+  protos.google.shopping.merchant.products.v1.ProductStatus.ItemLevelIssue;
+const ReportingContext =
+  protos.google.shopping.type.ReportingContext.ReportingContextEnum;
+
+/**
+ * Gets the name of an enum value, which the API may return as a number or a name.
+ *
+ * @param {object} Enum - The protobuf enum
+ * @param {number|string|null} value - The enum value
+ * @returns {string|undefined} The enum value name
+ */
+const toEnumName = (Enum, value) => {
+  return typeof value === "number" ? Enum[value] : value || undefined;
+};
+
+/**
+ * Ranks a severity, the most severe being the highest.
+ *
+ * @param {string} severity - The severity name
+ * @returns {number} The rank of the severity
+ */
+const rankSeverity = (severity) => Severity[severity] || 0;
+
+/**
+ * Builds the status report of a market from the statuses of its products.
+ * Item-level issues are counted by issue code, and the offers with issues are
+ * reported with their issues one page at a time, so the report of a large data
+ * source stays within the action result size limit. Offers without issues are
+ * only counted.
+ *
+ * @param {{offerId: string, itemGroupId: string|null, productStatus: object|null}[]} products - The product statuses
+ * @param {OfferPage} page - The page of offers with issues to report
+ * @returns {StatusReport} The status report
+ */
+const buildStatusReport = (products, page) => {
+  const issuesByCode = new Map();
+  const offers = [];
+  const severities = {};
+  let disapproved = 0;
+
+  for (const { offerId, itemGroupId, productStatus } of products) {
+    const isDisapproved = (productStatus?.destinationStatuses || []).some(
+      ({ disapprovedCountries }) => disapprovedCountries?.length > 0
+    );
+    if (isDisapproved) disapproved++;
+
+    const itemLevelIssues = productStatus?.itemLevelIssues || [];
+    if (itemLevelIssues.length === 0) continue;
+
+    /** @type {OfferIssue[]} */
+    const issues = itemLevelIssues.map((issue) => ({
+      code: issue.code,
+      severity: toEnumName(Severity, issue.severity),
+      ...(issue.attribute && { attribute: issue.attribute }),
+      reportingContext: toEnumName(ReportingContext, issue.reportingContext),
+      applicableCountries: issue.applicableCountries || [],
+    }));
+    offers.push({ offerId, itemGroupId, disapproved: isDisapproved, issues });
+
+    const highest = issues.reduce(
+      (severity, issue) =>
+        rankSeverity(issue.severity) > rankSeverity(severity)
+          ? issue.severity
+          : severity,
+      issues[0].severity
+    );
+    severities[highest] = (severities[highest] || 0) + 1;
+
+    const codes = new Set();
+    itemLevelIssues.forEach((issue, index) => {
+      const { severity } = issues[index];
+      if (!issuesByCode.has(issue.code)) {
+        issuesByCode.set(issue.code, {
+          code: issue.code,
+          severity,
+          description: issue.description,
+          ...(issue.resolution && { resolution: issue.resolution }),
+          ...(issue.documentation && { documentation: issue.documentation }),
+          count: 0,
+        });
+      }
+      const summary = issuesByCode.get(issue.code);
+      if (rankSeverity(severity) > rankSeverity(summary.severity)) {
+        summary.severity = severity;
+      }
+      if (!codes.has(issue.code)) {
+        codes.add(issue.code);
+        summary.count++;
+      }
+    });
+  }
+
+  const matching = page.issueCode
+    ? offers.filter(({ issues }) =>
+        issues.some(({ code }) => code === page.issueCode)
+      )
+    : offers;
+  return {
+    checked: products.length,
+    disapproved,
+    severities,
+    issues: [...issuesByCode.values()].sort(
+      (a, b) => b.count - a.count || a.code.localeCompare(b.code)
+    ),
+    offerCount: matching.length,
+    offers: matching.slice(page.offset, page.offset + page.limit),
+  };
+};
+
+/**
+ * Reads the statuses of the products of a market from Google Merchant Center
+ * and builds its status report.
+ *
+ * @param {FeedConfig} feedConfig - The feed configuration
+ * @param {OfferPage} page - The page of offers with issues to report
+ * @param {object} logger - The logger to use
+ * @returns {Promise<StatusReport>} The status report of the market
+ */
+const reportProductStatuses = async (feedConfig, page, logger) => {
+  const products = await listProductStatuses(
+    feedConfig.googleCredsJson,
+    feedConfig.googleMerchantId,
+    feedConfig.googleDataSourceId,
+    feedConfig.googleFeedLabel,
+    feedConfig.googleContentLanguage,
+    logger
+  );
+  return buildStatusReport(products, page);
+};
+
+module.exports = {
+  buildStatusReport,
+  reportProductStatuses,
+};
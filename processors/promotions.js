@@ -0,0 +1,91 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+const { upsertPromotions } = require("../clients/promotions.js");
+const {
+  isPromotionActive,
+  transformPromotion,
+} = require("../transformers/promotion.js");
+
+/**
+ * @typedef {import('../types/config').FeedConfig} FeedConfig
+ * @typedef {import('../types/promotions').PromotionsMarketResult} PromotionsMarketResult
+ */
+
+/**
+ * Upserts the promotions configured for a market into its promotions data
+ * source. Promotions that ended are not sent again, and promotions that cannot
+ * be transformed are reported as failed. In a dry run, the promotions are
+ * returned instead of being sent.
+ *
+ * @param {FeedConfig} feedConfig - The feed configuration
+ * @param {object} logger - The logger to use
+ * @returns {Promise<PromotionsMarketResult>} The promotions sync result of the market
+ */
+const syncPromotions = async (feedConfig, logger) => {
+  const { dataSourceId, items } = feedConfig.googlePromotions;
+  const ended = [];
+  const promotions = [];
+  const failed = [];
+  for (const promotionConfig of items) {
+    if (!isPromotionActive(promotionConfig)) {
+      ended.push(promotionConfig.promotionId);
+      continue;
+    }
+    try {
+      promotions.push(
+        transformPromotion(
+          promotionConfig,
+          feedConfig.googleContentLanguage,
+          feedConfig.googleTargetCountry
+        )
+      );
+    } catch (error) {
+      logger.error(error.message);
+      failed.push({
+        promotionId: promotionConfig.promotionId,
+        error: error.message,
+      });
+    }
+  }
+
+  if (feedConfig.dryRun) {
+    logger.info(`Dry run: skipping upsert of ${promotions.length} promotions`);
+    return { dryRun: true, ended, promotions, failed };
+  }
+
+  const result = await upsertPromotions(
+    feedConfig.googleCredsJson,
+    feedConfig.googleMerchantId,
+    dataSourceId,
+    promotions,
+    logger,
+    feedConfig.googleRequestOptions
+  );
+  return {
+    dryRun: false,
+    ended,
+    upserted: result.upserted,
+    failed: [
+      ...failed,
+      ...result.failed.map(({ promotionId, error }) => ({
+        promotionId,
+        error: error.message,
+      })),
+    ],
+    retries: result.retries,
+  };
+};
+
+module.exports = {
+  syncPromotions,
+};
@@ -20,19 +20,40 @@ jest.mock("./../processors/aco/products.js", () => ({
   processProductEvent: jest.fn(),
 }));
 
+jest.mock("./../processors/aco/prices.js", () => ({
+  processPriceEvent: jest.fn(),
+}));
+
 jest.mock("./../actions/config.js", () => ({
   loadMarketConfig: jest.fn(),
   buildLocaleIndex: jest.fn(),
+  buildPriceBookIndex: jest.fn(),
+}));
+
+jest.mock("./../clients/state.js", () => ({
+  ...jest.requireActual("./../clients/state.js"),
+  initStateStore: jest.fn(),
 }));
 
 const { Core } = require("@adobe/aio-sdk");
 const { processProductEvent } = require("./../processors/aco/products.js");
-const { loadMarketConfig, buildLocaleIndex } = require("./../actions/config.js");
+const { processPriceEvent } = require("./../processors/aco/prices.js");
+const {
+  loadMarketConfig,
+  buildLocaleIndex,
+  buildPriceBookIndex,
+} = require("./../actions/config.js");
+const {
+  initStateStore,
+  createMemoryStateStore,
+} = require("./../clients/state.js");
+const { createOutcomes } = require("./../processors/outcomes.js");
 const action = require("./../actions/catalog/index.js");
 
 const mockLoggerInstance = {
   info: jest.fn(),
   debug: jest.fn(),
+  warn: jest.fn(),
   error: jest.fn(),
 };
 
@@ -64,6 +85,10 @@ beforeEach(() => {
   buildLocaleIndex.mockReturnValue(
     new Map([["en-us", mockMarketConfig]])
   );
+  buildPriceBookIndex.mockReturnValue(
+    new Map([["price-book-123", mockMarketConfig]])
+  );
+  initStateStore.mockResolvedValue(createMemoryStateStore());
 });
 
 const baseParams = {
@@ -107,7 +132,45 @@ describe("catalog action", () => {
     const result = await action.main(params);
 
     expect(result.statusCode).toBe(400);
-    expect(result.body.error).toContain("does not match expected tenant ID");
+    expect(result.body.error).toContain("does not match any configured tenant");
+  });
+
+  test("routes events to the markets of their tenant", async () => {
+    const brandMarkets = [
+      { ...mockMarketConfig[0], id: "us-brand-a" },
+      {
+        ...mockMarketConfig[0],
+        id: "us-brand-b",
+        aco: { ...mockMarketConfig[0].aco, tenantId: "tenant-b" },
+        google: { ...mockMarketConfig[0].google, merchantId: "merchant-b" },
+      },
+    ];
+    loadMarketConfig.mockReturnValue(brandMarkets);
+    buildLocaleIndex.mockImplementation(
+      (markets) => new Map([["en-us", markets]])
+    );
+    processProductEvent.mockResolvedValue(createOutcomes());
+
+    const result = await action.main({
+      ...baseParams,
+      data: {
+        instanceId: "tenant-b",
+        items: [
+          { sku: "test-sku", operation: "create", sources: [{ locale: "en-US" }] },
+        ],
+      },
+    });
+
+    expect(result.statusCode).toBe(200);
+    expect(buildLocaleIndex).toHaveBeenCalledWith([brandMarkets[1]]);
+    expect(processProductEvent).toHaveBeenCalledTimes(1);
+    expect(processProductEvent).toHaveBeenCalledWith(
+      "tenant-b",
+      expect.any(Array),
+      expect.objectContaining({ googleMerchantId: "merchant-b" }),
+      mockLoggerInstance
+    );
+    expect(Object.keys(result.body.response.markets)).toEqual(["us-brand-b"]);
   });
 
   test("returns error when event data is missing", async () => {
@@ -142,7 +205,7 @@ describe("catalog action", () => {
   });
 
   test("processes product events successfully", async () => {
-    processProductEvent.mockResolvedValue();
+    processProductEvent.mockResolvedValue(createOutcomes());
 
     const params = {
       ...baseParams,
@@ -196,12 +259,51 @@ describe("catalog action", () => {
     const result = await action.main(params);
 
     expect(result.statusCode).toBe(200);
-    expect(result.body.response).toContain("No event items matched");
+    expect(result.body.response.message).toContain("No event items matched");
     expect(processProductEvent).not.toHaveBeenCalled();
   });
 
   test("processes price events successfully", async () => {
-    processProductEvent.mockResolvedValue();
+    processPriceEvent.mockResolvedValue(createOutcomes());
+
+    const params = {
+      ...baseParams,
+      type: "com.adobe.commerce.storefront.events.price.ccdm",
+      data: {
+        instanceId: "tenant-123",
+        items: [
+          {
+            sku: "test-sku",
+            operation: "update",
+            sources: [{ priceBookId: "price-book-123" }],
+          },
+        ],
+      },
+    };
+
+    const result = await action.main(params);
+
+    expect(result.statusCode).toBe(200);
+    expect(buildLocaleIndex).not.toHaveBeenCalled();
+    expect(processProductEvent).not.toHaveBeenCalled();
+    expect(processPriceEvent).toHaveBeenCalledWith(
+      "tenant-123",
+      params.data.items,
+      expect.objectContaining({ acoPriceBookId: "price-book-123" }),
+      expect.any(Object)
+    );
+  });
+
+  test("routes price events to every market sharing the price book", async () => {
+    processPriceEvent.mockResolvedValue(createOutcomes());
+    const caMarket = {
+      ...mockMarketConfig[0],
+      id: "ca",
+      aco: { ...mockMarketConfig[0].aco, viewId: "view-ca" },
+    };
+    buildPriceBookIndex.mockReturnValue(
+      new Map([["price-book-123", [mockMarketConfig[0], caMarket]]])
+    );
 
     const params = {
       ...baseParams,
@@ -212,7 +314,7 @@ describe("catalog action", () => {
           {
             sku: "test-sku",
             operation: "update",
-            sources: [{ locale: "en-US", priceBookId: "price-book-123" }],
+            sources: [{ priceBookId: "price-book-123" }],
           },
         ],
       },
@@ -221,11 +323,17 @@ describe("catalog action", () => {
     const result = await action.main(params);
 
     expect(result.statusCode).toBe(200);
-    expect(processProductEvent).toHaveBeenCalled();
+    expect(processPriceEvent).toHaveBeenCalledTimes(2);
+    expect(processPriceEvent).toHaveBeenCalledWith(
+      "tenant-123",
+      params.data.items,
+      expect.objectContaining({ acoViewId: "view-ca" }),
+      expect.any(Object)
+    );
   });
 
   test("skips price events that do not match market price book", async () => {
-    processProductEvent.mockResolvedValue();
+    processPriceEvent.mockResolvedValue(createOutcomes());
 
     const params = {
       ...baseParams,
@@ -236,7 +344,7 @@ describe("catalog action", () => {
           {
             sku: "test-sku",
             operation: "update",
-            sources: [{ locale: "en-US", priceBookId: "different-price-book" }],
+            sources: [{ priceBookId: "different-price-book" }],
           },
         ],
       },
@@ -245,7 +353,8 @@ describe("catalog action", () => {
     const result = await action.main(params);
 
     expect(result.statusCode).toBe(200);
-    expect(processProductEvent).not.toHaveBeenCalled();
+    expect(result.body.response.message).toContain("No event items matched");
+    expect(processPriceEvent).not.toHaveBeenCalled();
   });
 
   test("returns error when processProductEvent fails", async () => {
@@ -270,4 +379,483 @@ describe("catalog action", () => {
     expect(result.statusCode).toBe(500);
     expect(result.body.error).toContain("Processing error");
   });
+
+  describe("event deduplication", () => {
+    const eventParams = {
+      ...baseParams,
+      id: "event-123",
+      data: {
+        instanceId: "tenant-123",
+        items: [
+          {
+            sku: "test-sku",
+            operation: "create",
+            sources: [{ locale: "en-US" }],
+          },
+        ],
+      },
+    };
+
+    test("skips replayed events with a success response", async () => {
+      processProductEvent.mockResolvedValue(createOutcomes());
+
+      const first = await action.main(eventParams);
+      const replay = await action.main(eventParams);
+
+      expect(first.statusCode).toBe(200);
+      expect(replay.statusCode).toBe(200);
+      expect(replay.body.response).toEqual({
+        message: expect.stringContaining("already processed"),
+        replay: true,
+      });
+      expect(processProductEvent).toHaveBeenCalledTimes(1);
+    });
+
+    test("processes events with a different id", async () => {
+      processProductEvent.mockResolvedValue(createOutcomes());
+
+      await action.main(eventParams);
+      await action.main({ ...eventParams, id: "event-456" });
+
+      expect(processProductEvent).toHaveBeenCalledTimes(2);
+    });
+
+    test("does not record events that failed to process", async () => {
+      processProductEvent.mockRejectedValueOnce(new Error("Processing error"));
+
+      const failed = await action.main(eventParams);
+      const retried = await action.main(eventParams);
+
+      expect(failed.statusCode).toBe(500);
+      expect(retried.statusCode).toBe(200);
+      expect(processProductEvent).toHaveBeenCalledTimes(2);
+    });
+
+    test("records events with the configured TTL", async () => {
+      processProductEvent.mockResolvedValue(createOutcomes());
+      const store = createMemoryStateStore();
+      const putSpy = jest.spyOn(store, "put");
+      initStateStore.mockResolvedValue(store);
+
+      await action.main({ ...eventParams, EVENT_DEDUP_TTL_SECONDS: "600" });
+
+      expect(putSpy).toHaveBeenCalledWith(
+        "event.event-123",
+        expect.any(String),
+        { ttl: 600 }
+      );
+    });
+
+    test("still processes events when the state store is unavailable", async () => {
+      processProductEvent.mockResolvedValue(createOutcomes());
+      initStateStore.mockRejectedValue(new Error("State unavailable"));
+
+      const result = await action.main(eventParams);
+
+      expect(result.statusCode).toBe(200);
+      expect(processProductEvent).toHaveBeenCalledTimes(1);
+      expect(mockLoggerInstance.warn).toHaveBeenCalledWith(
+        expect.stringContaining("State store unavailable")
+      );
+    });
+
+    test("does not record dry runs or dead-letter their failures", async () => {
+      const store = createMemoryStateStore();
+      initStateStore.mockResolvedValue(store);
+      processProductEvent.mockResolvedValue({
+        ...createOutcomes(true),
+        failed: [
+          {
+            sku: "test-sku",
+            operation: "create",
+            stage: "transform",
+            error: "Product test-sku does not have a price",
+          },
+        ],
+      });
+
+      const dryRun = await action.main({ ...eventParams, dryRun: "true" });
+      await action.main(eventParams);
+
+      expect(processProductEvent).toHaveBeenNthCalledWith(
+        1,
+        "tenant-123",
+        expect.any(Array),
+        expect.objectContaining({ dryRun: true }),
+        mockLoggerInstance
+      );
+      expect(dryRun.body.response.markets.us.dryRun).toEqual({
+        productInputs: [],
+        supplementalInputs: [],
+        localInventories: [],
+        regionalInventories: [],
+        deleteNames: [],
+      });
+      expect(processProductEvent).toHaveBeenCalledTimes(2);
+      expect(await store.get("dlq.us.test-sku")).toEqual(
+        expect.objectContaining({
+          value: expect.stringContaining('"attempts":1'),
+        })
+      );
+    });
+  });
+
+  test("lists failed and skipped items per market", async () => {
+    processProductEvent.mockResolvedValue({
+      synced: [{ sku: "good-sku", operation: "create" }],
+      skipped: [
+        { sku: "missing-sku", operation: "create", reason: "not found" },
+      ],
+      failed: [
+        {
+          sku: "bad-sku",
+          operation: "create",
+          stage: "upsert",
+          error: "INVALID_ARGUMENT",
+        },
+      ],
+    });
+
+    const params = {
+      ...baseParams,
+      data: {
+        instanceId: "tenant-123",
+        items: ["good-sku", "missing-sku", "bad-sku"].map((sku) => ({
+          sku,
+          operation: "create",
+          sources: [{ locale: "en-US" }],
+        })),
+      },
+    };
+
+    const result = await action.main(params);
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body.response.markets).toEqual({
+      us: {
+        synced: 1,
+        skipped: [
+          { sku: "missing-sku", operation: "create", reason: "not found" },
+        ],
+        failed: [
+          {
+            sku: "bad-sku",
+            operation: "create",
+            stage: "upsert",
+            error: "INVALID_ARGUMENT",
+          },
+        ],
+        stale: [],
+      },
+    });
+  });
+
+  describe("stale events", () => {
+    const buildEvent = (id, time, operation) => ({
+      ...baseParams,
+      id,
+      time,
+      data: {
+        instanceId: "tenant-123",
+        items: [{ sku: "test-sku", operation, sources: [{ locale: "en-US" }] }],
+      },
+    });
+
+    beforeEach(() => {
+      processProductEvent.mockImplementation(async (tenantId, items) => ({
+        ...createOutcomes(),
+        synced: items.map(({ sku, operation }) => ({ sku, operation })),
+      }));
+    });
+
+    test("skips items older than the last applied event", async () => {
+      await action.main(
+        buildEvent("event-2", "2025-12-17T12:00:02.000Z", "delete")
+      );
+      const result = await action.main(
+        buildEvent("event-1", "2025-12-17T12:00:01.000Z", "update")
+      );
+
+      expect(processProductEvent).toHaveBeenLastCalledWith(
+        "tenant-123",
+        [],
+        expect.any(Object),
+        mockLoggerInstance
+      );
+      expect(result.body.response.markets.us.stale).toEqual([
+        {
+          sku: "test-sku",
+          operation: "update",
+          eventTime: "2025-12-17T12:00:01.000Z",
+          lastAppliedTime: "2025-12-17T12:00:02.000Z",
+        },
+      ]);
+    });
+
+    test("applies items of newer events", async () => {
+      await action.main(
+        buildEvent("event-1", "2025-12-17T12:00:01.000Z", "update")
+      );
+      const result = await action.main(
+        buildEvent("event-2", "2025-12-17T12:00:02.000Z", "delete")
+      );
+
+      expect(processProductEvent).toHaveBeenLastCalledWith(
+        "tenant-123",
+        [expect.objectContaining({ sku: "test-sku", operation: "delete" })],
+        expect.any(Object),
+        mockLoggerInstance
+      );
+      expect(result.body.response.markets.us.stale).toEqual([]);
+    });
+
+    test("does not record the time of items that failed", async () => {
+      processProductEvent.mockResolvedValueOnce({
+        ...createOutcomes(),
+        failed: [
+          {
+            sku: "test-sku",
+            operation: "delete",
+            stage: "delete",
+            error: "UNAVAILABLE",
+          },
+        ],
+      });
+
+      await action.main(
+        buildEvent("event-2", "2025-12-17T12:00:02.000Z", "delete")
+      );
+      const result = await action.main(
+        buildEvent("event-1", "2025-12-17T12:00:01.000Z", "update")
+      );
+
+      expect(result.body.response.markets.us.stale).toEqual([]);
+    });
+
+    test("reads and writes the event times of many items in bounded parallel batches", async () => {
+      const store = createMemoryStateStore();
+      initStateStore.mockResolvedValue(store);
+      const get = store.get;
+      const put = store.put;
+      let reading = 0;
+      let maxReading = 0;
+      let writing = 0;
+      let maxWriting = 0;
+      store.get = async (key) => {
+        reading++;
+        maxReading = Math.max(maxReading, reading);
+        await new Promise((resolve) => setImmediate(resolve));
+        reading--;
+        return get(key);
+      };
+      store.put = async (key, ...args) => {
+        if (!key.startsWith("time.")) return put(key, ...args);
+        writing++;
+        maxWriting = Math.max(maxWriting, writing);
+        await new Promise((resolve) => setImmediate(resolve));
+        writing--;
+        return put(key, ...args);
+      };
+      const items = Array.from({ length: 25 }, (_, i) => ({
+        sku: `sku-${i}`,
+        operation: "update",
+        sources: [{ locale: "en-US" }],
+      }));
+
+      const result = await action.main({
+        ...buildEvent("event-1", "2025-12-17T12:00:01.000Z", "update"),
+        data: { instanceId: "tenant-123", items },
+      });
+
+      expect(maxReading).toBe(10);
+      expect(maxWriting).toBe(10);
+      expect(processProductEvent).toHaveBeenLastCalledWith(
+        "tenant-123",
+        items,
+        expect.any(Object),
+        mockLoggerInstance
+      );
+      expect(result.body.response.markets.us.stale).toEqual([]);
+    });
+
+    test("never skips product items because of a newer price event", async () => {
+      processPriceEvent.mockImplementation(async (tenantId, items) => ({
+        ...createOutcomes(),
+        synced: items.map(({ sku, operation }) => ({ sku, operation })),
+      }));
+
+      await action.main({
+        ...buildEvent("event-2", "2025-12-17T12:00:02.000Z", "update"),
+        type: "com.adobe.commerce.storefront.events.price.ccdm",
+        data: {
+          instanceId: "tenant-123",
+          items: [
+            {
+              sku: "test-sku",
+              operation: "update",
+              sources: [{ priceBookId: "price-book-123" }],
+            },
+          ],
+        },
+      });
+      const result = await action.main(
+        buildEvent("event-1", "2025-12-17T12:00:01.000Z", "update")
+      );
+
+      expect(processProductEvent).toHaveBeenLastCalledWith(
+        "tenant-123",
+        [expect.objectContaining({ sku: "test-sku", operation: "update" })],
+        expect.any(Object),
+        mockLoggerInstance
+      );
+      expect(result.body.response.markets.us.stale).toEqual([]);
+    });
+  });
+
+  test("dead-letters failed items with the event context", async () => {
+    const store = createMemoryStateStore();
+    initStateStore.mockResolvedValue(store);
+    processProductEvent.mockResolvedValue({
+      synced: [],
+      skipped: [],
+      failed: [
+        {
+          sku: "test-sku",
+          operation: "create",
+          stage: "upsert",
+          error: "UNAVAILABLE",
+        },
+      ],
+    });
+
+    const params = {
+      ...baseParams,
+      id: "event-123",
+      data: {
+        instanceId: "tenant-123",
+        items: [
+          {
+            sku: "test-sku",
+            operation: "create",
+            sources: [{ locale: "en-US" }],
+          },
+        ],
+      },
+    };
+
+    await action.main(params);
+
+    const entry = await store.get("dlq.us.test-sku");
+    expect(JSON.parse(entry.value)).toEqual(
+      expect.objectContaining({
+        sku: "test-sku",
+        marketId: "us",
+        operation: "create",
+        eventId: "event-123",
+        attempts: 1,
+      })
+    );
+  });
+
+  describe("buffered mode", () => {
+    const buildEvent = (id, time, operation) => ({
+      ...baseParams,
+      BUFFER_EVENTS: "true",
+      id,
+      time,
+      data: {
+        instanceId: "tenant-123",
+        items: [{ sku: "test-sku", operation, sources: [{ locale: "en-US" }] }],
+      },
+    });
+
+    test("buffers the latest operation of each SKU instead of processing it", async () => {
+      const store = createMemoryStateStore();
+      initStateStore.mockResolvedValue(store);
+
+      await action.main(
+        buildEvent("event-1", "2025-12-17T12:00:01.000Z", "update")
+      );
+      const result = await action.main(
+        buildEvent("event-2", "2025-12-17T12:00:02.000Z", "delete")
+      );
+
+      expect(processProductEvent).not.toHaveBeenCalled();
+      expect(result.body.response.markets.us).toEqual({
+        buffered: 1,
+        stale: [],
+      });
+      const entry = await store.get("buffer.us.test-sku");
+      expect(JSON.parse(entry.value)).toEqual(
+        expect.objectContaining({
+          sku: "test-sku",
+          tenantId: "tenant-123",
+          operation: "delete",
+          eventId: "event-2",
+          eventTime: "2025-12-17T12:00:02.000Z",
+        })
+      );
+    });
+
+    test("keeps the buffered operation of a newer event", async () => {
+      const store = createMemoryStateStore();
+      initStateStore.mockResolvedValue(store);
+
+      await action.main(
+        buildEvent("event-2", "2025-12-17T12:00:02.000Z", "delete")
+      );
+      const result = await action.main(
+        buildEvent("event-1", "2025-12-17T12:00:01.000Z", "update")
+      );
+
+      expect(result.body.response.markets.us.buffered).toBe(0);
+      const entry = await store.get("buffer.us.test-sku");
+      expect(JSON.parse(entry.value).operation).toBe("delete");
+    });
+
+    test("keeps a buffered product update when a price update is buffered over it", async () => {
+      const store = createMemoryStateStore();
+      initStateStore.mockResolvedValue(store);
+
+      await action.main(
+        buildEvent("event-1", "2025-12-17T12:00:01.000Z", "update")
+      );
+      const result = await action.main({
+        ...buildEvent("event-2", "2025-12-17T12:00:02.000Z", "update"),
+        type: "com.adobe.commerce.storefront.events.price.ccdm",
+        data: {
+          instanceId: "tenant-123",
+          items: [
+            {
+              sku: "test-sku",
+              operation: "update",
+              sources: [{ priceBookId: "price-book-123" }],
+            },
+          ],
+        },
+      });
+
+      expect(result.body.response.markets.us.buffered).toBe(1);
+      const entry = await store.get("buffer.us.test-sku");
+      expect(JSON.parse(entry.value)).toEqual(
+        expect.objectContaining({
+          operation: "update",
+          eventId: "event-1",
+          eventType: "com.adobe.commerce.storefront.events.product.ccdm",
+        })
+      );
+    });
+
+    test("processes events right away when the state store is unavailable", async () => {
+      initStateStore.mockRejectedValue(new Error("state unavailable"));
+      processProductEvent.mockResolvedValue(createOutcomes());
+
+      const result = await action.main(
+        buildEvent("event-1", "2025-12-17T12:00:01.000Z", "update")
+      );
+
+      expect(result.statusCode).toBe(200);
+      expect(processProductEvent).toHaveBeenCalledTimes(1);
+    });
+  });
 });
@@ -0,0 +1,420 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+ */
+
+const http = require("http");
+const {
+  getProducts,
+  getVariants,
+  isProductListed,
+  searchProducts,
+} = require("./../clients/commerce.js");
+
+const fastRetries = { timeoutMs: 1000, maxRetries: 2, baseDelayMs: 1 };
+
+let server;
+let baseUrl;
+let responses;
+let requests;
+
+/**
+ * Queues the responses of the stub Storefront API, served in order.
+ *
+ * @param {...{status?: number, headers?: object, body?: object, delayMs?: number}} queued - The responses
+ */
+const respondWith = (...queued) => {
+  responses.push(...queued);
+};
+
+const product = (sku) => ({ __typename: "SimpleProductView", sku });
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (data) => (body += data));
+    req.on("end", () => {
+      requests.push({
+        url: req.url,
+        headers: req.headers,
+        body: JSON.parse(body),
+      });
+      const {
+        status = 200,
+        headers = {},
+        body: json = {},
+        delayMs = 0,
+      } = responses.shift() || { status: 500 };
+      setTimeout(() => {
+        if (res.destroyed) return;
+        res.writeHead(status, {
+          "Content-Type": "application/json",
+          ...headers,
+        });
+        res.end(JSON.stringify(json));
+      }, delayMs);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  responses = [];
+  requests = [];
+});
+
+describe("getProducts", () => {
+  test("queries the products of the view and price book", async () => {
+    respondWith({ body: { data: { products: [product("sku-1")] } } });
+
+    const products = await getProducts(
+      baseUrl,
+      "view-123",
+      "price-book-123",
+      "tenant-123",
+      ["sku-1"],
+      fastRetries
+    );
+
+    expect(products).toEqual([product("sku-1")]);
+    expect(requests).toEqual([
+      expect.objectContaining({
+        url: "/tenant-123/graphql",
+        headers: expect.objectContaining({
+          "ac-environment-id": "tenant-123",
+          "ac-view-id": "view-123",
+          "ac-price-book-id": "price-book-123",
+        }),
+        body: expect.objectContaining({ variables: { skus: ["sku-1"] } }),
+      }),
+    ]);
+  });
+
+  test("retries 5xx and 429 responses", async () => {
+    respondWith(
+      { status: 503 },
+      { status: 429 },
+      { body: { data: { products: [product("sku-1")] } } }
+    );
+
+    const products = await getProducts(
+      baseUrl,
+      "view-123",
+      "price-book-123",
+      "tenant-123",
+      ["sku-1"],
+      fastRetries
+    );
+
+    expect(products).toEqual([product("sku-1")]);
+    expect(requests).toHaveLength(3);
+  });
+
+  test("waits for the delay of the Retry-After header", async () => {
+    respondWith(
+      { status: 429, headers: { "Retry-After": "1" } },
+      { body: { data: { products: [] } } }
+    );
+
+    const start = Date.now();
+    await getProducts(
+      baseUrl,
+      "view-123",
+      "price-book-123",
+      "tenant-123",
+      ["sku-1"],
+      fastRetries
+    );
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(900);
+    expect(requests).toHaveLength(2);
+  });
+
+  test("fails once its retries are used", async () => {
+    respondWith({ status: 503 }, { status: 503 }, { status: 503 });
+
+    await expect(
+      getProducts(
+        baseUrl,
+        "view-123",
+        "price-book-123",
+        "tenant-123",
+        ["sku-1"],
+        fastRetries
+      )
+    ).rejects.toThrow("Commerce Storefront API error: 503");
+    expect(requests).toHaveLength(3);
+  });
+
+  test("does not retry other client errors", async () => {
+    respondWith({ status: 400 });
+
+    await expect(
+      getProducts(
+        baseUrl,
+        "view-123",
+        "price-book-123",
+        "tenant-123",
+        ["sku-1"],
+        fastRetries
+      )
+    ).rejects.toThrow("Commerce Storefront API error: 400");
+    expect(requests).toHaveLength(1);
+  });
+
+  test("retries requests that time out", async () => {
+    respondWith(
+      { delayMs: 500, body: { data: { products: [] } } },
+      { body: { data: { products: [product("sku-1")] } } }
+    );
+
+    const products = await getProducts(
+      baseUrl,
+      "view-123",
+      "price-book-123",
+      "tenant-123",
+      ["sku-1"],
+      { ...fastRetries, timeoutMs: 100 }
+    );
+
+    expect(products).toEqual([product("sku-1")]);
+    expect(requests).toHaveLength(2);
+  });
+
+  test("fails with a timeout error", async () => {
+    respondWith({ delayMs: 500 });
+
+    await expect(
+      getProducts(
+        baseUrl,
+        "view-123",
+        "price-book-123",
+        "tenant-123",
+        ["sku-1"],
+        { timeoutMs: 100, maxRetries: 0 }
+      )
+    ).rejects.toThrow(
+      "Commerce Storefront API error: request timed out after 100ms"
+    );
+  });
+
+  test("returns the products of a response with partial errors", async () => {
+    respondWith({
+      body: {
+        data: { products: [{ ...product("sku-1"), images: null }] },
+        errors: [
+          { message: "Images unavailable", path: ["products", 0, "images"] },
+        ],
+      },
+    });
+
+    const products = await getProducts(
+      baseUrl,
+      "view-123",
+      "price-book-123",
+      "tenant-123",
+      ["sku-1"],
+      fastRetries
+    );
+
+    expect(products).toEqual([{ ...product("sku-1"), images: null }]);
+  });
+
+  test("fails when partial errors leave out a requested product", async () => {
+    respondWith({
+      body: {
+        data: { products: [product("sku-1"), null] },
+        errors: [{ message: "Product unavailable", path: ["products", 1] }],
+      },
+    });
+
+    await expect(
+      getProducts(
+        baseUrl,
+        "view-123",
+        "price-book-123",
+        "tenant-123",
+        ["sku-1", "sku-2"],
+        fastRetries
+      )
+    ).rejects.toThrow("incomplete data");
+    expect(requests).toHaveLength(1);
+  });
+
+  test("fails on errors without data", async () => {
+    respondWith({
+      body: { data: null, errors: [{ message: "Invalid view" }] },
+    });
+
+    await expect(
+      getProducts(
+        baseUrl,
+        "view-123",
+        "price-book-123",
+        "tenant-123",
+        ["sku-1"],
+        fastRetries
+      )
+    ).rejects.toThrow(
+      'Commerce Storefront API error: [{"message":"Invalid view"}]'
+    );
+  });
+});
+
+describe("getVariants", () => {
+  test("fetches every page of variants", async () => {
+    respondWith(
+      {
+        body: {
+          data: {
+            variants: {
+              variants: [{ selections: [], product: product("child-1") }],
+              cursor: "next",
+            },
+          },
+        },
+      },
+      { status: 502 },
+      {
+        body: {
+          data: {
+            variants: {
+              variants: [{ selections: [], product: product("child-2") }],
+              cursor: null,
+            },
+          },
+        },
+      }
+    );
+
+    const variants = await getVariants(
+      baseUrl,
+      "view-123",
+      "price-book-123",
+      "tenant-123",
+      "parent-1",
+      1,
+      fastRetries
+    );
+
+    expect(variants.map(({ product }) => product.sku)).toEqual([
+      "child-1",
+      "child-2",
+    ]);
+    expect(requests[2].body.variables).toEqual({
+      sku: "parent-1",
+      pageSize: 1,
+      cursor: "next",
+    });
+  });
+
+  test("fails when partial errors leave out a variant", async () => {
+    respondWith({
+      body: {
+        data: {
+          variants: {
+            variants: [{ selections: [], product: null }],
+            cursor: null,
+          },
+        },
+        errors: [{ message: "Product unavailable" }],
+      },
+    });
+
+    await expect(
+      getVariants(
+        baseUrl,
+        "view-123",
+        "price-book-123",
+        "tenant-123",
+        "parent-1",
+        100,
+        fastRetries
+      )
+    ).rejects.toThrow("incomplete data");
+  });
+});
+
+describe("searchProducts", () => {
+  test("returns the products and totals of a page", async () => {
+    respondWith({
+      body: {
+        data: {
+          productSearch: {
+            total_count: 1,
+            items: [{ productView: product("sku-1") }],
+            page_info: { current_page: 1, page_size: 100, total_pages: 1 },
+          },
+        },
+      },
+    });
+
+    const page = await searchProducts(
+      baseUrl,
+      "view-123",
+      "price-book-123",
+      "tenant-123",
+      1,
+      100,
+      fastRetries
+    );
+
+    expect(page).toEqual({
+      products: [product("sku-1")],
+      totalCount: 1,
+      totalPages: 1,
+    });
+  });
+});
+
+describe("isProductListed", () => {
+  test("searches the catalog view by SKU", async () => {
+    respondWith({
+      body: {
+        data: {
+          productSearch: { items: [{ productView: { sku: "sku-1" } }] },
+        },
+      },
+    });
+
+    const listed = await isProductListed(
+      baseUrl,
+      "view-123",
+      "price-book-123",
+      "tenant-123",
+      "sku-1",
+      fastRetries
+    );
+
+    expect(listed).toBe(true);
+    expect(requests[0].body.variables).toEqual({ sku: "sku-1" });
+  });
+
+  test("does not list products missing from the search", async () => {
+    respondWith({ body: { data: { productSearch: { items: [] } } } });
+
+    const listed = await isProductListed(
+      baseUrl,
+      "view-123",
+      "price-book-123",
+      "tenant-123",
+      "variant-1",
+      fastRetries
+    );
+
+    expect(listed).toBe(false);
+  });
+});
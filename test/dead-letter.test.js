@@ -0,0 +1,369 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+ */
+
+jest.mock("@adobe/aio-sdk", () => ({
+  Core: {
+    Logger: jest.fn(),
+  },
+}));
+
+jest.mock("./../processors/aco/products.js", () => ({
+  processProductEvent: jest.fn(),
+}));
+
+jest.mock("./../processors/aco/prices.js", () => ({
+  processPriceEvent: jest.fn(),
+}));
+
+jest.mock("./../actions/config.js", () => ({
+  loadMarketConfig: jest.fn(),
+}));
+
+jest.mock("./../clients/state.js", () => ({
+  ...jest.requireActual("./../clients/state.js"),
+  initStateStore: jest.fn(),
+}));
+
+const { Core } = require("@adobe/aio-sdk");
+const { processProductEvent } = require("./../processors/aco/products.js");
+const { loadMarketConfig } = require("./../actions/config.js");
+const {
+  initStateStore,
+  createMemoryStateStore,
+} = require("./../clients/state.js");
+const {
+  listDeadLetters,
+  updateDeadLetters,
+} = require("./../actions/deadLetter.js");
+const action = require("./../actions/dead-letter/index.js");
+
+const mockLoggerInstance = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+};
+
+const mockMarketConfig = [
+  {
+    id: "us",
+    aco: {
+      viewId: "view-123",
+      priceBookId: "price-book-123",
+      source: { locale: "en-US" },
+    },
+    google: {
+      merchantId: "merchant-123",
+      dataSourceId: "datasource-123",
+      feedLabel: "US",
+      contentLanguage: "en",
+      targetCountry: "US",
+    },
+    store: {
+      urlTemplate: "https://store.example.com/products/{urlKey}",
+    },
+  },
+];
+
+const baseParams = {
+  LOG_LEVEL: "info",
+  ACO_API_BASE_URL: "https://api.example.com",
+  GOOGLE_CREDS_JSON: '{"type":"service_account"}',
+  marketId: "us",
+};
+
+const context = {
+  marketId: "us",
+  tenantId: "tenant-123",
+  eventId: "event-123",
+  eventType: "com.adobe.commerce.storefront.events.product.ccdm",
+};
+
+const items = [
+  { sku: "sku-1", operation: "update" },
+  {
+    sku: "child-sku",
+    operation: "create",
+    links: [{ type: "variantOf", sku: "parent-sku" }],
+  },
+];
+
+let store;
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  Core.Logger.mockReturnValue(mockLoggerInstance);
+  loadMarketConfig.mockReturnValue(mockMarketConfig);
+  store = createMemoryStateStore();
+  initStateStore.mockResolvedValue(store);
+
+  await updateDeadLetters(
+    store,
+    context,
+    items,
+    {
+      synced: [],
+      skipped: [],
+      failed: [
+        {
+          sku: "sku-1",
+          operation: "update",
+          stage: "upsert",
+          error: "RESOURCE_EXHAUSTED",
+        },
+        {
+          sku: "child-sku",
+          operation: "create",
+          stage: "upsert",
+          error: "UNAVAILABLE",
+        },
+      ],
+    },
+    3600,
+    mockLoggerInstance
+  );
+});
+
+describe("dead-letter store", () => {
+  test("records failed items with their event context", async () => {
+    const entries = await listDeadLetters(store, "us", ["child-sku"]);
+
+    expect(entries).toEqual([
+      expect.objectContaining({
+        sku: "child-sku",
+        marketId: "us",
+        tenantId: "tenant-123",
+        operation: "create",
+        links: [{ type: "variantOf", sku: "parent-sku" }],
+        eventId: "event-123",
+        stage: "upsert",
+        error: "UNAVAILABLE",
+        attempts: 1,
+      }),
+    ]);
+  });
+
+  test("increments attempts and removes resolved items", async () => {
+    await updateDeadLetters(
+      store,
+      { ...context, eventId: "event-456" },
+      items,
+      {
+        synced: [{ sku: "child-sku", operation: "create" }],
+        skipped: [],
+        failed: [
+          {
+            sku: "sku-1",
+            operation: "update",
+            stage: "upsert",
+            error: "UNAVAILABLE",
+          },
+        ],
+      },
+      3600,
+      mockLoggerInstance
+    );
+
+    const entries = await listDeadLetters(store, "us");
+
+    expect(entries).toEqual([
+      expect.objectContaining({
+        sku: "sku-1",
+        eventId: "event-456",
+        error: "UNAVAILABLE",
+        attempts: 2,
+      }),
+    ]);
+  });
+
+  test("keeps the entry of a failed product item when a price item of the SKU syncs or fails", async () => {
+    const priceContext = {
+      ...context,
+      eventId: "event-456",
+      eventType: "com.adobe.commerce.storefront.events.price.ccdm",
+    };
+    const priceItems = [
+      { sku: "sku-1", operation: "update" },
+      { sku: "child-sku", operation: "update" },
+    ];
+
+    await updateDeadLetters(
+      store,
+      priceContext,
+      priceItems,
+      {
+        synced: [{ sku: "sku-1", operation: "update" }],
+        skipped: [],
+        failed: [
+          {
+            sku: "child-sku",
+            operation: "update",
+            stage: "update",
+            error: "UNAVAILABLE",
+          },
+        ],
+      },
+      3600,
+      mockLoggerInstance
+    );
+
+    const entries = await listDeadLetters(store, "us");
+
+    expect(entries).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          sku: "sku-1",
+          eventType: context.eventType,
+          attempts: 1,
+        }),
+        expect.objectContaining({
+          sku: "child-sku",
+          operation: "create",
+          links: [{ type: "variantOf", sku: "parent-sku" }],
+          eventId: "event-123",
+          eventType: context.eventType,
+          stage: "update",
+          attempts: 2,
+        }),
+      ])
+    );
+    expect(entries).toHaveLength(2);
+  });
+
+  test("removes the entry of a failed price item when a product item of the SKU syncs", async () => {
+    const priceContext = {
+      ...context,
+      eventType: "com.adobe.commerce.storefront.events.price.ccdm",
+    };
+    const failure = {
+      sku: "sku-2",
+      operation: "update",
+      stage: "update",
+      error: "UNAVAILABLE",
+    };
+    await updateDeadLetters(
+      store,
+      priceContext,
+      [{ sku: "sku-2", operation: "update" }],
+      { synced: [], skipped: [], failed: [failure] },
+      3600,
+      mockLoggerInstance
+    );
+
+    await updateDeadLetters(
+      store,
+      context,
+      [{ sku: "sku-2", operation: "update" }],
+      {
+        synced: [{ sku: "sku-2", operation: "update" }],
+        skipped: [],
+        failed: [],
+      },
+      3600,
+      mockLoggerInstance
+    );
+
+    expect(await listDeadLetters(store, "us", ["sku-2"])).toEqual([]);
+  });
+});
+
+describe("dead-letter action", () => {
+  test("main should be defined", () => {
+    expect(action.main).toBeInstanceOf(Function);
+  });
+
+  test("returns error when required params are missing", async () => {
+    const result = await action.main({ ...baseParams, marketId: undefined });
+
+    expect(result.statusCode).toBe(400);
+    expect(result.body.error).toContain("missing parameter");
+  });
+
+  test("returns error for an invalid operation", async () => {
+    const result = await action.main({ ...baseParams, operation: "retry" });
+
+    expect(result.statusCode).toBe(400);
+    expect(result.body.error).toContain("Invalid operation");
+  });
+
+  test("returns not found for an unconfigured market", async () => {
+    const result = await action.main({
+      ...baseParams,
+      operation: "list",
+      marketId: "fr",
+    });
+
+    expect(result.statusCode).toBe(404);
+  });
+
+  test("lists entries of a market", async () => {
+    const result = await action.main({ ...baseParams, operation: "list" });
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body.response.entries).toHaveLength(2);
+  });
+
+  test("purges selected entries", async () => {
+    const result = await action.main({
+      ...baseParams,
+      operation: "purge",
+      skus: "sku-1",
+    });
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body.response.purged).toEqual(["sku-1"]);
+    expect(await listDeadLetters(store, "us")).toEqual([
+      expect.objectContaining({ sku: "child-sku" }),
+    ]);
+  });
+
+  test("replays entries and keeps those failing again", async () => {
+    processProductEvent.mockResolvedValue({
+      synced: [{ sku: "child-sku", operation: "create" }],
+      skipped: [],
+      failed: [
+        {
+          sku: "sku-1",
+          operation: "update",
+          stage: "upsert",
+          error: "RESOURCE_EXHAUSTED",
+        },
+      ],
+    });
+
+    const result = await action.main({ ...baseParams, operation: "replay" });
+
+    expect(result.statusCode).toBe(200);
+    expect(processProductEvent).toHaveBeenCalledWith(
+      "tenant-123",
+      expect.arrayContaining([
+        {
+          sku: "child-sku",
+          operation: "create",
+          links: [{ type: "variantOf", sku: "parent-sku" }],
+        },
+      ]),
+      expect.objectContaining({ googleMerchantId: "merchant-123" }),
+      expect.any(Object)
+    );
+    expect(result.body.response).toEqual(
+      expect.objectContaining({ replayed: 2, synced: 1 })
+    );
+    expect(await listDeadLetters(store, "us")).toEqual([
+      expect.objectContaining({
+        sku: "sku-1",
+        eventId: "event-123",
+        attempts: 2,
+      }),
+    ]);
+  });
+});
@@ -0,0 +1,290 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+ */
+
+jest.mock("@adobe/aio-sdk", () => ({
+  Core: {
+    Logger: jest.fn(),
+  },
+}));
+
+jest.mock("./../processors/aco/products.js", () => ({
+  processProductEvent: jest.fn(),
+}));
+
+jest.mock("./../processors/aco/prices.js", () => ({
+  processPriceEvent: jest.fn(),
+}));
+
+jest.mock("./../actions/config.js", () => ({
+  loadMarketConfig: jest.fn(),
+}));
+
+jest.mock("./../clients/state.js", () => ({
+  ...jest.requireActual("./../clients/state.js"),
+  initStateStore: jest.fn(),
+}));
+
+const { Core } = require("@adobe/aio-sdk");
+const { processProductEvent } = require("./../processors/aco/products.js");
+const { loadMarketConfig } = require("./../actions/config.js");
+const {
+  initStateStore,
+  createMemoryStateStore,
+} = require("./../clients/state.js");
+const {
+  bufferItems,
+  listBufferedItems,
+} = require("./../actions/eventBuffer.js");
+const { listDeadLetters } = require("./../actions/deadLetter.js");
+const { createOutcomes } = require("./../processors/outcomes.js");
+const action = require("./../actions/flush/index.js");
+
+const mockLoggerInstance = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+};
+
+const mockMarketConfig = [
+  {
+    id: "us",
+    aco: {
+      viewId: "view-123",
+      priceBookId: "price-book-123",
+      source: { locale: "en-US" },
+    },
+    google: {
+      merchantId: "merchant-123",
+      dataSourceId: "datasource-123",
+      feedLabel: "US",
+      contentLanguage: "en",
+      targetCountry: "US",
+    },
+    store: {
+      urlTemplate: "https://store.example.com/products/{urlKey}",
+    },
+  },
+];
+
+const baseParams = {
+  LOG_LEVEL: "info",
+  BUFFER_EVENTS: "true",
+  ACO_API_BASE_URL: "https://api.example.com",
+  GOOGLE_CREDS_JSON: '{"type":"service_account"}',
+};
+
+const context = {
+  marketId: "us",
+  tenantId: "tenant-123",
+  eventId: "event-123",
+  eventType: "com.adobe.commerce.storefront.events.product.ccdm",
+  eventTime: "2025-12-17T12:00:00.000Z",
+};
+
+let store;
+
+/**
+ * Moves the time a buffered SKU entered the buffer into the past.
+ *
+ * @param {string} sku - The buffered SKU
+ * @param {number} seconds - How many seconds ago the SKU was buffered
+ */
+const backdate = async (sku, seconds) => {
+  const key = `buffer.us.${sku}`;
+  const entry = JSON.parse((await store.get(key)).value);
+  entry.firstBufferedAt = new Date(Date.now() - seconds * 1000).toISOString();
+  await store.put(key, JSON.stringify(entry));
+};
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  Core.Logger.mockReturnValue(mockLoggerInstance);
+  loadMarketConfig.mockReturnValue(mockMarketConfig);
+  store = createMemoryStateStore();
+  initStateStore.mockResolvedValue(store);
+  processProductEvent.mockImplementation(async (tenantId, items) => ({
+    ...createOutcomes(),
+    synced: items.map(({ sku, operation }) => ({ sku, operation })),
+  }));
+
+  await bufferItems(
+    store,
+    context,
+    [
+      { sku: "sku-1", operation: "update" },
+      {
+        sku: "child-sku",
+        operation: "create",
+        links: [{ type: "variantOf", sku: "parent-sku" }],
+      },
+    ],
+    3600
+  );
+  await bufferItems(
+    store,
+    { ...context, tenantId: "tenant-b", eventId: "event-456" },
+    [{ sku: "sku-b", operation: "delete" }],
+    3600
+  );
+});
+
+describe("flush", () => {
+  test("main should be defined", () => {
+    expect(action.main).toBeInstanceOf(Function);
+  });
+
+  test("returns error when environment variables are missing", async () => {
+    const result = await action.main({
+      ...baseParams,
+      GOOGLE_CREDS_JSON: undefined,
+    });
+
+    expect(result.statusCode).toBe(500);
+    expect(result.body.error).toContain("GOOGLE_CREDS_JSON");
+  });
+
+  test("does nothing when event buffering is disabled", async () => {
+    const result = await action.main({ ...baseParams, BUFFER_EVENTS: "false" });
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body.response.markets).toEqual({});
+    expect(initStateStore).not.toHaveBeenCalled();
+    expect(processProductEvent).not.toHaveBeenCalled();
+  });
+
+  test("returns not found for an unconfigured market", async () => {
+    const result = await action.main({ ...baseParams, marketId: "fr" });
+
+    expect(result.statusCode).toBe(404);
+  });
+
+  test("keeps items until they waited for the flush interval", async () => {
+    await backdate("sku-1", 90);
+
+    const result = await action.main(baseParams);
+
+    expect(processProductEvent).toHaveBeenCalledTimes(1);
+    expect(processProductEvent).toHaveBeenCalledWith(
+      "tenant-123",
+      [{ sku: "sku-1", operation: "update", links: [] }],
+      expect.objectContaining({ googleMerchantId: "merchant-123" }),
+      mockLoggerInstance
+    );
+    expect(result.body.response.markets.us).toEqual(
+      expect.objectContaining({ flushed: 1, remaining: 2, synced: 1 })
+    );
+    expect(
+      (await listBufferedItems(store, "us")).map(({ sku }) => sku)
+    ).toEqual(expect.arrayContaining(["child-sku", "sku-b"]));
+  });
+
+  test("processes buffered items per tenant and records their event time", async () => {
+    const result = await action.main({ ...baseParams, force: "true" });
+
+    expect(processProductEvent).toHaveBeenCalledWith(
+      "tenant-123",
+      expect.arrayContaining([
+        {
+          sku: "child-sku",
+          operation: "create",
+          links: [{ type: "variantOf", sku: "parent-sku" }],
+        },
+      ]),
+      expect.any(Object),
+      mockLoggerInstance
+    );
+    expect(processProductEvent).toHaveBeenCalledWith(
+      "tenant-b",
+      [{ sku: "sku-b", operation: "delete", links: [] }],
+      expect.any(Object),
+      mockLoggerInstance
+    );
+    expect(result.body.response.markets.us).toEqual(
+      expect.objectContaining({ flushed: 3, remaining: 0, synced: 3 })
+    );
+    expect(await listBufferedItems(store, "us")).toEqual([]);
+    expect((await store.get("time.us.sku-b")).value).toBe(context.eventTime);
+  });
+
+  test("limits the number of items flushed at once", async () => {
+    const result = await action.main({
+      ...baseParams,
+      force: "true",
+      BUFFER_MAX_BATCH_SIZE: "2",
+    });
+
+    expect(result.body.response.markets.us).toEqual(
+      expect.objectContaining({ flushed: 2, remaining: 1 })
+    );
+  });
+
+  test("dead-letters items that fail to sync", async () => {
+    processProductEvent.mockImplementation(async (tenantId, items) => ({
+      ...createOutcomes(),
+      failed: items.map(({ sku, operation }) => ({
+        sku,
+        operation,
+        stage: "upsert",
+        error: "UNAVAILABLE",
+      })),
+    }));
+
+    const result = await action.main({
+      ...baseParams,
+      marketId: "us",
+      force: "true",
+    });
+
+    expect(result.body.response.markets.us.failed).toHaveLength(3);
+    expect(await listDeadLetters(store, "us", ["sku-b"])).toEqual([
+      expect.objectContaining({ tenantId: "tenant-b", error: "UNAVAILABLE" }),
+    ]);
+    expect(await listBufferedItems(store, "us")).toEqual([]);
+    expect(await store.get("time.us.sku-b")).toBeUndefined();
+  });
+
+  test("keeps items buffered again while flushing", async () => {
+    processProductEvent.mockImplementation(async (tenantId, items) => {
+      await bufferItems(
+        store,
+        { ...context, eventId: "event-789" },
+        [{ sku: "sku-1", operation: "delete" }],
+        3600
+      );
+      return {
+        ...createOutcomes(),
+        synced: items.map(({ sku, operation }) => ({ sku, operation })),
+      };
+    });
+
+    const result = await action.main({ ...baseParams, force: "true" });
+
+    expect(result.body.response.markets.us.remaining).toBe(1);
+    expect(await listBufferedItems(store, "us")).toEqual([
+      expect.objectContaining({ sku: "sku-1", operation: "delete" }),
+    ]);
+  });
+
+  test("leaves the buffer untouched in a dry run", async () => {
+    const result = await action.main({
+      ...baseParams,
+      force: "true",
+      dryRun: "true",
+    });
+
+    expect(result.body.response.markets.us).toEqual(
+      expect.objectContaining({ flushed: 3, remaining: 3 })
+    );
+    expect(await listBufferedItems(store, "us")).toHaveLength(3);
+  });
+});
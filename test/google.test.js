@@ -0,0 +1,224 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+ */
+
+jest.mock("google-auth-library", () => ({
+  GoogleAuth: jest.fn(),
+}));
+
+jest.mock("@google-shopping/products", () => ({
+  v1: {
+    ProductInputsServiceClient: jest.fn(),
+    ProductsServiceClient: jest.fn(),
+  },
+}));
+
+const { GoogleAuth } = require("google-auth-library");
+const { ProductInputsServiceClient, ProductsServiceClient } =
+  require("@google-shopping/products").v1;
+const {
+  closeClients,
+  deleteProducts,
+  getClient,
+  listItemGroupOffers,
+  listProductsPage,
+  upsertProducts,
+} = require("./../clients/google.js");
+
+const mockLogger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+};
+
+const credsJson = '{"type":"service_account","client_email":"a@example.com"}';
+const rotatedCredsJson =
+  '{"type":"service_account","client_email":"b@example.com"}';
+
+const productInput = {
+  offerId: "sku-1",
+  feedLabel: "US",
+  contentLanguage: "en",
+};
+
+beforeEach(async () => {
+  await closeClients();
+  jest.clearAllMocks();
+  ProductInputsServiceClient.mockImplementation(() => ({
+    insertProductInput: jest.fn(async ({ productInput }) => [productInput]),
+    deleteProductInput: jest.fn(async () => [{}]),
+    close: jest.fn(async () => {}),
+  }));
+});
+
+describe("getClient", () => {
+  test("reuses the auth and service clients across calls", async () => {
+    // An event for two markets of the same merchant upserts and deletes twice
+    for (let i = 0; i < 2; i++) {
+      await upsertProducts(
+        credsJson,
+        "merchant-123",
+        "datasource-123",
+        [productInput],
+        mockLogger
+      );
+      await deleteProducts(
+        credsJson,
+        "merchant-123",
+        "datasource-123",
+        "US",
+        "en",
+        ["sku-2"],
+        mockLogger
+      );
+    }
+
+    expect(GoogleAuth).toHaveBeenCalledTimes(1);
+    expect(ProductInputsServiceClient).toHaveBeenCalledTimes(1);
+  });
+
+  test("shares the credentials between the clients of each merchant", async () => {
+    const first = await getClient(
+      ProductInputsServiceClient,
+      credsJson,
+      "merchant-1"
+    );
+    const second = await getClient(
+      ProductInputsServiceClient,
+      credsJson,
+      "merchant-2"
+    );
+
+    expect(first).not.toBe(second);
+    expect(GoogleAuth).toHaveBeenCalledTimes(1);
+    expect(ProductInputsServiceClient).toHaveBeenCalledTimes(2);
+    expect(ProductInputsServiceClient.mock.calls[0][0].authClient).toBe(
+      ProductInputsServiceClient.mock.calls[1][0].authClient
+    );
+  });
+
+  test("replaces and closes the client when the credentials change", async () => {
+    const stale = await getClient(
+      ProductInputsServiceClient,
+      credsJson,
+      "merchant-123"
+    );
+
+    const client = await getClient(
+      ProductInputsServiceClient,
+      rotatedCredsJson,
+      "merchant-123"
+    );
+
+    expect(client).not.toBe(stale);
+    expect(stale.close).toHaveBeenCalledTimes(1);
+    expect(GoogleAuth).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("closeClients", () => {
+  test("closes the cached clients so the next calls create new ones", async () => {
+    const client = await getClient(
+      ProductInputsServiceClient,
+      credsJson,
+      "merchant-123"
+    );
+
+    await closeClients();
+    await getClient(ProductInputsServiceClient, credsJson, "merchant-123");
+
+    expect(client.close).toHaveBeenCalledTimes(1);
+    expect(GoogleAuth).toHaveBeenCalledTimes(2);
+    expect(ProductInputsServiceClient).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("listItemGroupOffers", () => {
+  test("lists the offers of the data source grouped under the parents", async () => {
+    const dataSource = "accounts/merchant-123/dataSources/datasource-123";
+    const product = (offerId, itemGroupId) => ({
+      offerId,
+      dataSource,
+      feedLabel: "US",
+      contentLanguage: "en",
+      productAttributes: { itemGroupId },
+    });
+    ProductsServiceClient.mockImplementation(() => ({
+      listProductsAsync: async function* () {
+        yield product("child-1", "parent-sku");
+        yield product("child-2", "other-parent");
+        yield product("sku-1", undefined);
+        yield { ...product("child-3", "parent-sku"), feedLabel: "UK" };
+      },
+      close: jest.fn(async () => {}),
+    }));
+
+    const offers = await listItemGroupOffers(
+      credsJson,
+      "merchant-123",
+      "datasource-123",
+      "US",
+      "en",
+      ["parent-sku"],
+      mockLogger
+    );
+
+    expect(offers).toEqual([{ offerId: "child-1", itemGroupId: "parent-sku" }]);
+  });
+});
+
+describe("listProductsPage", () => {
+  test("lists one page of the offers of the data source", async () => {
+    const listProducts = jest.fn(async () => [
+      [
+        {
+          offerId: "child-1",
+          dataSource: "accounts/merchant-123/dataSources/datasource-123",
+          feedLabel: "US",
+          contentLanguage: "en",
+          productAttributes: { itemGroupId: "parent-sku" },
+        },
+        {
+          offerId: "sku-2",
+          dataSource: "accounts/merchant-123/dataSources/other",
+          feedLabel: "US",
+          contentLanguage: "en",
+        },
+      ],
+      null,
+      { nextPageToken: "token-3" },
+    ]);
+    ProductsServiceClient.mockImplementation(() => ({
+      listProducts,
+      close: jest.fn(async () => {}),
+    }));
+
+    const page = await listProductsPage(
+      credsJson,
+      "merchant-123",
+      "datasource-123",
+      "US",
+      "en",
+      "token-2",
+      mockLogger
+    );
+
+    expect(listProducts).toHaveBeenCalledWith(
+      { parent: "accounts/merchant-123", pageSize: 1000, pageToken: "token-2" },
+      { autoPaginate: false }
+    );
+    expect(page).toEqual({
+      offers: [{ offerId: "child-1", itemGroupId: "parent-sku" }],
+      nextPageToken: "token-3",
+    });
+  });
+});
@@ -0,0 +1,320 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+ */
+
+jest.mock("@adobe/aio-sdk", () => ({
+  Core: {
+    Logger: jest.fn(),
+  },
+}));
+
+jest.mock("./../actions/config.js", () => ({
+  loadMarketConfig: jest.fn(),
+  loadAttributeMappingConfig: jest.fn(() =>
+    require("./../config/attributeMapping/attributeMapping.example.json")
+  ),
+}));
+
+jest.mock("./../clients/commerce.js", () => ({
+  ...jest.requireActual("./../clients/commerce.js"),
+  getProducts: jest.fn(),
+  getVariants: jest.fn(),
+  isProductListed: jest.fn(),
+}));
+
+const { Core } = require("@adobe/aio-sdk");
+const { loadMarketConfig } = require("./../actions/config.js");
+const {
+  getProducts,
+  getVariants,
+  isProductListed,
+} = require("./../clients/commerce.js");
+const action = require("./../actions/preview/index.js");
+
+const mockLoggerInstance = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+};
+
+const mockMarketConfig = [
+  {
+    id: "uk",
+    aco: {
+      viewId: "uk-view",
+      priceBookId: "gbp-prices",
+      source: { locale: "en-GB" },
+    },
+    google: {
+      merchantId: "merchant-123",
+      dataSourceId: "datasource-123",
+      feedLabel: "UK",
+      contentLanguage: "en",
+      targetCountry: "GB",
+    },
+    store: {
+      urlTemplate: "https://store.example.co.uk/products/{urlKey}",
+    },
+  },
+];
+
+const baseParams = {
+  LOG_LEVEL: "info",
+  ACO_TENANT_ID: "tenant-123",
+  ACO_API_BASE_URL: "https://api.example.com",
+  marketId: "uk",
+};
+
+const price = {
+  regular: { amount: { value: 20, currency: "GBP" } },
+  final: { amount: { value: 20, currency: "GBP" } },
+};
+
+const buildProduct = (sku, overrides = {}) => ({
+  __typename: "SimpleProductView",
+  sku,
+  name: `Product ${sku}`,
+  urlKey: sku,
+  inStock: true,
+  images: [],
+  attributes: [],
+  price,
+  ...overrides,
+});
+
+const parentProduct = buildProduct("shirt", {
+  __typename: "ComplexProductView",
+  price: undefined,
+  attributes: [
+    { name: "product_brand", value: "Acme" },
+    { name: "color", value: "Blue" },
+  ],
+});
+
+const variants = ["shirt-s", "shirt-m"].map((sku) => ({
+  selections: [],
+  product: buildProduct(sku, {
+    attributes: [
+      { name: "color", value: "Red" },
+      { name: "fit", value: "Slim" },
+    ],
+  }),
+}));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Core.Logger.mockReturnValue(mockLoggerInstance);
+  loadMarketConfig.mockReturnValue(mockMarketConfig);
+  getVariants.mockResolvedValue(variants);
+  isProductListed.mockResolvedValue(true);
+});
+
+describe("preview", () => {
+  test("main should be defined", () => {
+    expect(action.main).toBeInstanceOf(Function);
+  });
+
+  test("returns error when required params are missing", async () => {
+    const result = await action.main({ ...baseParams, sku: undefined });
+
+    expect(result.statusCode).toBe(400);
+  });
+
+  test("returns not found for an unconfigured market", async () => {
+    const result = await action.main({
+      ...baseParams,
+      sku: "sku-1",
+      marketId: "fr",
+    });
+
+    expect(result.statusCode).toBe(404);
+  });
+
+  test("returns not found when the product is not in the catalog view", async () => {
+    getProducts.mockResolvedValue([]);
+
+    const result = await action.main({ ...baseParams, sku: "missing" });
+
+    expect(result.statusCode).toBe(404);
+    expect(result.body.error).toBe("Product missing not found in market uk");
+  });
+
+  test("previews a simple product with its attribute mapping", async () => {
+    getProducts.mockResolvedValue([
+      buildProduct("sku-1", {
+        attributes: [
+          { name: "ean_code", value: "1234567890123" },
+          { name: "warranty", value: "2 years" },
+          { name: "empty", value: "" },
+        ],
+      }),
+    ]);
+
+    const result = await action.main({ ...baseParams, sku: "sku-1" });
+
+    expect(result.statusCode).toBe(200);
+    expect(getProducts).toHaveBeenCalledWith(
+      baseParams.ACO_API_BASE_URL,
+      "uk-view",
+      "gbp-prices",
+      "tenant-123",
+      ["sku-1"],
+      {}
+    );
+    expect(result.body.response).toEqual({
+      marketId: "uk",
+      sku: "sku-1",
+      products: [
+        {
+          sku: "sku-1",
+          productInput: expect.objectContaining({
+            offerId: "sku-1",
+            feedLabel: "UK",
+            productAttributes: expect.objectContaining({
+              gtins: ["1234567890123"],
+              link: "https://store.example.co.uk/products/sku-1",
+            }),
+            customAttributes: [{ name: "warranty", value: "2 years" }],
+          }),
+          standardAttributes: [{ attribute: "ean_code", field: "gtins" }],
+          customAttributes: ["warranty"],
+        },
+      ],
+      errors: [],
+    });
+  });
+
+  test("previews all variants of a complex product", async () => {
+    getProducts.mockResolvedValue([parentProduct]);
+
+    const result = await action.main({ ...baseParams, sku: "shirt" });
+
+    const { products } = result.body.response;
+    expect(products.map(({ sku }) => sku)).toEqual(["shirt-s", "shirt-m"]);
+    expect(products[0]).toEqual({
+      sku: "shirt-s",
+      parentSku: "shirt",
+      productInput: expect.objectContaining({
+        productAttributes: expect.objectContaining({
+          itemGroupId: "shirt",
+          brand: "Acme",
+          color: "Red",
+        }),
+      }),
+      standardAttributes: [
+        { attribute: "product_brand", field: "brand" },
+        { attribute: "color", field: "color" },
+      ],
+      optionAttributes: [],
+      customAttributes: ["fit"],
+    });
+  });
+
+  test("previews a single variant when the parent SKU is given", async () => {
+    getProducts.mockResolvedValue([parentProduct]);
+
+    const result = await action.main({
+      ...baseParams,
+      sku: "shirt-m",
+      parentSku: "shirt",
+    });
+
+    expect(getProducts).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.anything(),
+      expect.anything(),
+      expect.anything(),
+      ["shirt"],
+      {}
+    );
+    expect(result.body.response.products).toEqual([
+      expect.objectContaining({ sku: "shirt-m", parentSku: "shirt" }),
+    ]);
+  });
+
+  test("requires the parent SKU to preview a variant", async () => {
+    getProducts.mockResolvedValue([variants[1].product]);
+    isProductListed.mockResolvedValue(false);
+
+    const result = await action.main({ ...baseParams, sku: "shirt-m" });
+
+    expect(isProductListed).toHaveBeenCalledWith(
+      baseParams.ACO_API_BASE_URL,
+      "uk-view",
+      "gbp-prices",
+      "tenant-123",
+      "shirt-m",
+      {}
+    );
+    expect(result.statusCode).toBe(400);
+    expect(result.body.error).toBe(
+      "Product shirt-m is a variant, pass its parentSku to preview it"
+    );
+  });
+
+  test("reports products that cannot be transformed", async () => {
+    getProducts.mockResolvedValue([buildProduct("no-price", { price: null })]);
+
+    const result = await action.main({ ...baseParams, sku: "no-price" });
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body.response.errors).toEqual([
+      { sku: "no-price", error: "Product no-price does not have a price" },
+    ]);
+  });
+
+  test("previews the variant fields set from option selections", async () => {
+    getProducts.mockResolvedValue([
+      {
+        ...parentProduct,
+        options: [
+          {
+            id: "size",
+            title: "Size",
+            values: [{ id: "size-s", title: "S" }],
+          },
+          {
+            id: "colour",
+            title: "Colour",
+            values: [{ id: "colour-red", title: "Red" }],
+          },
+          {
+            id: "sleeve",
+            title: "Sleeve",
+            values: [{ id: "sleeve-long", title: "Long" }],
+          },
+        ],
+      },
+    ]);
+    getVariants.mockResolvedValue([
+      {
+        selections: ["size-s", "colour-red", "sleeve-long"],
+        product: buildProduct("shirt-s"),
+      },
+    ]);
+
+    const result = await action.main({ ...baseParams, sku: "shirt" });
+
+    const [preview] = result.body.response.products;
+    expect(preview.productInput.productAttributes).toEqual(
+      expect.objectContaining({ size: "S", color: "Red" })
+    );
+    expect(preview.standardAttributes).toEqual([
+      { attribute: "product_brand", field: "brand" },
+    ]);
+    expect(preview.optionAttributes).toEqual([
+      { option: "Size", value: "S", field: "size" },
+      { option: "Colour", value: "Red", field: "color" },
+      { option: "Sleeve", value: "Long", field: null },
+    ]);
+  });
+});
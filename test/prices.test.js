@@ -0,0 +1,420 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+ */
+
+jest.mock("./../actions/config.js", () => ({
+  loadAttributeMappingConfig: jest.fn(() =>
+    require("./../config/attributeMapping/attributeMapping.example.json")
+  ),
+}));
+
+jest.mock("./../clients/commerce.js", () => ({
+  ...jest.requireActual("./../clients/commerce.js"),
+  getProducts: jest.fn(),
+  getVariants: jest.fn(),
+}));
+
+jest.mock("./../clients/google.js", () => ({
+  ...jest.requireActual("./../clients/google.js"),
+  upsertProducts: jest.fn(),
+  updateProducts: jest.fn(),
+  deleteProducts: jest.fn(),
+  listItemGroupOffers: jest.fn(),
+}));
+
+const { getProducts } = require("./../clients/commerce.js");
+const {
+  upsertProducts,
+  updateProducts,
+  deleteProducts,
+  listItemGroupOffers,
+} = require("./../clients/google.js");
+const { PRICE_FIELD_MASKS } = require("./../transformers/product.js");
+const { processPriceEvent } = require("./../processors/aco/prices.js");
+
+const mockLogger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+};
+
+const feedConfig = {
+  acoApiBaseUrl: "https://api.example.com",
+  acoViewId: "view-123",
+  acoPriceBookId: "price-book-123",
+  googleCredsJson: '{"type":"service_account"}',
+  googleMerchantId: "merchant-123",
+  googleDataSourceId: "datasource-123",
+  googleFeedLabel: "US",
+  googleContentLanguage: "en",
+  googleTargetCountry: "US",
+  googleRequestOptions: { concurrency: 10, maxRetries: 3 },
+  storeUrlTemplate: "https://store.example.com/products/{urlKey}",
+};
+
+const buildSimpleProduct = (sku) => ({
+  __typename: "SimpleProductView",
+  sku,
+  name: `Product ${sku}`,
+  urlKey: sku,
+  inStock: true,
+  images: [],
+  attributes: [{ name: "warranty", value: "2 years" }],
+  price: {
+    regular: { amount: { value: 12.5, currency: "USD" } },
+    final: { amount: { value: 12.5, currency: "USD" } },
+  },
+});
+
+const items = [
+  { sku: "sku-1", operation: "create" },
+  { sku: "sku-2", operation: "update" },
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  listItemGroupOffers.mockResolvedValue([]);
+  getProducts.mockResolvedValue([
+    buildSimpleProduct("sku-1"),
+    buildSimpleProduct("sku-2"),
+  ]);
+  updateProducts.mockImplementation(async (c, m, d, productInputs) => ({
+    updated: productInputs,
+    notFound: [],
+    failed: [],
+  }));
+  upsertProducts.mockImplementation(async (c, m, d, productInputs) => ({
+    upserted: productInputs,
+    failed: [],
+  }));
+  deleteProducts.mockImplementation(async (c, m, d, f, l, skus) => ({
+    deleted: skus,
+    notFound: [],
+    failed: [],
+  }));
+});
+
+describe("processPriceEvent", () => {
+  test("sends only the price fields with the price update mask", async () => {
+    const outcomes = await processPriceEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(updateProducts).toHaveBeenCalledWith(
+      feedConfig.googleCredsJson,
+      "merchant-123",
+      "datasource-123",
+      [
+        {
+          contentLanguage: "en",
+          feedLabel: "US",
+          offerId: "sku-1",
+          productAttributes: {
+            price: { amountMicros: 12500000, currencyCode: "USD" },
+            availability: expect.any(Number),
+          },
+        },
+        expect.objectContaining({ offerId: "sku-2" }),
+      ],
+      PRICE_FIELD_MASKS,
+      mockLogger,
+      feedConfig.googleRequestOptions
+    );
+    expect(upsertProducts).not.toHaveBeenCalled();
+    expect(outcomes.synced).toEqual(items);
+  });
+
+  test("inserts the full product when it does not exist in Google yet", async () => {
+    updateProducts.mockResolvedValue({
+      updated: [{ offerId: "sku-1" }],
+      notFound: ["sku-2"],
+      failed: [],
+    });
+
+    const outcomes = await processPriceEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(upsertProducts).toHaveBeenCalledWith(
+      feedConfig.googleCredsJson,
+      "merchant-123",
+      "datasource-123",
+      [
+        expect.objectContaining({
+          offerId: "sku-2",
+          productAttributes: expect.objectContaining({
+            title: "Product sku-2",
+          }),
+          customAttributes: [{ name: "warranty", value: "2 years" }],
+        }),
+      ],
+      mockLogger,
+      feedConfig.googleRequestOptions
+    );
+    expect(outcomes.synced).toEqual(items);
+  });
+
+  test("counts the requests retried by the Google clients", async () => {
+    updateProducts.mockResolvedValue({
+      updated: [{ offerId: "sku-1" }],
+      notFound: ["sku-2"],
+      failed: [],
+      retries: 2,
+    });
+    upsertProducts.mockResolvedValue({
+      upserted: [{ offerId: "sku-2" }],
+      failed: [],
+      retries: 1,
+    });
+
+    const outcomes = await processPriceEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(outcomes.retries).toBe(3);
+  });
+
+  test("records failed updates", async () => {
+    updateProducts.mockResolvedValue({
+      updated: [{ offerId: "sku-1" }],
+      notFound: [],
+      failed: [{ offerId: "sku-2", error: new Error("INVALID_ARGUMENT") }],
+    });
+
+    const outcomes = await processPriceEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(outcomes.synced).toEqual([items[0]]);
+    expect(outcomes.failed).toEqual([
+      {
+        sku: "sku-2",
+        operation: "update",
+        stage: "update",
+        error: "INVALID_ARGUMENT",
+      },
+    ]);
+  });
+
+  test("records all items as failed when the update request throws", async () => {
+    updateProducts.mockRejectedValue(new Error("UNAUTHENTICATED"));
+
+    const outcomes = await processPriceEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(outcomes.failed.map(({ sku, stage }) => [sku, stage])).toEqual([
+      ["sku-1", "update"],
+      ["sku-2", "update"],
+    ]);
+  });
+
+  test("collects the price updates in a dry run", async () => {
+    const outcomes = await processPriceEvent(
+      "tenant-123",
+      items,
+      { ...feedConfig, dryRun: true },
+      mockLogger
+    );
+
+    expect(updateProducts).not.toHaveBeenCalled();
+    expect(outcomes.dryRun.productInputs).toEqual([
+      expect.objectContaining({
+        offerId: "sku-1",
+        productAttributes: expect.not.objectContaining({
+          title: expect.anything(),
+        }),
+      }),
+      expect.objectContaining({ offerId: "sku-2" }),
+    ]);
+  });
+
+  test("collects the regional prices of the price book of each region in a dry run", async () => {
+    getProducts.mockImplementation(async (b, v, priceBookId, t, skus) =>
+      priceBookId === "price-book-ak"
+        ? [
+            {
+              ...buildSimpleProduct("sku-1"),
+              price: {
+                regular: { amount: { value: 15, currency: "USD" } },
+                final: { amount: { value: 15, currency: "USD" } },
+              },
+            },
+          ]
+        : skus.map(buildSimpleProduct)
+    );
+
+    const outcomes = await processPriceEvent(
+      "tenant-123",
+      items,
+      {
+        ...feedConfig,
+        dryRun: true,
+        googleRegions: [{ regionId: "alaska", priceBookId: "price-book-ak" }],
+      },
+      mockLogger
+    );
+
+    expect(outcomes.dryRun.regionalInventories).toEqual([
+      {
+        offerId: "sku-1",
+        regionalInventory: {
+          region: "alaska",
+          regionalInventoryAttributes: {
+            price: { amountMicros: 15000000, currencyCode: "USD" },
+            availability: 1,
+          },
+        },
+      },
+      {
+        offerId: "sku-2",
+        regionalInventory: {
+          region: "alaska",
+          regionalInventoryAttributes: { availability: 2 },
+        },
+      },
+    ]);
+  });
+
+  test("deletes products of price deletes", async () => {
+    const outcomes = await processPriceEvent(
+      "tenant-123",
+      [{ sku: "sku-1", operation: "delete" }],
+      feedConfig,
+      mockLogger
+    );
+
+    expect(deleteProducts).toHaveBeenCalledWith(
+      feedConfig.googleCredsJson,
+      "merchant-123",
+      "datasource-123",
+      "US",
+      "en",
+      ["sku-1"],
+      mockLogger,
+      feedConfig.googleRequestOptions
+    );
+    expect(outcomes.synced).toEqual([{ sku: "sku-1", operation: "delete" }]);
+  });
+
+  describe("with supplemental data sources", () => {
+    const supplementalFeedConfig = {
+      ...feedConfig,
+      googleSupplementalDataSources: [
+        { dataSourceId: "supplemental-prices", fields: ["price", "salePrice"] },
+      ],
+    };
+
+    test("writes routed fields to the supplemental data source", async () => {
+      const outcomes = await processPriceEvent(
+        "tenant-123",
+        items,
+        supplementalFeedConfig,
+        mockLogger
+      );
+
+      expect(upsertProducts).toHaveBeenCalledWith(
+        feedConfig.googleCredsJson,
+        "merchant-123",
+        "supplemental-prices",
+        [
+          {
+            contentLanguage: "en",
+            feedLabel: "US",
+            offerId: "sku-1",
+            productAttributes: {
+              price: { amountMicros: 12500000, currencyCode: "USD" },
+            },
+          },
+          expect.objectContaining({ offerId: "sku-2" }),
+        ],
+        mockLogger,
+        feedConfig.googleRequestOptions
+      );
+      expect(updateProducts).toHaveBeenCalledWith(
+        feedConfig.googleCredsJson,
+        "merchant-123",
+        "datasource-123",
+        [
+          expect.objectContaining({
+            offerId: "sku-1",
+            productAttributes: { availability: expect.any(Number) },
+          }),
+          expect.objectContaining({ offerId: "sku-2" }),
+        ],
+        [
+          "product_attributes.sale_price_effective_date",
+          "product_attributes.availability",
+        ],
+        mockLogger,
+        feedConfig.googleRequestOptions
+      );
+      expect(outcomes.synced).toEqual(items);
+    });
+
+    test("fails items whose supplemental write fails", async () => {
+      upsertProducts.mockResolvedValue({
+        upserted: [{ offerId: "sku-1" }],
+        failed: [{ offerId: "sku-2", error: new Error("INVALID_ARGUMENT") }],
+      });
+
+      const outcomes = await processPriceEvent(
+        "tenant-123",
+        items,
+        supplementalFeedConfig,
+        mockLogger
+      );
+
+      expect(outcomes.synced).toEqual([items[0]]);
+      expect(outcomes.failed).toEqual([
+        expect.objectContaining({ sku: "sku-2", stage: "update" }),
+      ]);
+    });
+
+    test("collects the supplemental inputs in a dry run", async () => {
+      const outcomes = await processPriceEvent(
+        "tenant-123",
+        items,
+        { ...supplementalFeedConfig, dryRun: true },
+        mockLogger
+      );
+
+      expect(upsertProducts).not.toHaveBeenCalled();
+      expect(outcomes.dryRun.supplementalInputs).toEqual([
+        {
+          dataSourceId: "supplemental-prices",
+          productInput: expect.objectContaining({ offerId: "sku-1" }),
+        },
+        {
+          dataSourceId: "supplemental-prices",
+          productInput: expect.objectContaining({ offerId: "sku-2" }),
+        },
+      ]);
+      expect(outcomes.dryRun.productInputs).toHaveLength(2);
+    });
+  });
+});
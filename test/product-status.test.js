@@ -0,0 +1,281 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+ */
+
+jest.mock("@adobe/aio-sdk", () => ({
+  Core: {
+    Logger: jest.fn(),
+  },
+}));
+
+jest.mock("./../actions/config.js", () => ({
+  loadMarketConfig: jest.fn(),
+}));
+
+jest.mock("./../clients/google.js", () => ({
+  listProductStatuses: jest.fn(),
+}));
+
+const { Core } = require("@adobe/aio-sdk");
+const { loadMarketConfig } = require("./../actions/config.js");
+const { listProductStatuses } = require("./../clients/google.js");
+const action = require("./../actions/product-status/index.js");
+
+const mockLoggerInstance = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+};
+
+const mockMarketConfig = [
+  {
+    id: "us",
+    aco: {
+      viewId: "view-123",
+      priceBookId: "price-book-123",
+      source: { locale: "en-US" },
+    },
+    google: {
+      merchantId: "merchant-123",
+      dataSourceId: "datasource-123",
+      feedLabel: "US",
+      contentLanguage: "en",
+      targetCountry: "US",
+    },
+    store: {
+      urlTemplate: "https://store.example.com/products/{urlKey}",
+    },
+  },
+];
+
+const baseParams = {
+  LOG_LEVEL: "info",
+  GOOGLE_CREDS_JSON: '{"type":"service_account"}',
+};
+
+const missingGtin = {
+  code: "missing_gtin",
+  severity: "DEMOTED",
+  attribute: "gtin",
+  reportingContext: "SHOPPING_ADS",
+  description: "Missing GTIN",
+  resolution: "merchant_action",
+  documentation: "https://support.google.com/merchants/answer/6324461",
+  applicableCountries: ["US"],
+};
+
+const imageTooSmall = {
+  code: "image_too_small",
+  severity: "DISAPPROVED",
+  attribute: "image link",
+  reportingContext: "SHOPPING_ADS",
+  description: "Image too small",
+  resolution: "merchant_action",
+  documentation: "",
+  applicableCountries: ["US"],
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Core.Logger.mockReturnValue(mockLoggerInstance);
+  loadMarketConfig.mockReturnValue(mockMarketConfig);
+  listProductStatuses.mockResolvedValue([
+    {
+      offerId: "sku-1",
+      itemGroupId: null,
+      productStatus: {
+        destinationStatuses: [
+          { reportingContext: "SHOPPING_ADS", approvedCountries: ["US"] },
+        ],
+        itemLevelIssues: [],
+      },
+    },
+    {
+      offerId: "shirt-s",
+      itemGroupId: "shirt",
+      productStatus: {
+        destinationStatuses: [
+          { reportingContext: "SHOPPING_ADS", disapprovedCountries: ["US"] },
+        ],
+        itemLevelIssues: [missingGtin, imageTooSmall],
+      },
+    },
+    {
+      offerId: "sku-2",
+      itemGroupId: null,
+      productStatus: {
+        destinationStatuses: [],
+        itemLevelIssues: [{ ...missingGtin, severity: 2 }],
+      },
+    },
+  ]);
+});
+
+describe("product-status", () => {
+  test("main should be defined", () => {
+    expect(action.main).toBeInstanceOf(Function);
+  });
+
+  test("returns error when environment variables are missing", async () => {
+    const result = await action.main({
+      ...baseParams,
+      GOOGLE_CREDS_JSON: undefined,
+    });
+
+    expect(result.statusCode).toBe(500);
+    expect(result.body.error).toContain("GOOGLE_CREDS_JSON");
+  });
+
+  test("returns not found for an unconfigured market", async () => {
+    const result = await action.main({ ...baseParams, marketId: "fr" });
+
+    expect(result.statusCode).toBe(404);
+  });
+
+  test("counts the item-level issues by code and reports the offers", async () => {
+    const result = await action.main(baseParams);
+
+    expect(listProductStatuses).toHaveBeenCalledWith(
+      baseParams.GOOGLE_CREDS_JSON,
+      "merchant-123",
+      "datasource-123",
+      "US",
+      "en",
+      mockLoggerInstance
+    );
+    expect(result.statusCode).toBe(200);
+    expect(result.body.response.markets.us).toEqual({
+      checked: 3,
+      disapproved: 1,
+      severities: { DISAPPROVED: 1, DEMOTED: 1 },
+      issues: [
+        {
+          code: "missing_gtin",
+          severity: "DEMOTED",
+          description: "Missing GTIN",
+          resolution: "merchant_action",
+          documentation: "https://support.google.com/merchants/answer/6324461",
+          count: 2,
+        },
+        {
+          code: "image_too_small",
+          severity: "DISAPPROVED",
+          description: "Image too small",
+          resolution: "merchant_action",
+          count: 1,
+        },
+      ],
+      offerCount: 2,
+      offers: [
+        {
+          offerId: "shirt-s",
+          itemGroupId: "shirt",
+          disapproved: true,
+          issues: [
+            {
+              code: "missing_gtin",
+              severity: "DEMOTED",
+              attribute: "gtin",
+              reportingContext: "SHOPPING_ADS",
+              applicableCountries: ["US"],
+            },
+            {
+              code: "image_too_small",
+              severity: "DISAPPROVED",
+              attribute: "image link",
+              reportingContext: "SHOPPING_ADS",
+              applicableCountries: ["US"],
+            },
+          ],
+        },
+        {
+          offerId: "sku-2",
+          itemGroupId: null,
+          disapproved: false,
+          issues: [
+            expect.objectContaining({
+              code: "missing_gtin",
+              severity: "DEMOTED",
+            }),
+          ],
+        },
+      ],
+    });
+  });
+
+  test("reports the requested page of the offers with an issue code", async () => {
+    const first = await action.main({ ...baseParams, limit: "1" });
+
+    expect(first.body.response.markets.us).toEqual(
+      expect.objectContaining({
+        offerCount: 2,
+        offers: [expect.objectContaining({ offerId: "shirt-s" })],
+      })
+    );
+
+    const second = await action.main({
+      ...baseParams,
+      offset: "1",
+      issueCode: "missing_gtin",
+    });
+
+    expect(second.body.response.markets.us).toEqual(
+      expect.objectContaining({
+        issues: [
+          expect.objectContaining({ code: "missing_gtin", count: 2 }),
+          expect.objectContaining({ code: "image_too_small", count: 1 }),
+        ],
+        offerCount: 2,
+        offers: [expect.objectContaining({ offerId: "sku-2" })],
+      })
+    );
+
+    const filtered = await action.main({
+      ...baseParams,
+      issueCode: "image_too_small",
+    });
+
+    expect(filtered.body.response.markets.us).toEqual(
+      expect.objectContaining({
+        offerCount: 1,
+        offers: [expect.objectContaining({ offerId: "shirt-s" })],
+      })
+    );
+  });
+
+  test("reports the error of a market whose products cannot be listed", async () => {
+    loadMarketConfig.mockReturnValue([
+      ...mockMarketConfig,
+      {
+        ...mockMarketConfig[0],
+        id: "uk",
+        google: { ...mockMarketConfig[0].google, merchantId: "merchant-456" },
+      },
+    ]);
+    listProductStatuses.mockImplementation(async (credsJson, merchantId) => {
+      if (merchantId === "merchant-456") {
+        throw new Error("PERMISSION_DENIED");
+      }
+      return [];
+    });
+
+    const result = await action.main(baseParams);
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body.response.markets.us).toEqual(
+      expect.objectContaining({ checked: 0, disapproved: 0 })
+    );
+    expect(result.body.response.markets.uk).toEqual({
+      error: "PERMISSION_DENIED",
+    });
+  });
+});
@@ -0,0 +1,1182 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+ */
+
+jest.mock("./../actions/config.js", () => ({
+  loadAttributeMappingConfig: jest.fn(() =>
+    require("./../config/attributeMapping/attributeMapping.example.json")
+  ),
+}));
+
+jest.mock("./../clients/commerce.js", () => ({
+  ...jest.requireActual("./../clients/commerce.js"),
+  getProducts: jest.fn(),
+  getVariants: jest.fn(),
+}));
+
+jest.mock("./../clients/google.js", () => ({
+  ...jest.requireActual("./../clients/google.js"),
+  upsertProducts: jest.fn(),
+  deleteProducts: jest.fn(),
+  listItemGroupOffers: jest.fn(),
+}));
+
+jest.mock("./../clients/inventories.js", () => ({
+  insertLocalInventories: jest.fn(),
+  insertRegionalInventories: jest.fn(),
+}));
+
+const { getProducts, getVariants } = require("./../clients/commerce.js");
+const {
+  upsertProducts,
+  deleteProducts,
+  listItemGroupOffers,
+} = require("./../clients/google.js");
+const {
+  insertLocalInventories,
+  insertRegionalInventories,
+} = require("./../clients/inventories.js");
+const { processProductEvent } = require("./../processors/aco/products.js");
+const {
+  transformProduct,
+  transformVariant,
+} = require("./../transformers/product.js");
+const {
+  transformLocalInventories,
+  transformRegionalInventory,
+} = require("./../transformers/inventory.js");
+
+const mockLogger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+};
+
+const feedConfig = {
+  acoApiBaseUrl: "https://api.example.com",
+  acoViewId: "view-123",
+  acoPriceBookId: "price-book-123",
+  acoRequestOptions: { timeoutMs: 5000, maxRetries: 1 },
+  googleCredsJson: '{"type":"service_account"}',
+  googleMerchantId: "merchant-123",
+  googleDataSourceId: "datasource-123",
+  googleFeedLabel: "US",
+  googleContentLanguage: "en",
+  googleTargetCountry: "US",
+  googleRequestOptions: { concurrency: 10, maxRetries: 3 },
+  storeUrlTemplate: "https://store.example.com/products/{urlKey}",
+};
+
+const buildPrice = (value) => ({
+  regular: { amount: { value, currency: "USD" } },
+  final: { amount: { value, currency: "USD" } },
+});
+
+const buildSimpleProduct = (sku, price = buildPrice(10)) => ({
+  __typename: "SimpleProductView",
+  sku,
+  name: `Product ${sku}`,
+  urlKey: sku,
+  inStock: true,
+  images: [],
+  attributes: [],
+  price,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  listItemGroupOffers.mockResolvedValue([]);
+  upsertProducts.mockImplementation(async (c, m, d, productInputs) => ({
+    upserted: productInputs,
+    failed: [],
+  }));
+  deleteProducts.mockImplementation(async (c, m, d, f, l, skus) => ({
+    deleted: skus,
+    notFound: [],
+    failed: [],
+  }));
+  [insertLocalInventories, insertRegionalInventories].forEach((insert) =>
+    insert.mockImplementation(async (c, m, f, l, inventories) => ({
+      inserted: inventories.length,
+      failed: [],
+    }))
+  );
+});
+
+describe("processProductEvent", () => {
+  test("syncs good items and skips products missing in Commerce", async () => {
+    getProducts.mockResolvedValue([
+      buildSimpleProduct("sku-1"),
+      buildSimpleProduct("sku-3"),
+    ]);
+    const items = ["sku-1", "sku-2", "sku-3"].map((sku) => ({
+      sku,
+      operation: "update",
+    }));
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(upsertProducts).toHaveBeenCalledWith(
+      feedConfig.googleCredsJson,
+      "merchant-123",
+      "datasource-123",
+      [
+        expect.objectContaining({ offerId: "sku-1" }),
+        expect.objectContaining({ offerId: "sku-3" }),
+      ],
+      mockLogger,
+      feedConfig.googleRequestOptions
+    );
+    expect(outcomes.synced).toEqual([
+      { sku: "sku-1", operation: "update" },
+      { sku: "sku-3", operation: "update" },
+    ]);
+    expect(outcomes.skipped).toEqual([
+      {
+        sku: "sku-2",
+        operation: "update",
+        reason: "Product sku-2 not found in Commerce",
+      },
+    ]);
+    expect(outcomes.failed).toEqual([]);
+  });
+
+  test("records products without a price as failed transforms", async () => {
+    getProducts.mockResolvedValue([
+      buildSimpleProduct("sku-1"),
+      buildSimpleProduct("no-price", null),
+    ]);
+    const items = [
+      { sku: "sku-1", operation: "create" },
+      { sku: "no-price", operation: "create" },
+    ];
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(outcomes.synced).toEqual([{ sku: "sku-1", operation: "create" }]);
+    expect(outcomes.failed).toEqual([
+      {
+        sku: "no-price",
+        operation: "create",
+        stage: "transform",
+        error: "Product no-price does not have a price",
+      },
+    ]);
+  });
+
+  test("records fetch errors per batch without aborting the market", async () => {
+    getProducts.mockRejectedValueOnce(
+      new Error("Commerce Storefront API error: 503")
+    );
+    getVariants.mockResolvedValue([]);
+    const items = [{ sku: "sku-1", operation: "create" }];
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(upsertProducts).not.toHaveBeenCalled();
+    expect(outcomes.failed).toEqual([
+      {
+        sku: "sku-1",
+        operation: "create",
+        stage: "fetch",
+        error: "Commerce Storefront API error: 503",
+      },
+    ]);
+  });
+
+  test("records variants whose parent could not be fetched as failed", async () => {
+    getProducts.mockResolvedValue([
+      { ...buildSimpleProduct("parent-sku"), __typename: "ComplexProductView" },
+    ]);
+    getVariants.mockRejectedValue(new Error("timeout"));
+    const items = [
+      {
+        sku: "child-sku",
+        operation: "update",
+        links: [{ type: "variantOf", sku: "parent-sku" }],
+      },
+    ];
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(outcomes.failed).toEqual([
+      {
+        sku: "child-sku",
+        operation: "update",
+        stage: "fetch",
+        error: "timeout",
+      },
+    ]);
+  });
+
+  test("cascades a parent update to all of its variants", async () => {
+    getProducts.mockResolvedValue([
+      { ...buildSimpleProduct("parent-sku"), __typename: "ComplexProductView" },
+    ]);
+    getVariants.mockResolvedValue([
+      { selections: [], product: buildSimpleProduct("child-1") },
+      { selections: [], product: buildSimpleProduct("child-2") },
+    ]);
+    const items = [{ sku: "parent-sku", operation: "update" }];
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(upsertProducts).toHaveBeenCalledWith(
+      feedConfig.googleCredsJson,
+      "merchant-123",
+      "datasource-123",
+      [
+        expect.objectContaining({ offerId: "child-1" }),
+        expect.objectContaining({ offerId: "child-2" }),
+      ],
+      mockLogger,
+      feedConfig.googleRequestOptions
+    );
+    expect(outcomes.synced).toEqual([
+      { sku: "parent-sku", operation: "update" },
+    ]);
+    expect(outcomes.skipped).toEqual([]);
+  });
+
+  test("sends each variant once when the parent and a variant are updated together", async () => {
+    getProducts.mockResolvedValue([
+      { ...buildSimpleProduct("parent-sku"), __typename: "ComplexProductView" },
+    ]);
+    getVariants.mockResolvedValue([
+      { selections: [], product: buildSimpleProduct("child-1") },
+      { selections: [], product: buildSimpleProduct("child-2") },
+    ]);
+    upsertProducts.mockResolvedValue({
+      upserted: [{ offerId: "child-2" }],
+      failed: [{ offerId: "child-1", error: new Error("INVALID_ARGUMENT") }],
+    });
+    const items = [
+      { sku: "parent-sku", operation: "update" },
+      {
+        sku: "child-1",
+        operation: "update",
+        links: [{ type: "variantOf", sku: "parent-sku" }],
+      },
+    ];
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(getVariants).toHaveBeenCalledTimes(1);
+    expect(
+      upsertProducts.mock.calls[0][3].map(({ offerId }) => offerId)
+    ).toEqual(["child-1", "child-2"]);
+    expect(outcomes.synced).toEqual([]);
+    expect(outcomes.failed).toEqual([
+      {
+        sku: "child-1",
+        operation: "update",
+        stage: "upsert",
+        error: "INVALID_ARGUMENT",
+      },
+      {
+        sku: "parent-sku",
+        operation: "update",
+        stage: "upsert",
+        error: "INVALID_ARGUMENT",
+      },
+    ]);
+  });
+
+  test("records a parent whose variants could not be fetched as failed", async () => {
+    getProducts.mockResolvedValue([
+      { ...buildSimpleProduct("parent-sku"), __typename: "ComplexProductView" },
+    ]);
+    getVariants.mockRejectedValue(new Error("timeout"));
+    const items = [{ sku: "parent-sku", operation: "update" }];
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(upsertProducts).not.toHaveBeenCalled();
+    expect(outcomes.failed).toEqual([
+      {
+        sku: "parent-sku",
+        operation: "update",
+        stage: "fetch",
+        error: "timeout",
+      },
+    ]);
+  });
+
+  test("records products rejected by Google as failed upserts", async () => {
+    getProducts.mockResolvedValue([
+      buildSimpleProduct("sku-1"),
+      buildSimpleProduct("sku-2"),
+    ]);
+    upsertProducts.mockResolvedValue({
+      upserted: [{ offerId: "sku-1" }],
+      failed: [{ offerId: "sku-2", error: new Error("INVALID_ARGUMENT") }],
+    });
+    const items = [
+      { sku: "sku-1", operation: "create" },
+      { sku: "sku-2", operation: "update" },
+    ];
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(outcomes.synced).toEqual([{ sku: "sku-1", operation: "create" }]);
+    expect(outcomes.failed).toEqual([
+      {
+        sku: "sku-2",
+        operation: "update",
+        stage: "upsert",
+        error: "INVALID_ARGUMENT",
+      },
+    ]);
+  });
+
+  test("records delete outcomes per SKU", async () => {
+    deleteProducts.mockResolvedValue({
+      deleted: ["sku-1"],
+      notFound: [],
+      failed: [{ sku: "sku-2", error: new Error("PERMISSION_DENIED") }],
+    });
+    const items = [
+      { sku: "sku-1", operation: "delete" },
+      { sku: "sku-2", operation: "delete" },
+    ];
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(outcomes.synced).toEqual([{ sku: "sku-1", operation: "delete" }]);
+    expect(outcomes.failed).toEqual([
+      {
+        sku: "sku-2",
+        operation: "delete",
+        stage: "delete",
+        error: "PERMISSION_DENIED",
+      },
+    ]);
+  });
+
+  test("counts the requests retried by the Google clients", async () => {
+    getProducts.mockResolvedValue([buildSimpleProduct("sku-1")]);
+    upsertProducts.mockResolvedValue({
+      upserted: [{ offerId: "sku-1" }],
+      failed: [],
+      retries: 2,
+    });
+    deleteProducts.mockResolvedValue({
+      deleted: ["sku-2"],
+      notFound: [],
+      failed: [],
+      retries: 1,
+    });
+    const items = [
+      { sku: "sku-1", operation: "update" },
+      { sku: "sku-2", operation: "delete" },
+    ];
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(outcomes.retries).toBe(3);
+  });
+
+  test("deletes the variant offers of a deleted parent", async () => {
+    // Commerce no longer returns the variants of a deleted parent
+    getVariants.mockResolvedValue([]);
+    deleteProducts.mockResolvedValueOnce({
+      deleted: ["parent-sku"],
+      notFound: ["parent-sku"],
+      failed: [],
+    });
+    listItemGroupOffers.mockResolvedValue([
+      { offerId: "child-1", itemGroupId: "parent-sku" },
+      { offerId: "child-2", itemGroupId: "parent-sku" },
+    ]);
+    const items = [{ sku: "parent-sku", operation: "delete" }];
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(listItemGroupOffers).toHaveBeenCalledWith(
+      feedConfig.googleCredsJson,
+      "merchant-123",
+      "datasource-123",
+      "US",
+      "en",
+      ["parent-sku"],
+      mockLogger
+    );
+    expect(deleteProducts).toHaveBeenLastCalledWith(
+      feedConfig.googleCredsJson,
+      "merchant-123",
+      "datasource-123",
+      "US",
+      "en",
+      ["child-1", "child-2"],
+      mockLogger,
+      feedConfig.googleRequestOptions
+    );
+    expect(outcomes.synced).toEqual([
+      { sku: "parent-sku", operation: "delete" },
+    ]);
+  });
+
+  test("does not delete again the variants deleted as items of their own", async () => {
+    getVariants.mockResolvedValue([]);
+    listItemGroupOffers.mockResolvedValue([
+      { offerId: "child-1", itemGroupId: "parent-sku" },
+      { offerId: "child-2", itemGroupId: "parent-sku" },
+    ]);
+    const items = [
+      { sku: "parent-sku", operation: "delete" },
+      {
+        sku: "child-1",
+        operation: "delete",
+        links: [{ type: "variantOf", sku: "parent-sku" }],
+      },
+    ];
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(deleteProducts.mock.calls.map((call) => call[5])).toEqual([
+      ["child-1"],
+      ["child-2"],
+    ]);
+    expect(outcomes.synced).toEqual([
+      { sku: "parent-sku", operation: "delete" },
+      { sku: "child-1", operation: "delete" },
+    ]);
+  });
+
+  test("records a deleted parent as failed when its variant offers cannot be listed", async () => {
+    listItemGroupOffers.mockRejectedValue(new Error("UNAVAILABLE"));
+    const items = [
+      { sku: "parent-sku", operation: "delete" },
+      {
+        sku: "child-1",
+        operation: "delete",
+        links: [{ type: "variantOf", sku: "parent-sku" }],
+      },
+    ];
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(deleteProducts).toHaveBeenCalledTimes(1);
+    expect(outcomes.synced).toEqual([{ sku: "child-1", operation: "delete" }]);
+    expect(outcomes.failed).toEqual([
+      {
+        sku: "parent-sku",
+        operation: "delete",
+        stage: "delete",
+        error: "UNAVAILABLE",
+      },
+    ]);
+  });
+
+  test("deletes the offers of variants an updated parent no longer has", async () => {
+    getProducts.mockResolvedValue([
+      { ...buildSimpleProduct("parent-sku"), __typename: "ComplexProductView" },
+    ]);
+    getVariants.mockResolvedValue([
+      { selections: [], product: buildSimpleProduct("child-1") },
+    ]);
+    listItemGroupOffers.mockResolvedValue([
+      { offerId: "child-1", itemGroupId: "parent-sku" },
+      { offerId: "child-2", itemGroupId: "parent-sku" },
+    ]);
+    const items = [{ sku: "parent-sku", operation: "update" }];
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(deleteProducts).toHaveBeenCalledWith(
+      feedConfig.googleCredsJson,
+      "merchant-123",
+      "datasource-123",
+      "US",
+      "en",
+      ["child-2"],
+      mockLogger,
+      feedConfig.googleRequestOptions
+    );
+    expect(upsertProducts.mock.calls[0][3]).toEqual([
+      expect.objectContaining({ offerId: "child-1" }),
+    ]);
+    expect(outcomes.synced).toEqual([
+      { sku: "parent-sku", operation: "update" },
+    ]);
+  });
+
+  test("records all items as failed when the Google client throws", async () => {
+    deleteProducts.mockRejectedValue(new Error("Invalid credentials"));
+    const items = [{ sku: "sku-1", operation: "delete" }];
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      items,
+      feedConfig,
+      mockLogger
+    );
+
+    expect(outcomes.failed).toEqual([
+      {
+        sku: "sku-1",
+        operation: "delete",
+        stage: "delete",
+        error: "Invalid credentials",
+      },
+    ]);
+  });
+
+  test("returns product inputs and delete names without calling Google in a dry run", async () => {
+    getProducts.mockResolvedValue([buildSimpleProduct("sku-1")]);
+    const items = [
+      { sku: "sku-1", operation: "update" },
+      { sku: "sku-2", operation: "delete" },
+    ];
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      items,
+      { ...feedConfig, dryRun: true },
+      mockLogger
+    );
+
+    expect(upsertProducts).not.toHaveBeenCalled();
+    expect(deleteProducts).not.toHaveBeenCalled();
+    expect(outcomes.synced).toEqual([]);
+    expect(outcomes.dryRun).toEqual({
+      productInputs: [
+        expect.objectContaining({
+          offerId: "sku-1",
+          feedLabel: "US",
+          contentLanguage: "en",
+        }),
+      ],
+      supplementalInputs: [],
+      localInventories: [],
+      regionalInventories: [],
+      deleteNames: ["accounts/merchant-123/productInputs/en~US~sku-2"],
+    });
+  });
+});
+
+describe("sale prices", () => {
+  const discounted = {
+    regular: { amount: { value: 50, currency: "USD" } },
+    final: { amount: { value: 39.99, currency: "USD" } },
+  };
+
+  const transform = (product) =>
+    transformProduct("US", product, "en", "US", feedConfig.storeUrlTemplate);
+
+  test("sends the regular price and the final price as sale price", () => {
+    const { productAttributes } = transform(
+      buildSimpleProduct("sku-1", discounted)
+    );
+
+    expect(productAttributes.price).toEqual({
+      amountMicros: 50_000_000,
+      currencyCode: "USD",
+    });
+    expect(productAttributes.salePrice).toEqual({
+      amountMicros: 39_990_000,
+      currencyCode: "USD",
+    });
+    expect(productAttributes.salePriceEffectiveDate).toBeUndefined();
+  });
+
+  test("sends no sale price when the final price is the regular price", () => {
+    const { productAttributes } = transform(buildSimpleProduct("sku-1"));
+
+    expect(productAttributes.price).toEqual({
+      amountMicros: 10_000_000,
+      currencyCode: "USD",
+    });
+    expect(productAttributes.salePrice).toBeUndefined();
+  });
+
+  test("sends the sale dates from the mapped attributes", () => {
+    const product = {
+      ...buildSimpleProduct("sku-1", discounted),
+      attributes: [
+        { name: "special_from_date", value: "2026-11-27" },
+        { name: "special_to_date", value: "2026-11-30T23:59:59.500Z" },
+      ],
+    };
+
+    const { productAttributes, customAttributes } = transform(product);
+
+    expect(productAttributes.salePriceEffectiveDate).toEqual({
+      startTime: { seconds: 1795737600, nanos: 0 },
+      endTime: { seconds: 1796083199, nanos: 500_000_000 },
+    });
+    expect(customAttributes).toBeUndefined();
+  });
+
+  test("ignores sale dates that are not valid dates or not on sale", () => {
+    const attributes = [
+      { name: "special_from_date", value: "soon" },
+      { name: "special_to_date", value: "2026-11-30" },
+    ];
+
+    const onSale = transform({
+      ...buildSimpleProduct("sku-1", discounted),
+      attributes,
+    });
+    const notOnSale = transform({ ...buildSimpleProduct("sku-2"), attributes });
+
+    expect(onSale.productAttributes.salePriceEffectiveDate).toEqual({
+      endTime: { seconds: 1795996800, nanos: 0 },
+    });
+    expect(notOnSale.productAttributes.salePriceEffectiveDate).toBeUndefined();
+  });
+
+  test("uses the minimum price range of a variant", () => {
+    const parent = {
+      __typename: "ComplexProductView",
+      sku: "shirt",
+      name: "Shirt",
+      urlKey: "shirt",
+      attributes: [{ name: "special_to_date", value: "2026-11-30" }],
+    };
+    const variant = {
+      selections: [],
+      product: {
+        ...buildSimpleProduct("shirt-s", undefined),
+        price: undefined,
+        priceRange: { minimum: discounted },
+      },
+    };
+
+    const { productAttributes } = transformVariant(
+      "US",
+      parent,
+      variant,
+      "en",
+      "US",
+      feedConfig.storeUrlTemplate
+    );
+
+    expect(productAttributes.price.amountMicros).toBe(50_000_000);
+    expect(productAttributes.salePrice.amountMicros).toBe(39_990_000);
+    expect(productAttributes.salePriceEffectiveDate).toEqual({
+      endTime: { seconds: 1795996800, nanos: 0 },
+    });
+  });
+});
+
+describe("variant options", () => {
+  const parent = {
+    __typename: "ComplexProductView",
+    sku: "shirt",
+    name: "Shirt",
+    urlKey: "shirt",
+    attributes: [{ name: "color", value: "Blue" }],
+    options: [
+      {
+        id: "colour",
+        title: "Colour",
+        values: [
+          { id: "colour-red", title: "Red" },
+          { id: "colour-green", title: "Green" },
+        ],
+      },
+      { id: "size", title: "Size", values: [{ id: "size-m", title: "M" }] },
+      { id: "fit", title: "Fit", values: [{ id: "fit-slim", title: "Slim" }] },
+    ],
+  };
+
+  const transform = (variant) =>
+    transformVariant(
+      "US",
+      parent,
+      variant,
+      "en",
+      "US",
+      feedConfig.storeUrlTemplate
+    );
+
+  test("sets variant fields from the mapped option selections", () => {
+    const { productAttributes, customAttributes } = transform({
+      selections: ["colour-red", "size-m", "fit-slim"],
+      product: buildSimpleProduct("shirt-red-m"),
+    });
+
+    expect(productAttributes).toEqual(
+      expect.objectContaining({ color: "Red", size: "M" })
+    );
+    expect(productAttributes.fit).toBeUndefined();
+    expect(customAttributes).toBeUndefined();
+  });
+
+  test("prefers the variant attributes over the option selections", () => {
+    const { productAttributes } = transform({
+      selections: ["colour-green", "unknown-id"],
+      product: {
+        ...buildSimpleProduct("shirt-green"),
+        attributes: [{ name: "color", value: "Lime" }],
+      },
+    });
+
+    expect(productAttributes.color).toBe("Lime");
+    expect(productAttributes.size).toBeUndefined();
+  });
+
+  test("links variants to their parent product by default", () => {
+    const { productAttributes } = transform({
+      selections: ["colour-red"],
+      product: buildSimpleProduct("shirt-red"),
+    });
+
+    expect(productAttributes.link).toBe(
+      "https://store.example.com/products/shirt"
+    );
+  });
+
+  test("links variants with their options preselected", () => {
+    const variant = {
+      selections: ["colour-red", "size-m"],
+      product: buildSimpleProduct("shirt red/m"),
+    };
+    const linkOf = (variantUrlTemplate) =>
+      transformVariant(
+        "US",
+        parent,
+        variant,
+        "en",
+        "US",
+        feedConfig.storeUrlTemplate,
+        variantUrlTemplate
+      ).productAttributes.link;
+
+    expect(
+      linkOf(
+        "https://store.example.com/products/{parentUrlKey}?colour={option:Colour}&fit={option:Fit}&{unknown}"
+      )
+    ).toBe(
+      "https://store.example.com/products/shirt?colour=Red&fit=&{unknown}"
+    );
+    expect(
+      linkOf("https://store.example.com/products/{parentUrlKey}#{constructor}")
+    ).toBe("https://store.example.com/products/shirt#{constructor}");
+    expect(
+      linkOf(
+        "https://store.example.com/p/{parentSku}?sku={variantSku}&options={selections}"
+      )
+    ).toBe(
+      "https://store.example.com/p/shirt?sku=shirt%20red%2Fm&options=colour-red,size-m"
+    );
+  });
+
+  test("keeps the parent attributes without option selections", () => {
+    const { productAttributes } = transform({
+      selections: [],
+      product: buildSimpleProduct("shirt-default"),
+    });
+
+    expect(productAttributes.color).toBe("Blue");
+  });
+});
+
+describe("local inventories", () => {
+  const localInventoryConfig = {
+    storeCodes: ["store-1", "store-2", "store-3"],
+    quantityAttribute: "stock_{storeCode}",
+  };
+  const localFeedConfig = {
+    ...feedConfig,
+    googleLocalInventory: localInventoryConfig,
+  };
+
+  const buildStockedProduct = (sku, stock) => ({
+    ...buildSimpleProduct(sku),
+    attributes: Object.entries(stock).map(([storeCode, value]) => ({
+      name: `stock_${storeCode}`,
+      value,
+    })),
+  });
+
+  test("transforms the stock of each store with stock information", () => {
+    const product = buildStockedProduct("sku-1", {
+      "store-1": "5",
+      "store-2": "0",
+      "store-3": "unknown",
+    });
+
+    expect(transformLocalInventories(product, localInventoryConfig)).toEqual([
+      {
+        storeCode: "store-1",
+        localInventoryAttributes: { availability: 1, quantity: 5 },
+      },
+      {
+        storeCode: "store-2",
+        localInventoryAttributes: { availability: 4, quantity: 0 },
+      },
+    ]);
+  });
+
+  test("inserts the local inventories of upserted products", async () => {
+    getProducts.mockResolvedValue([
+      buildStockedProduct("sku-1", { "store-1": "3" }),
+      buildStockedProduct("sku-2", { "store-2": "7" }),
+    ]);
+    upsertProducts.mockResolvedValue({
+      upserted: [{ offerId: "sku-1" }],
+      failed: [{ offerId: "sku-2", error: new Error("INVALID_ARGUMENT") }],
+    });
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      [
+        { sku: "sku-1", operation: "update" },
+        { sku: "sku-2", operation: "update" },
+      ],
+      localFeedConfig,
+      mockLogger
+    );
+
+    expect(insertLocalInventories).toHaveBeenCalledWith(
+      feedConfig.googleCredsJson,
+      "merchant-123",
+      "US",
+      "en",
+      [
+        {
+          offerId: "sku-1",
+          localInventory: {
+            storeCode: "store-1",
+            localInventoryAttributes: { availability: 1, quantity: 3 },
+          },
+        },
+      ],
+      mockLogger,
+      feedConfig.googleRequestOptions
+    );
+    expect(outcomes.synced).toEqual([{ sku: "sku-1", operation: "update" }]);
+    expect(outcomes.failed).toEqual([
+      expect.objectContaining({ sku: "sku-2", stage: "upsert" }),
+    ]);
+  });
+
+  test("records products whose local inventory is rejected as failed", async () => {
+    getProducts.mockResolvedValue([
+      buildStockedProduct("sku-1", { "store-1": "3", "store-2": "1" }),
+    ]);
+    insertLocalInventories.mockResolvedValue({
+      inserted: 1,
+      failed: [
+        {
+          offerId: "sku-1",
+          storeCode: "store-2",
+          error: new Error("NOT_FOUND"),
+        },
+      ],
+    });
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      [{ sku: "sku-1", operation: "update" }],
+      localFeedConfig,
+      mockLogger
+    );
+
+    expect(outcomes.synced).toEqual([]);
+    expect(outcomes.failed).toEqual([
+      {
+        sku: "sku-1",
+        operation: "update",
+        stage: "inventory",
+        error: "NOT_FOUND",
+      },
+    ]);
+  });
+
+  test("does not insert local inventories when the market has none", async () => {
+    getProducts.mockResolvedValue([
+      buildStockedProduct("sku-1", { "store-1": "3" }),
+    ]);
+
+    await processProductEvent(
+      "tenant-123",
+      [{ sku: "sku-1", operation: "update" }],
+      feedConfig,
+      mockLogger
+    );
+
+    expect(insertLocalInventories).not.toHaveBeenCalled();
+  });
+});
+
+describe("regional inventories", () => {
+  const regionalFeedConfig = {
+    ...feedConfig,
+    googleRegions: [
+      { regionId: "alaska", priceBookId: "price-book-ak" },
+      { regionId: "hawaii", priceBookId: "price-book-hi" },
+    ],
+  };
+
+  test("transforms the regional price and availability of a product", () => {
+    const product = {
+      ...buildSimpleProduct("sku-1", {
+        regular: { amount: { value: 20, currency: "USD" } },
+        final: { amount: { value: 15, currency: "USD" } },
+      }),
+      inStock: false,
+    };
+
+    expect(transformRegionalInventory("alaska", product)).toEqual({
+      region: "alaska",
+      regionalInventoryAttributes: {
+        price: { amountMicros: 20000000, currencyCode: "USD" },
+        salePrice: { amountMicros: 15000000, currencyCode: "USD" },
+        availability: 2,
+      },
+    });
+    expect(transformRegionalInventory("hawaii", undefined)).toEqual({
+      region: "hawaii",
+      regionalInventoryAttributes: { availability: 2 },
+    });
+  });
+
+  test("inserts the inventory of each region from its price book", async () => {
+    getProducts.mockImplementation(async (b, v, priceBookId) => {
+      if (priceBookId === "price-book-ak") {
+        return [buildSimpleProduct("sku-1", buildPrice(14))];
+      }
+      if (priceBookId === "price-book-hi") return [];
+      return [buildSimpleProduct("sku-1")];
+    });
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      [{ sku: "sku-1", operation: "update" }],
+      regionalFeedConfig,
+      mockLogger
+    );
+
+    expect(getProducts).toHaveBeenCalledWith(
+      feedConfig.acoApiBaseUrl,
+      "view-123",
+      "price-book-ak",
+      "tenant-123",
+      ["sku-1"],
+      feedConfig.acoRequestOptions
+    );
+    expect(insertRegionalInventories).toHaveBeenCalledWith(
+      feedConfig.googleCredsJson,
+      "merchant-123",
+      "US",
+      "en",
+      [
+        {
+          offerId: "sku-1",
+          regionalInventory: {
+            region: "alaska",
+            regionalInventoryAttributes: {
+              price: { amountMicros: 14000000, currencyCode: "USD" },
+              availability: 1,
+            },
+          },
+        },
+        {
+          offerId: "sku-1",
+          regionalInventory: {
+            region: "hawaii",
+            regionalInventoryAttributes: { availability: 2 },
+          },
+        },
+      ],
+      mockLogger,
+      feedConfig.googleRequestOptions
+    );
+    expect(outcomes.synced).toEqual([{ sku: "sku-1", operation: "update" }]);
+  });
+
+  test("fetches the regional prices of variants with their parent", async () => {
+    const parent = {
+      ...buildSimpleProduct("shirt"),
+      __typename: "ComplexProductView",
+    };
+    getProducts.mockResolvedValue([parent]);
+    getVariants.mockImplementation(async (b, v, priceBookId) => [
+      {
+        selections: [],
+        product: buildSimpleProduct(
+          "shirt-s",
+          buildPrice(priceBookId === "price-book-123" ? 10 : 13)
+        ),
+      },
+    ]);
+
+    await processProductEvent(
+      "tenant-123",
+      [{ sku: "shirt", operation: "update" }],
+      regionalFeedConfig,
+      mockLogger
+    );
+
+    expect(getVariants).toHaveBeenCalledWith(
+      feedConfig.acoApiBaseUrl,
+      "view-123",
+      "price-book-hi",
+      "tenant-123",
+      "shirt",
+      undefined,
+      feedConfig.acoRequestOptions
+    );
+    expect(insertRegionalInventories.mock.calls[0][4]).toEqual([
+      expect.objectContaining({
+        offerId: "shirt-s",
+        regionalInventory: expect.objectContaining({ region: "alaska" }),
+      }),
+      expect.objectContaining({
+        offerId: "shirt-s",
+        regionalInventory: {
+          region: "hawaii",
+          regionalInventoryAttributes: {
+            price: { amountMicros: 13000000, currencyCode: "USD" },
+            availability: 1,
+          },
+        },
+      }),
+    ]);
+  });
+
+  test("records products whose regional price cannot be fetched as failed", async () => {
+    getProducts.mockImplementation(async (b, v, priceBookId) => {
+      if (priceBookId === "price-book-hi") {
+        throw new Error("Commerce Storefront API error: 503");
+      }
+      return [buildSimpleProduct("sku-1")];
+    });
+
+    const outcomes = await processProductEvent(
+      "tenant-123",
+      [{ sku: "sku-1", operation: "update" }],
+      regionalFeedConfig,
+      mockLogger
+    );
+
+    expect(upsertProducts).not.toHaveBeenCalled();
+    expect(outcomes.failed).toEqual([
+      {
+        sku: "sku-1",
+        operation: "update",
+        stage: "fetch",
+        error: "Commerce Storefront API error: 503",
+      },
+    ]);
+  });
+});
+
+describe("promotion IDs", () => {
+  test("links products to promotions from their attributes and the market", async () => {
+    getProducts.mockResolvedValue([
+      {
+        ...buildSimpleProduct("sku-1"),
+        attributes: [{ name: "promotion_ids", value: "CLEARANCE, VIP" }],
+      },
+    ]);
+
+    await processProductEvent(
+      "tenant-123",
+      [{ sku: "sku-1", operation: "update" }],
+      {
+        ...feedConfig,
+        googlePromotions: {
+          dataSourceId: "promotions-123",
+          items: [
+            {
+              promotionId: "WINTER",
+              longTitle: "Winter sale",
+              startDate: "2026-12-01T00:00:00Z",
+              endDate: "2099-01-01T00:00:00Z",
+              percentOff: 10,
+              skus: ["sku-1"],
+            },
+          ],
+        },
+      },
+      mockLogger
+    );
+
+    expect(upsertProducts.mock.calls[0][3][0].productAttributes).toEqual(
+      expect.objectContaining({ promotionIds: ["CLEARANCE", "VIP", "WINTER"] })
+    );
+  });
+});
@@ -0,0 +1,254 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+ */
+
+jest.mock("@adobe/aio-sdk", () => ({
+  Core: {
+    Logger: jest.fn(),
+  },
+}));
+
+jest.mock("./../actions/config.js", () => ({
+  loadMarketConfig: jest.fn(),
+  loadAttributeMappingConfig: jest.fn(() =>
+    require("./../config/attributeMapping/attributeMapping.example.json")
+  ),
+}));
+
+jest.mock("./../clients/promotions.js", () => ({
+  upsertPromotions: jest.fn(),
+}));
+
+const { Core } = require("@adobe/aio-sdk");
+const { loadMarketConfig } = require("./../actions/config.js");
+const { upsertPromotions } = require("./../clients/promotions.js");
+const { applyPromotionIds } = require("./../transformers/promotion.js");
+const action = require("./../actions/promotions/index.js");
+
+const mockLoggerInstance = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+};
+
+const promotions = {
+  dataSourceId: "promotions-123",
+  items: [
+    {
+      promotionId: "BLACK_FRIDAY",
+      longTitle: "20% off outerwear",
+      startDate: "2026-11-27T00:00:00Z",
+      endDate: "2026-11-30T23:59:59Z",
+      percentOff: 20,
+      skus: ["jacket"],
+    },
+    {
+      promotionId: "WELCOME10",
+      longTitle: "$10 off your order",
+      startDate: "2026-01-01T00:00:00Z",
+      endDate: "2027-01-01T00:00:00Z",
+      moneyOff: { value: 10, currency: "USD" },
+      code: "WELCOME10",
+    },
+    {
+      promotionId: "SUMMER",
+      longTitle: "Summer sale",
+      startDate: "2026-06-01T00:00:00Z",
+      endDate: "2026-08-31T23:59:59Z",
+      percentOff: 15,
+      skus: ["jacket"],
+    },
+  ],
+};
+
+const mockMarketConfig = [
+  {
+    id: "us",
+    aco: {
+      viewId: "view-123",
+      priceBookId: "price-book-123",
+      source: { locale: "en-US" },
+    },
+    google: {
+      merchantId: "merchant-123",
+      dataSourceId: "datasource-123",
+      promotions,
+      feedLabel: "US",
+      contentLanguage: "en",
+      targetCountry: "US",
+    },
+    store: {
+      urlTemplate: "https://store.example.com/products/{urlKey}",
+    },
+  },
+  {
+    id: "uk",
+    aco: {
+      viewId: "view-uk",
+      priceBookId: "price-book-uk",
+      source: { locale: "en-GB" },
+    },
+    google: {
+      merchantId: "merchant-123",
+      dataSourceId: "datasource-uk",
+      feedLabel: "UK",
+      contentLanguage: "en",
+      targetCountry: "GB",
+    },
+    store: {
+      urlTemplate: "https://store.example.co.uk/products/{urlKey}",
+    },
+  },
+];
+
+const baseParams = {
+  LOG_LEVEL: "info",
+  GOOGLE_CREDS_JSON: '{"type":"service_account"}',
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(Date, "now").mockReturnValue(Date.parse("2026-10-19T00:00:00Z"));
+  Core.Logger.mockReturnValue(mockLoggerInstance);
+  loadMarketConfig.mockReturnValue(mockMarketConfig);
+  upsertPromotions.mockImplementation(async (c, m, d, inputs) => ({
+    upserted: inputs.map(({ promotionId }) => promotionId),
+    failed: [],
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("promotions", () => {
+  test("main should be defined", () => {
+    expect(action.main).toBeInstanceOf(Function);
+  });
+
+  test("returns error when environment variables are missing", async () => {
+    const result = await action.main({
+      ...baseParams,
+      GOOGLE_CREDS_JSON: undefined,
+    });
+
+    expect(result.statusCode).toBe(500);
+    expect(result.body.error).toContain("GOOGLE_CREDS_JSON");
+  });
+
+  test("returns not found for an unconfigured market", async () => {
+    const result = await action.main({ ...baseParams, marketId: "fr" });
+
+    expect(result.statusCode).toBe(404);
+  });
+
+  test("upserts the promotions that have not ended", async () => {
+    const result = await action.main(baseParams);
+
+    expect(upsertPromotions).toHaveBeenCalledWith(
+      baseParams.GOOGLE_CREDS_JSON,
+      "merchant-123",
+      "promotions-123",
+      [
+        {
+          promotionId: "BLACK_FRIDAY",
+          contentLanguage: "en",
+          targetCountry: "US",
+          redemptionChannel: [2],
+          attributes: {
+            productApplicability: 2,
+            offerType: 1,
+            longTitle: "20% off outerwear",
+            couponValueType: 2,
+            percentOff: 20,
+            promotionDestinations: [1, 4],
+            promotionEffectiveTimePeriod: {
+              startTime: { seconds: 1795737600, nanos: 0 },
+              endTime: { seconds: 1796083199, nanos: 0 },
+            },
+          },
+        },
+        expect.objectContaining({
+          promotionId: "WELCOME10",
+          attributes: expect.objectContaining({
+            productApplicability: 1,
+            offerType: 2,
+            genericRedemptionCode: "WELCOME10",
+            couponValueType: 1,
+            moneyOffAmount: { amountMicros: 10000000, currencyCode: "USD" },
+          }),
+        }),
+      ],
+      mockLoggerInstance,
+      { concurrency: 10, maxRetries: 3 }
+    );
+    expect(result.statusCode).toBe(200);
+    expect(result.body.response.markets).toEqual({
+      us: {
+        dryRun: false,
+        ended: ["SUMMER"],
+        upserted: ["BLACK_FRIDAY", "WELCOME10"],
+        failed: [],
+      },
+    });
+  });
+
+  test("reports promotions that cannot be upserted", async () => {
+    upsertPromotions.mockResolvedValue({
+      upserted: ["WELCOME10"],
+      failed: [
+        { promotionId: "BLACK_FRIDAY", error: new Error("INVALID_ARGUMENT") },
+      ],
+    });
+
+    const result = await action.main({ ...baseParams, marketId: "us" });
+
+    expect(result.body.response.markets.us.failed).toEqual([
+      { promotionId: "BLACK_FRIDAY", error: "INVALID_ARGUMENT" },
+    ]);
+  });
+
+  test("returns the promotions without sending them in a dry run", async () => {
+    const result = await action.main({ ...baseParams, dryRun: "true" });
+
+    expect(upsertPromotions).not.toHaveBeenCalled();
+    expect(result.body.response.markets.us).toEqual({
+      dryRun: true,
+      ended: ["SUMMER"],
+      promotions: [
+        expect.objectContaining({ promotionId: "BLACK_FRIDAY" }),
+        expect.objectContaining({ promotionId: "WELCOME10" }),
+      ],
+      failed: [],
+    });
+  });
+
+  test("links products to the running promotions listing their SKU", () => {
+    const productInput = {
+      offerId: "jacket-m",
+      productAttributes: {
+        itemGroupId: "jacket",
+        promotionIds: ["CLEARANCE"],
+      },
+    };
+
+    expect(
+      applyPromotionIds(productInput, promotions).productAttributes
+    ).toEqual({
+      itemGroupId: "jacket",
+      promotionIds: ["CLEARANCE", "BLACK_FRIDAY"],
+    });
+    expect(
+      applyPromotionIds({ offerId: "hat", productAttributes: {} }, promotions)
+    ).toEqual({ offerId: "hat", productAttributes: {} });
+  });
+});
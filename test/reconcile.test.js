@@ -0,0 +1,262 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+ */
+
+jest.mock("@adobe/aio-sdk", () => ({
+  Core: {
+    Logger: jest.fn(),
+  },
+}));
+
+jest.mock("./../actions/config.js", () => ({
+  loadMarketConfig: jest.fn(),
+}));
+
+jest.mock("./../clients/commerce.js", () => ({
+  getProducts: jest.fn(),
+  getVariants: jest.fn(),
+}));
+
+jest.mock("./../clients/google.js", () => ({
+  listProductsPage: jest.fn(),
+  deleteProducts: jest.fn(),
+}));
+
+const { Core } = require("@adobe/aio-sdk");
+const { loadMarketConfig } = require("./../actions/config.js");
+const { getProducts, getVariants } = require("./../clients/commerce.js");
+const { listProductsPage, deleteProducts } = require("./../clients/google.js");
+const action = require("./../actions/reconcile/index.js");
+
+const mockLoggerInstance = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+};
+
+const mockMarketConfig = [
+  {
+    id: "us",
+    aco: {
+      viewId: "view-123",
+      priceBookId: "price-book-123",
+      source: { locale: "en-US" },
+    },
+    google: {
+      merchantId: "merchant-123",
+      dataSourceId: "datasource-123",
+      feedLabel: "US",
+      contentLanguage: "en",
+      targetCountry: "US",
+    },
+    store: {
+      urlTemplate: "https://store.example.com/products/{urlKey}",
+    },
+  },
+];
+
+const baseParams = {
+  LOG_LEVEL: "info",
+  ACO_TENANT_ID: "tenant-123",
+  ACO_API_BASE_URL: "https://api.example.com",
+  GOOGLE_CREDS_JSON: '{"type":"service_account"}',
+};
+
+const commerceSkus = new Set(["sku-1", "parent-1"]);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Core.Logger.mockReturnValue(mockLoggerInstance);
+  loadMarketConfig.mockReturnValue(mockMarketConfig);
+  listProductsPage.mockResolvedValue({
+    offers: [
+      { offerId: "sku-1", itemGroupId: null },
+      { offerId: "deleted-sku", itemGroupId: null },
+      { offerId: "child-1", itemGroupId: "parent-1" },
+      { offerId: "removed-child", itemGroupId: "parent-1" },
+      { offerId: "orphan-child", itemGroupId: "deleted-parent" },
+    ],
+    nextPageToken: null,
+  });
+  getProducts.mockImplementation(async (b, v, p, t, skus) =>
+    skus.filter((sku) => commerceSkus.has(sku)).map((sku) => ({ sku }))
+  );
+  getVariants.mockResolvedValue([{ product: { sku: "child-1" } }]);
+  deleteProducts.mockImplementation(async (c, m, d, f, l, skus) => ({
+    deleted: skus,
+    failed: [],
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("reconcile", () => {
+  test("main should be defined", () => {
+    expect(action.main).toBeInstanceOf(Function);
+  });
+
+  test("returns error when environment variables are missing", async () => {
+    const result = await action.main({
+      ...baseParams,
+      GOOGLE_CREDS_JSON: undefined,
+    });
+
+    expect(result.statusCode).toBe(500);
+    expect(result.body.error).toContain("GOOGLE_CREDS_JSON");
+  });
+
+  test("returns not found for an unconfigured market", async () => {
+    const result = await action.main({ ...baseParams, marketId: "fr" });
+
+    expect(result.statusCode).toBe(404);
+  });
+
+  test("reports orphans without deleting them by default", async () => {
+    const result = await action.main(baseParams);
+
+    expect(result.statusCode).toBe(200);
+    expect(listProductsPage).toHaveBeenCalledWith(
+      baseParams.GOOGLE_CREDS_JSON,
+      "merchant-123",
+      "datasource-123",
+      "US",
+      "en",
+      null,
+      mockLoggerInstance
+    );
+    expect(getVariants).toHaveBeenCalledTimes(1);
+    expect(result.body.response.markets.us).toEqual({
+      status: "completed",
+      dryRun: true,
+      pagesProcessed: 1,
+      checked: 5,
+      orphans: ["deleted-sku", "removed-child", "orphan-child"],
+      unverified: [],
+      nextPageToken: null,
+    });
+    expect(deleteProducts).not.toHaveBeenCalled();
+  });
+
+  test("deletes orphans when dryRun is false", async () => {
+    deleteProducts.mockResolvedValue({
+      deleted: ["deleted-sku", "removed-child"],
+      failed: [{ sku: "orphan-child", error: new Error("UNAVAILABLE") }],
+    });
+
+    const result = await action.main({ ...baseParams, dryRun: "false" });
+
+    expect(deleteProducts).toHaveBeenCalledWith(
+      baseParams.GOOGLE_CREDS_JSON,
+      "merchant-123",
+      "datasource-123",
+      "US",
+      "en",
+      ["deleted-sku", "removed-child", "orphan-child"],
+      mockLoggerInstance,
+      { concurrency: 10, maxRetries: 3 }
+    );
+    expect(result.body.response.markets.us).toEqual(
+      expect.objectContaining({
+        dryRun: false,
+        deleted: ["deleted-sku", "removed-child"],
+        failed: [{ offerId: "orphan-child", error: "UNAVAILABLE" }],
+      })
+    );
+  });
+
+  test("never deletes offers that could not be checked", async () => {
+    getVariants.mockRejectedValue(new Error("timeout"));
+    getProducts.mockImplementation(async (b, v, p, t, skus) => {
+      if (skus.includes("sku-1")) {
+        throw new Error("Commerce Storefront API error: 503");
+      }
+      return skus
+        .filter((sku) => commerceSkus.has(sku))
+        .map((sku) => ({ sku }));
+    });
+
+    const result = await action.main({ ...baseParams, dryRun: false });
+
+    expect(result.body.response.markets.us.unverified).toEqual([
+      { offerId: "sku-1", error: "Commerce Storefront API error: 503" },
+      { offerId: "deleted-sku", error: "Commerce Storefront API error: 503" },
+      { offerId: "child-1", error: "timeout" },
+      { offerId: "removed-child", error: "timeout" },
+    ]);
+    expect(deleteProducts).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.anything(),
+      expect.anything(),
+      expect.anything(),
+      expect.anything(),
+      ["orphan-child"],
+      mockLoggerInstance,
+      { concurrency: 10, maxRetries: 3 }
+    );
+  });
+
+  test("continues from the page token until the time budget is used", async () => {
+    // Every page takes 200 seconds of the 240 seconds budget
+    let now = 0;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+    listProductsPage.mockImplementation(async (c, m, d, f, l, pageToken) => {
+      now += 200 * 1000;
+      return {
+        offers: [{ offerId: `deleted-${pageToken}`, itemGroupId: null }],
+        nextPageToken: `${pageToken}+1`,
+      };
+    });
+
+    const result = await action.main({
+      ...baseParams,
+      marketId: "us",
+      pageToken: "page-2",
+    });
+
+    expect(listProductsPage).toHaveBeenCalledTimes(2);
+    expect(result.body.response.markets.us).toEqual(
+      expect.objectContaining({
+        status: "in_progress",
+        pagesProcessed: 2,
+        checked: 2,
+        orphans: ["deleted-page-2", "deleted-page-2+1"],
+        nextPageToken: "page-2+1+1",
+      })
+    );
+  });
+
+  test("returns bad request for a page token without market", async () => {
+    const result = await action.main({ ...baseParams, pageToken: "page-2" });
+
+    expect(result.statusCode).toBe(400);
+    expect(listProductsPage).not.toHaveBeenCalled();
+  });
+
+  test("reports the error of a market whose products cannot be listed", async () => {
+    listProductsPage.mockRejectedValue(new Error("PERMISSION_DENIED"));
+
+    const result = await action.main({ ...baseParams, dryRun: "false" });
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body.response.markets.us).toEqual(
+      expect.objectContaining({
+        status: "error",
+        pagesProcessed: 0,
+        nextPageToken: null,
+        lastError: "PERMISSION_DENIED",
+      })
+    );
+    expect(deleteProducts).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,146 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+ */
+
+const { settleRequests } = require("./../clients/requests.js");
+
+const mockLogger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+};
+
+const grpcError = (code, message) =>
+  Object.assign(new Error(message), { code });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("settleRequests", () => {
+  test("settles the requests in the order of the items", async () => {
+    const send = jest.fn(async (item) => {
+      if (item === "b") throw grpcError(3, "INVALID_ARGUMENT");
+      return item.toUpperCase();
+    });
+
+    const { results, retries } = await settleRequests(
+      ["a", "b", "c"],
+      send,
+      { concurrency: 2, maxRetries: 3, baseDelayMs: 0 },
+      mockLogger
+    );
+
+    expect(results).toEqual([
+      { status: "fulfilled", value: "A" },
+      { status: "rejected", reason: expect.any(Error) },
+      { status: "fulfilled", value: "C" },
+    ]);
+    expect(results[1].reason.message).toBe("INVALID_ARGUMENT");
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(retries).toBe(0);
+  });
+
+  test("keeps at most the given number of requests in flight", async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const send = async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((resolve) => setImmediate(resolve));
+      inFlight--;
+    };
+
+    await settleRequests(
+      Array.from({ length: 10 }, (_, index) => index),
+      send,
+      { concurrency: 3 },
+      mockLogger
+    );
+
+    expect(maxInFlight).toBe(3);
+  });
+
+  test("sends all requests at once without options", async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const send = async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((resolve) => setImmediate(resolve));
+      inFlight--;
+    };
+
+    await settleRequests([1, 2, 3, 4], send, undefined, mockLogger);
+
+    expect(maxInFlight).toBe(4);
+  });
+
+  test.each([
+    [4, "DEADLINE_EXCEEDED"],
+    [8, "RESOURCE_EXHAUSTED"],
+    [14, "UNAVAILABLE"],
+  ])("retries requests rejected with gRPC status %i", async (code, name) => {
+    const send = jest
+      .fn()
+      .mockRejectedValueOnce(grpcError(code, name))
+      .mockRejectedValueOnce(grpcError(code, name))
+      .mockResolvedValue("ok");
+
+    const { results, retries } = await settleRequests(
+      ["a"],
+      send,
+      { maxRetries: 3, baseDelayMs: 0 },
+      mockLogger
+    );
+
+    expect(results).toEqual([{ status: "fulfilled", value: "ok" }]);
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(retries).toBe(2);
+    expect(mockLogger.warn).toHaveBeenCalledTimes(2);
+  });
+
+  test("fails a request once its retries are used", async () => {
+    const send = jest
+      .fn()
+      .mockRejectedValue(grpcError(8, "RESOURCE_EXHAUSTED"));
+
+    const { results, retries } = await settleRequests(
+      ["a", "b"],
+      send,
+      { maxRetries: 2, baseDelayMs: 0 },
+      mockLogger
+    );
+
+    expect(results.map(({ status }) => status)).toEqual([
+      "rejected",
+      "rejected",
+    ]);
+    expect(send).toHaveBeenCalledTimes(6);
+    expect(retries).toBe(4);
+  });
+
+  test("never retries without a retry budget", async () => {
+    const send = jest.fn().mockRejectedValue(grpcError(14, "UNAVAILABLE"));
+
+    const { results, retries } = await settleRequests(
+      ["a"],
+      send,
+      { maxRetries: 0 },
+      mockLogger
+    );
+
+    expect(results[0].status).toBe("rejected");
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(retries).toBe(0);
+  });
+});
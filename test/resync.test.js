@@ -0,0 +1,408 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+ */
+
+jest.mock("@adobe/aio-sdk", () => ({
+  Core: {
+    Logger: jest.fn(),
+  },
+}));
+
+jest.mock("./../actions/config.js", () => ({
+  loadMarketConfig: jest.fn(),
+  loadAttributeMappingConfig: jest.fn(() =>
+    require("./../config/attributeMapping/attributeMapping.example.json")
+  ),
+}));
+
+jest.mock("./../clients/commerce.js", () => ({
+  ...jest.requireActual("./../clients/commerce.js"),
+  getProducts: jest.fn(),
+  getVariants: jest.fn(),
+  searchProducts: jest.fn(),
+}));
+
+jest.mock("./../clients/google.js", () => ({
+  upsertProducts: jest.fn(),
+  deleteProducts: jest.fn(),
+}));
+
+jest.mock("./../clients/state.js", () => ({
+  ...jest.requireActual("./../clients/state.js"),
+  initStateStore: jest.fn(),
+}));
+
+const { Core } = require("@adobe/aio-sdk");
+const { loadMarketConfig } = require("./../actions/config.js");
+const {
+  getProducts,
+  getVariants,
+  searchProducts,
+} = require("./../clients/commerce.js");
+const { upsertProducts } = require("./../clients/google.js");
+const {
+  initStateStore,
+  createMemoryStateStore,
+} = require("./../clients/state.js");
+const { getResyncCheckpoint } = require("./../actions/resyncCheckpoint.js");
+const { listDeadLetters } = require("./../actions/deadLetter.js");
+const action = require("./../actions/resync/index.js");
+
+const mockLoggerInstance = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+};
+
+const mockMarketConfig = [
+  {
+    id: "us",
+    aco: {
+      viewId: "view-123",
+      priceBookId: "price-book-123",
+      source: { locale: "en-US" },
+    },
+    google: {
+      merchantId: "merchant-123",
+      dataSourceId: "datasource-123",
+      feedLabel: "US",
+      contentLanguage: "en",
+      targetCountry: "US",
+    },
+    store: {
+      urlTemplate: "https://store.example.com/products/{urlKey}",
+    },
+  },
+];
+
+const baseParams = {
+  LOG_LEVEL: "info",
+  ACO_TENANT_ID: "tenant-123",
+  ACO_API_BASE_URL: "https://api.example.com",
+  GOOGLE_CREDS_JSON: '{"type":"service_account"}',
+};
+
+const buildProduct = (sku, typename = "SimpleProductView") => ({
+  __typename: typename,
+  sku,
+  name: `Product ${sku}`,
+  urlKey: sku,
+  inStock: true,
+  images: [],
+  attributes: [],
+  price: {
+    regular: { amount: { value: 10, currency: "USD" } },
+    final: { amount: { value: 10, currency: "USD" } },
+  },
+});
+
+const catalog = new Map(
+  [
+    buildProduct("sku-1"),
+    buildProduct("sku-2"),
+    buildProduct("sku-3"),
+    buildProduct("parent-1", "ComplexProductView"),
+  ].map((product) => [product.sku, product])
+);
+
+/**
+ * Mocks the catalog search with one page per SKU list.
+ *
+ * @param {string[][]} pages - The SKUs of each page
+ */
+const mockCatalogPages = (pages) => {
+  searchProducts.mockImplementation(
+    async (baseUrl, viewId, priceBookId, tenantId, currentPage) => ({
+      products: (pages[currentPage - 1] || []).map((sku) => ({
+        __typename: catalog.get(sku).__typename,
+        sku,
+      })),
+      totalCount: pages.flat().length,
+      totalPages: pages.length,
+    })
+  );
+};
+
+let store;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Core.Logger.mockReturnValue(mockLoggerInstance);
+  loadMarketConfig.mockReturnValue(mockMarketConfig);
+  store = createMemoryStateStore();
+  initStateStore.mockResolvedValue(store);
+  getProducts.mockImplementation(async (b, v, p, t, skus) =>
+    skus.filter((sku) => catalog.has(sku)).map((sku) => catalog.get(sku))
+  );
+  getVariants.mockResolvedValue([
+    { selections: [], product: buildProduct("child-1") },
+  ]);
+  upsertProducts.mockImplementation(async (c, m, d, productInputs) => ({
+    upserted: productInputs,
+    failed: [],
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("resync", () => {
+  test("main should be defined", () => {
+    expect(action.main).toBeInstanceOf(Function);
+  });
+
+  test("returns error when environment variables are missing", async () => {
+    const result = await action.main({
+      ...baseParams,
+      ACO_API_BASE_URL: undefined,
+    });
+
+    expect(result.statusCode).toBe(500);
+    expect(result.body.error).toContain("ACO_API_BASE_URL");
+  });
+
+  test("returns not found for an unconfigured market", async () => {
+    const result = await action.main({ ...baseParams, marketId: "fr" });
+
+    expect(result.statusCode).toBe(404);
+  });
+
+  test("returns error when a market has no tenant", async () => {
+    const result = await action.main({
+      ...baseParams,
+      ACO_TENANT_ID: undefined,
+    });
+
+    expect(result.statusCode).toBe(500);
+    expect(result.body.error).toContain("missing tenant for market(s) us");
+  });
+
+  test("uses the tenant configured on the market", async () => {
+    loadMarketConfig.mockReturnValue([
+      {
+        ...mockMarketConfig[0],
+        aco: { ...mockMarketConfig[0].aco, tenantId: "tenant-b" },
+      },
+    ]);
+    mockCatalogPages([["sku-1"]]);
+
+    await action.main({ ...baseParams, ACO_TENANT_ID: undefined });
+
+    expect(searchProducts).toHaveBeenCalledWith(
+      baseParams.ACO_API_BASE_URL,
+      "view-123",
+      "price-book-123",
+      "tenant-b",
+      1,
+      100,
+      {}
+    );
+  });
+
+  test("sends the Commerce requests with the timeout and retries of the params", async () => {
+    mockCatalogPages([["sku-1", "parent-1"]]);
+    const requestOptions = { timeoutMs: 5000, maxRetries: 0 };
+
+    await action.main({
+      ...baseParams,
+      ACO_TIMEOUT_MS: "5000",
+      ACO_MAX_RETRIES: "0",
+    });
+
+    expect(searchProducts.mock.calls[0][6]).toEqual(requestOptions);
+    expect(getProducts.mock.calls[0][5]).toEqual(requestOptions);
+    expect(getVariants.mock.calls[0][6]).toEqual(requestOptions);
+  });
+
+  test("upserts simple products and variants of complex products", async () => {
+    mockCatalogPages([["sku-1", "parent-1"]]);
+
+    const result = await action.main(baseParams);
+
+    expect(result.statusCode).toBe(200);
+    expect(upsertProducts).toHaveBeenCalledWith(
+      baseParams.GOOGLE_CREDS_JSON,
+      "merchant-123",
+      "datasource-123",
+      expect.arrayContaining([
+        expect.objectContaining({ offerId: "sku-1" }),
+        expect.objectContaining({
+          offerId: "child-1",
+          productAttributes: expect.objectContaining({
+            itemGroupId: "parent-1",
+          }),
+        }),
+      ]),
+      mockLoggerInstance,
+      { concurrency: 10, maxRetries: 3 }
+    );
+    expect(getVariants).toHaveBeenCalledTimes(1);
+    expect(result.body.response.markets.us).toEqual(
+      expect.objectContaining({
+        status: "completed",
+        pagesProcessed: 1,
+        checkpoint: expect.objectContaining({
+          nextPage: 2,
+          totalPages: 1,
+          synced: 2,
+          failed: 0,
+        }),
+      })
+    );
+  });
+
+  test("continues from the checkpoint when the time budget is used", async () => {
+    // Every catalog page takes 200 seconds of the 240 seconds budget
+    let now = 0;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+    mockCatalogPages([["sku-1"], ["sku-2"], ["sku-3"]]);
+    const searchPage = searchProducts.getMockImplementation();
+    searchProducts.mockImplementation(async (...args) => {
+      now += 200 * 1000;
+      return searchPage(...args);
+    });
+
+    const first = await action.main(baseParams);
+
+    expect(first.body.response.markets.us).toEqual(
+      expect.objectContaining({ status: "in_progress", pagesProcessed: 2 })
+    );
+    expect(await getResyncCheckpoint(store, "us")).toEqual(
+      expect.objectContaining({ nextPage: 3, totalPages: 3, synced: 2 })
+    );
+
+    const second = await action.main(baseParams);
+
+    expect(searchProducts).toHaveBeenLastCalledWith(
+      baseParams.ACO_API_BASE_URL,
+      "view-123",
+      "price-book-123",
+      "tenant-123",
+      3,
+      100,
+      {}
+    );
+    expect(second.body.response.markets.us).toEqual(
+      expect.objectContaining({
+        status: "completed",
+        pagesProcessed: 1,
+        checkpoint: expect.objectContaining({ synced: 3 }),
+      })
+    );
+  });
+
+  test("skips a completed market until the resync interval has elapsed", async () => {
+    mockCatalogPages([["sku-1"]]);
+    await action.main(baseParams);
+    searchProducts.mockClear();
+
+    const skipped = await action.main(baseParams);
+
+    expect(searchProducts).not.toHaveBeenCalled();
+    expect(skipped.body.response.markets.us.status).toBe("up_to_date");
+
+    const restarted = await action.main({ ...baseParams, restart: "true" });
+
+    expect(searchProducts).toHaveBeenCalledTimes(1);
+    expect(restarted.body.response.markets.us.status).toBe("completed");
+  });
+
+  test("keeps the page to retry when the catalog cannot be listed", async () => {
+    mockCatalogPages([["sku-1"], ["sku-2"]]);
+    const searchPage = searchProducts.getMockImplementation();
+    searchProducts
+      .mockImplementationOnce(searchPage)
+      .mockRejectedValueOnce(new Error("Commerce Storefront API error: 503"));
+
+    const result = await action.main(baseParams);
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body.response.markets.us).toEqual(
+      expect.objectContaining({
+        status: "error",
+        pagesProcessed: 1,
+        checkpoint: expect.objectContaining({
+          nextPage: 2,
+          lastError: "Commerce Storefront API error: 503",
+        }),
+      })
+    );
+  });
+
+  test("neither reads nor saves the checkpoint in a dry run", async () => {
+    mockCatalogPages([["sku-1"], ["sku-2"]]);
+    await action.main(baseParams);
+    const checkpoint = await getResyncCheckpoint(store, "us");
+    searchProducts.mockClear();
+    upsertProducts.mockClear();
+
+    const result = await action.main({ ...baseParams, dryRun: "true" });
+
+    expect(upsertProducts).not.toHaveBeenCalled();
+    expect(await getResyncCheckpoint(store, "us")).toEqual(checkpoint);
+    expect(result.body.response.markets.us).toEqual(
+      expect.objectContaining({
+        status: "in_progress",
+        pagesProcessed: 1,
+        checkpoint: expect.objectContaining({ nextPage: 2, totalPages: 2 }),
+        dryRun: expect.objectContaining({
+          productInputs: [expect.objectContaining({ offerId: "sku-1" })],
+        }),
+      })
+    );
+  });
+
+  test("resyncs only the requested page in a dry run", async () => {
+    mockCatalogPages([["sku-1"], ["sku-2"]]);
+
+    const result = await action.main({
+      ...baseParams,
+      dryRun: "true",
+      page: "2",
+    });
+
+    expect(searchProducts).toHaveBeenCalledTimes(1);
+    expect(searchProducts.mock.calls[0][4]).toBe(2);
+    expect(result.body.response.markets.us).toEqual(
+      expect.objectContaining({
+        status: "completed",
+        pagesProcessed: 1,
+        dryRun: expect.objectContaining({
+          productInputs: [expect.objectContaining({ offerId: "sku-2" })],
+        }),
+      })
+    );
+  });
+
+  test("dead-letters products that fail to sync", async () => {
+    mockCatalogPages([["sku-1", "sku-2"]]);
+    upsertProducts.mockResolvedValue({
+      upserted: [{ offerId: "sku-1" }],
+      failed: [{ offerId: "sku-2", error: new Error("INVALID_ARGUMENT") }],
+    });
+
+    const result = await action.main(baseParams);
+
+    expect(result.body.response.markets.us.checkpoint).toEqual(
+      expect.objectContaining({ synced: 1, failed: 1 })
+    );
+    expect(await listDeadLetters(store, "us")).toEqual([
+      expect.objectContaining({
+        sku: "sku-2",
+        tenantId: "tenant-123",
+        eventType: "resync",
+        error: "INVALID_ARGUMENT",
+      }),
+    ]);
+  });
+});
@@ -0,0 +1,81 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+ */
+
+const { createMemoryStateStore, toStateKey } = require("./../clients/state.js");
+
+describe("toStateKey", () => {
+  test("joins parts with a dot", () => {
+    expect(toStateKey("event", "abc-123")).toEqual("event.abc-123");
+  });
+
+  test("escapes characters not allowed in state keys", () => {
+    expect(toStateKey("sku", "a/b c")).toEqual("sku.a_2fb_20c");
+  });
+
+  test("does not produce collisions for escaped characters", () => {
+    expect(toStateKey("a_2f")).not.toEqual(toStateKey("a/"));
+    expect(toStateKey("a.b")).not.toEqual(toStateKey("a", "b"));
+  });
+});
+
+describe("createMemoryStateStore", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("stores and retrieves values", async () => {
+    const store = createMemoryStateStore();
+
+    await store.put("key", "value");
+
+    expect(await store.get("key")).toEqual({
+      value: "value",
+      expiration: expect.any(String),
+    });
+    expect(await store.get("missing")).toBeUndefined();
+  });
+
+  test("expires values after their TTL", async () => {
+    jest.useFakeTimers();
+    const store = createMemoryStateStore();
+
+    await store.put("key", "value", { ttl: 10 });
+    jest.advanceTimersByTime(9000);
+    expect(await store.get("key")).toBeDefined();
+    jest.advanceTimersByTime(1000);
+    expect(await store.get("key")).toBeUndefined();
+  });
+
+  test("deletes values", async () => {
+    const store = createMemoryStateStore();
+
+    await store.put("key", "value");
+
+    expect(await store.delete("key")).toEqual("key");
+    expect(await store.delete("key")).toBeNull();
+    expect(await store.get("key")).toBeUndefined();
+  });
+
+  test("lists keys matching a glob pattern", async () => {
+    const store = createMemoryStateStore();
+    await store.put("dlq.us.a", "1");
+    await store.put("dlq.uk.b", "2");
+    await store.put("event.c", "3");
+
+    const keys = [];
+    for await (const page of store.list({ match: "dlq.*" })) {
+      keys.push(...page.keys);
+    }
+
+    expect(keys.sort()).toEqual(["dlq.uk.b", "dlq.us.a"]);
+  });
+});
@@ -19,6 +19,7 @@ test("interface", () => {
   expect(typeof utils.chunk).toBe("function");
   expect(typeof utils.groupByOperation).toBe("function");
   expect(typeof utils.groupItemsByMarket).toBe("function");
+  expect(typeof utils.groupPriceItemsByMarket).toBe("function");
 });
 
 describe("stringParameters", () => {
@@ -308,3 +309,71 @@ describe("groupItemsByMarket", () => {
     expect(result.get("us-west").items).toHaveLength(1);
   });
 });
+
+describe("groupPriceItemsByMarket", () => {
+  const mockLogger = { debug: jest.fn() };
+
+  const usMarket = { id: "us", aco: { priceBookId: "usd-prices" } };
+  const caMarket = { id: "ca", aco: { priceBookId: "usd-prices" } };
+  const ukMarket = { id: "uk", aco: { priceBookId: "gbp-prices" } };
+  const priceBookIndex = new Map([
+    ["usd-prices", [usMarket, caMarket]],
+    ["gbp-prices", [ukMarket]],
+  ]);
+
+  test("routes items to every market using the price book", () => {
+    const items = [{ sku: "a", sources: [{ priceBookId: "usd-prices" }] }];
+
+    const result = utils.groupPriceItemsByMarket(
+      items,
+      priceBookIndex,
+      mockLogger
+    );
+
+    expect(result.size).toBe(2);
+    expect(result.get("us").items).toEqual(items);
+    expect(result.get("ca").items).toEqual(items);
+  });
+
+  test("routes items with multiple price book sources to each market once", () => {
+    const items = [
+      {
+        sku: "a",
+        sources: [
+          { priceBookId: "usd-prices" },
+          { priceBookId: "gbp-prices" },
+          { priceBookId: "usd-prices" },
+        ],
+      },
+    ];
+
+    const result = utils.groupPriceItemsByMarket(
+      items,
+      priceBookIndex,
+      mockLogger
+    );
+
+    expect(result.size).toBe(3);
+    expect(result.get("us").items).toHaveLength(1);
+    expect(result.get("uk").items).toHaveLength(1);
+  });
+
+  test("skips items with unconfigured price books", () => {
+    const items = [
+      { sku: "a", sources: [{ priceBookId: "eur-prices" }] },
+      { sku: "b", sources: [{ locale: "en-US" }] },
+      { sku: "c" },
+    ];
+
+    const result = utils.groupPriceItemsByMarket(
+      items,
+      priceBookIndex,
+      mockLogger
+    );
+
+    expect(result.size).toBe(0);
+    expect(mockLogger.debug).toHaveBeenCalledWith(
+      expect.stringContaining("Skipped 3 items")
+    );
+  });
+});
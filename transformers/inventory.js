@@ -0,0 +1,117 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * Transformer to convert Commerce product stock and regional prices to Google
+ * Merchant Center inventories. Customize getStoreQuantity to read store stock
+ * from your inventory management system instead of product attributes.
+ *
+ * @typedef {import('../types/commerce').CommerceProduct} CommerceProduct
+ * @typedef {import('../types/config').LocalInventoryConfig} LocalInventoryConfig
+ * @typedef {import('@google-shopping/inventories').protos.google.shopping.merchant.inventories.v1.ILocalInventory} ILocalInventory
+ * @typedef {import('@google-shopping/inventories').protos.google.shopping.merchant.inventories.v1.IRegionalInventory} IRegionalInventory
+ */
+
+const { protos } = require("@google-shopping/inventories");
+const { transformPrice, transformSalePrice } = require("./product.js");
+
+const LocalAvailability =
+  protos.google.shopping.merchant.inventories.v1.LocalInventoryAttributes
+    .Availability;
+const RegionalAvailability =
+  protos.google.shopping.merchant.inventories.v1.RegionalInventoryAttributes
+    .Availability;
+
+/**
+ * Gets the stock of a product in a store, from the product attribute named by
+ * the `quantityAttribute` template of the market (e.g. `stock_{storeCode}`).
+ *
+ * @param {CommerceProduct} product - The Commerce product object
+ * @param {string} storeCode - The Google store code
+ * @param {LocalInventoryConfig} localInventoryConfig - The local inventory configuration of the market
+ * @returns {number|null} The quantity in stock, or null if the store has no stock information
+ */
+const getStoreQuantity = (product, storeCode, localInventoryConfig) => {
+  const name = localInventoryConfig.quantityAttribute.replace(
+    "{storeCode}",
+    storeCode
+  );
+  const value = product.attributes?.find((attr) => attr.name === name)?.value;
+  const quantity = parseInt(value, 10);
+  return Number.isNaN(quantity) ? null : Math.max(quantity, 0);
+};
+
+/**
+ * Transforms the store stock of a product to Google local inventories, one per
+ * store code of the market. Stores without stock information are left out.
+ *
+ * @param {CommerceProduct} product - The Commerce product object
+ * @param {LocalInventoryConfig} localInventoryConfig - The local inventory configuration of the market
+ * @returns {ILocalInventory[]} The local inventories of the product
+ */
+const transformLocalInventories = (product, localInventoryConfig) => {
+  const localInventories = [];
+  for (const storeCode of localInventoryConfig.storeCodes) {
+    const quantity = getStoreQuantity(product, storeCode, localInventoryConfig);
+    if (quantity === null) continue;
+
+    localInventories.push({
+      storeCode,
+      localInventoryAttributes: {
+        availability:
+          quantity > 0
+            ? LocalAvailability.IN_STOCK
+            : LocalAvailability.OUT_OF_STOCK,
+        quantity,
+      },
+    });
+  }
+  return localInventories;
+};
+
+/**
+ * Transforms the product from the price book of a region to a Google regional
+ * inventory. A product missing from the price book of the region, or without a
+ * price there, is unavailable in the region.
+ *
+ * @param {string} regionId - The Google region ID
+ * @param {CommerceProduct|undefined} product - The Commerce product from the price book of the region
+ * @returns {IRegionalInventory} The regional inventory of the product
+ */
+const transformRegionalInventory = (regionId, product) => {
+  const price = product ? transformPrice(product) : null;
+  if (!price) {
+    return {
+      region: regionId,
+      regionalInventoryAttributes: {
+        availability: RegionalAvailability.OUT_OF_STOCK,
+      },
+    };
+  }
+
+  const salePrice = transformSalePrice(product);
+  return {
+    region: regionId,
+    regionalInventoryAttributes: {
+      price,
+      ...(salePrice && { salePrice }),
+      availability: product.inStock
+        ? RegionalAvailability.IN_STOCK
+        : RegionalAvailability.OUT_OF_STOCK,
+    },
+  };
+};
+
+module.exports = {
+  transformLocalInventories,
+  transformRegionalInventory,
+};
@@ -44,6 +44,23 @@ const GOOGLE_STANDARD_FIELDS = [
   "pattern",
   "googleProductCategory",
   "itemGroupId",
+  "promotionIds",
+];
+
+// Variant fields that can be set from the option selections of a variant
+const VARIANT_OPTION_FIELDS = [
+  "color",
+  "size",
+  "gender",
+  "ageGroup",
+  "material",
+  "pattern",
+];
+
+// Fields read from attributes to build the sale price effective date
+const SALE_DATE_FIELDS = [
+  "salePriceEffectiveDateStart",
+  "salePriceEffectiveDateEnd",
 ];
 
 const PRODUCT_FIELD_MASKS = [
@@ -56,6 +73,8 @@ const PRODUCT_FIELD_MASKS = [
   "product_attributes.condition",
   "product_attributes.shipping",
   "product_attributes.price",
+  "product_attributes.sale_price",
+  "product_attributes.sale_price_effective_date",
   "product_attributes.gtins",
   "product_attributes.size",
   "product_attributes.mpn",
@@ -68,6 +87,16 @@ const PRODUCT_FIELD_MASKS = [
   "product_attributes.google_product_category",
   "product_attributes.item_group_id",
   "product_attributes.identifier_exists",
+  "product_attributes.promotion_ids",
+];
+
+// Fields sent by price events. Fields of the mask missing from the product input,
+// such as a sale price that ended, are removed from the product in Google.
+const PRICE_FIELD_MASKS = [
+  "product_attributes.price",
+  "product_attributes.sale_price",
+  "product_attributes.sale_price_effective_date",
+  "product_attributes.availability",
 ];
 
 /*****************************************/
@@ -92,27 +121,97 @@ const getProductUrl = (product, urlTemplate) => {
 };
 
 /**
- * Transforms price from Commerce product to Google format (micros).
+ * Constructs the landing page URL of a variant using a template string, so the
+ * variant lands on its parent PDP with its options preselected.
+ * Supports placeholders:
+ * - {parentSku}, {parentUrlKey}: the parent product
+ * - {variantSku}, {variantUrlKey}: the variant product
+ * - {selections}: the selected option value IDs, comma separated
+ * - {option:Title}: the selected value title of the option with that title
+ * Examples:
+ * - https://example.com/products/{parentUrlKey}?sku={variantSku}
+ * - https://example.com/products/{parentUrlKey}?color={option:Color}&size={option:Size}
+ *
+ * @param {CommerceProduct} parentProduct - The parent complex product
+ * @param {object} variant - The variant object from the variants query
+ * @param {string} variantUrlTemplate - Template with the placeholders above
+ * @returns {string} The full variant URL
+ */
+const getVariantUrl = (parentProduct, variant, variantUrlTemplate) => {
+  const selections = variant.selections || [];
+  const optionValues = new Map(
+    resolveOptionSelections(parentProduct, selections).map(
+      ({ option, value }) => [option, value]
+    )
+  );
+  const values = {
+    parentSku: parentProduct.sku,
+    parentUrlKey: parentProduct.urlKey,
+    variantSku: variant.product.sku,
+    variantUrlKey: variant.product.urlKey,
+  };
+
+  return variantUrlTemplate.replace(
+    /\{(\w+)(?::([^}]+))?\}/g,
+    (placeholder, name, option) => {
+      if (name === "selections") {
+        return selections.map(encodeURIComponent).join(",");
+      }
+      if (name === "option") {
+        return encodeURIComponent(optionValues.get(option) || "");
+      }
+      return Object.hasOwn(values, name)
+        ? encodeURIComponent(values[name] || "")
+        : placeholder;
+    }
+  );
+};
+
+/**
+ * Transforms the price from Commerce product to Google format (micros).
+ * Discounted products use their regular price, and the final price becomes the
+ * sale price (see transformSalePrice).
  *
  * @param {CommerceProduct} product - The Commerce product object
  * @returns {{amountMicros: number, currencyCode: string}|null} Google price format or null
  */
 const transformPrice = (product) => {
-  let amount, currency;
-
-  if (product.price?.final?.amount) {
-    amount = product.price.final.amount.value;
-    currency = product.price.final.amount.currency;
-  } else if (product.priceRange?.minimum?.final?.amount) {
-    amount = product.priceRange.minimum.final.amount.value;
-    currency = product.priceRange.minimum.final.amount.currency;
+  const { regular, final } = getPriceAmounts(product);
+  if (isOnSale(regular, final)) {
+    return toGooglePrice(regular);
   }
+  return toGooglePrice(final) || toGooglePrice(regular);
+};
+
+/**
+ * Transforms the sale price from Commerce product to Google format (micros).
+ * A product is on sale when its final price is below its regular price.
+ *
+ * @param {CommerceProduct} product - The Commerce product object
+ * @returns {{amountMicros: number, currencyCode: string}|null} Google price format, or null if not on sale
+ */
+const transformSalePrice = (product) => {
+  const { regular, final } = getPriceAmounts(product);
+  return isOnSale(regular, final) ? toGooglePrice(final) : null;
+};
 
-  if (amount == null || !currency) return null;
+/**
+ * Gets the date range of the sale price from the attributes mapped to
+ * `salePriceEffectiveDateStart` and `salePriceEffectiveDateEnd`.
+ * Values that are not valid dates are ignored.
+ *
+ * @param {CommerceAttribute[]} attributes - The attributes to read the dates from
+ * @returns {{startTime?: object, endTime?: object}|null} Google interval, or null without dates
+ */
+const getSalePriceEffectiveDate = (attributes) => {
+  const [startTime, endTime] = SALE_DATE_FIELDS.map((field) =>
+    toTimestamp(getAttributeValue(attributes, getCustomAttrName(field)))
+  );
+  if (!startTime && !endTime) return null;
 
   return {
-    amountMicros: toMicros(amount),
-    currencyCode: currency,
+    ...(startTime && { startTime }),
+    ...(endTime && { endTime }),
   };
 };
 
@@ -171,6 +270,69 @@ const getShippingInfo = (product, country) => {
  */
 const toMicros = (amount) => Math.round(amount * 1_000_000);
 
+/**
+ * Gets the regular and final amounts of a simple product price, or of the
+ * minimum price of a complex product.
+ *
+ * @param {CommerceProduct} product - The Commerce product object
+ * @returns {{regular: {value: number, currency: string}|null, final: {value: number, currency: string}|null}}
+ *   The regular and final amounts
+ */
+const getPriceAmounts = (product) => {
+  const prices = product.price || product.priceRange?.minimum;
+  return {
+    regular: prices?.regular?.amount || null,
+    final: prices?.final?.amount || null,
+  };
+};
+
+/**
+ * Checks whether the final amount is a discount on the regular amount.
+ *
+ * @param {{value: number, currency: string}|null} regular - The regular amount
+ * @param {{value: number, currency: string}|null} final - The final amount
+ * @returns {boolean} True if the final amount is below the regular amount
+ */
+const isOnSale = (regular, final) => {
+  return !!(
+    regular?.value != null &&
+    final?.value != null &&
+    regular.currency === final.currency &&
+    final.value < regular.value
+  );
+};
+
+/**
+ * Converts a Commerce amount to Google price format.
+ *
+ * @param {{value: number, currency: string}|null} amount - The Commerce amount
+ * @returns {{amountMicros: number, currencyCode: string}|null} Google price format or null
+ */
+const toGooglePrice = (amount) => {
+  if (amount?.value == null || !amount.currency) return null;
+
+  return {
+    amountMicros: toMicros(amount.value),
+    currencyCode: amount.currency,
+  };
+};
+
+/**
+ * Converts a date string to a Google timestamp.
+ *
+ * @param {string|null} value - The date string (e.g. 2026-11-27 or an ISO 8601 date-time)
+ * @returns {{seconds: number, nanos: number}|null} Google timestamp, or null if not a valid date
+ */
+const toTimestamp = (value) => {
+  const time = value ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) return null;
+
+  return {
+    seconds: Math.floor(time / 1000),
+    nanos: (((time % 1000) + 1000) % 1000) * 1_000_000,
+  };
+};
+
 /**
  * Extracts an attribute value from the Commerce product attributes array.
  * @param {CommerceAttribute[]} attributes - The attributes array
@@ -234,6 +396,76 @@ const getCustomAttrName = (field) => {
   return fieldMappings[field] || field;
 };
 
+/**
+ * Finds the Google variant field for a product option title using option mappings.
+ * Config format: { googleField: optionTitle }
+ * Options without a mapping are matched on the Google field name, ignoring case.
+ *
+ * @param {string} optionTitle - The option title (e.g., "Colour")
+ * @returns {string|null} The Google field name, or null if the option is not mapped
+ */
+const getOptionFieldName = (optionTitle) => {
+  const { optionMappings = {} } = attributeMapping;
+  const entry = Object.entries(optionMappings).find(
+    ([, title]) => title === optionTitle
+  );
+  if (entry) return entry[0];
+
+  return (
+    VARIANT_OPTION_FIELDS.find(
+      (field) => field.toLowerCase() === optionTitle?.toLowerCase()
+    ) || null
+  );
+};
+
+/**
+ * Resolves the option selections of a variant to the options of its parent
+ * product, and to the Google variant field of each option.
+ *
+ * @param {CommerceProduct} parentProduct - The parent complex product
+ * @param {string[]} selections - The selected option value IDs of the variant
+ * @returns {{option: string, value: string, field: string|null}[]} The option and value titles of each selection
+ */
+const resolveOptionSelections = (parentProduct, selections = []) => {
+  const options = parentProduct.options || [];
+  const resolved = [];
+  for (const id of selections) {
+    for (const option of options) {
+      const value = option.values?.find((v) => v.id === id);
+      if (value) {
+        resolved.push({
+          option: option.title,
+          value: value.title,
+          field: getOptionFieldName(option.title),
+        });
+        break;
+      }
+    }
+  }
+  return resolved;
+};
+
+/**
+ * Maps the option selections of a variant to Google variant fields.
+ *
+ * @param {CommerceProduct} parentProduct - The parent complex product
+ * @param {string[]} selections - The selected option value IDs of the variant
+ * @returns {object} The Google variant fields (e.g., { color: "Red", size: "M" })
+ */
+const mapOptionSelections = (parentProduct, selections) => {
+  const fields = {};
+  for (const { value, field } of resolveOptionSelections(
+    parentProduct,
+    selections
+  )) {
+    if (!field || !value) continue;
+    fields[field] = ["gender", "ageGroup"].includes(field)
+      ? mapEnumValue(value, field)
+      : value;
+  }
+  return fields;
+};
+
 /**
  * Maps a custom attribute value to a Google value using value mappings.
  * Config format: { googleValue: customValue }
@@ -287,9 +519,18 @@ const categorizeAttributes = (attributes) => {
     // Check if this custom attribute maps to a Google field
     const googleField = getGoogleFieldName(attr.name);
 
+    // Sale dates are only sent as part of the sale price
+    if (SALE_DATE_FIELDS.includes(googleField)) continue;
+
     if (GOOGLE_STANDARD_FIELDS.includes(googleField)) {
       if (googleField === "gtin") {
         standard.gtins = [value];
+      } else if (googleField === "promotionIds") {
+        // Promotion IDs are listed in a single attribute, comma separated
+        standard.promotionIds = String(value)
+          .split(",")
+          .map((id) => id.trim())
+          .filter(Boolean);
       } else if (["condition", "gender", "ageGroup"].includes(googleField)) {
         // Apply value mapping for enum fields
         standard[googleField] = mapEnumValue(value, googleField);
@@ -304,6 +545,36 @@ const categorizeAttributes = (attributes) => {
   return { standard, custom };
 };
 
+/**
+ * Explains where each Commerce attribute ends up in the Google product, following
+ * the same rules as categorizeAttributes: the product attribute it is mapped to,
+ * or the custom attributes. Attributes without a value are left out.
+ *
+ * @param {CommerceAttribute[]} attributes - The attributes to explain
+ * @returns {{ standard: {attribute: string, field: string}[], custom: string[] }}
+ *   Commerce attribute names by Google product attribute, and the names sent as custom attributes
+ */
+const explainAttributes = (attributes) => {
+  const standard = [];
+  const custom = [];
+
+  for (const attr of attributes) {
+    if (!attr.value) continue;
+
+    const googleField = getGoogleFieldName(attr.name);
+    if (SALE_DATE_FIELDS.includes(googleField)) {
+      standard.push({ attribute: attr.name, field: "salePriceEffectiveDate" });
+    } else if (GOOGLE_STANDARD_FIELDS.includes(googleField)) {
+      const field = googleField === "gtin" ? "gtins" : googleField;
+      standard.push({ attribute: attr.name, field });
+    } else {
+      custom.push(attr.name);
+    }
+  }
+
+  return { standard, custom };
+};
+
 /**
  * Checks if product has valid identifiers per Google requirements.
  * Google requires: gtin, or mpn+brand. If neither exists, identifierExists must be false.
@@ -392,6 +663,15 @@ const transformProduct = (
     ...standard,
   };
 
+  const salePrice = transformSalePrice(product);
+  if (salePrice) {
+    productAttributes.salePrice = salePrice;
+    const salePriceEffectiveDate = getSalePriceEffectiveDate(attributes);
+    if (salePriceEffectiveDate) {
+      productAttributes.salePriceEffectiveDate = salePriceEffectiveDate;
+    }
+  }
+
   const shippingInfo = getShippingInfo(product, country);
   if (shippingInfo) {
     productAttributes.shipping = [shippingInfo];
@@ -418,6 +698,8 @@ const transformProduct = (
  * variant-specific data for unique fields (sku, price).
  *
  * The parent SKU is used as itemGroupId to link variants together per GMC requirements.
+ * Variant fields such as color and size are also taken from the option selections,
+ * unless the variant has them as attributes.
  *
  * @param {string} feedLabel - The feed label for the Google product feed
  * @param {CommerceProduct} parentProduct - The parent complex product
@@ -427,6 +709,7 @@ const transformProduct = (
  * @param {string} language - ISO 639-1 content language code (e.g., "en")
  * @param {string} country - ISO 3166-1 alpha-2 target country code (e.g., "US")
  * @param {string} urlTemplate - Template for product links
+ * @param {string} [variantUrlTemplate] - Template for variant links, see getVariantUrl
  * @returns {IProductInput} Google SDK ProductInput object
  * @throws {Error} If variant has no price
  */
@@ -436,7 +719,8 @@ const transformVariant = (
   variant,
   language,
   country,
-  urlTemplate
+  urlTemplate,
+  variantUrlTemplate
 ) => {
   const variantProduct = variant.product;
   const parentAttributes = parentProduct.attributes || [];
@@ -457,9 +741,10 @@ const transformVariant = (
   const parentCategorized = categorizeAttributes(parentAttributes);
   const variantCategorized = categorizeAttributes(variantAttributes);
 
-  // Merge Google standard attributes from parent and variant
+  // Merge Google standard attributes from parent, option selections and variant
   const mergedAttributes = {
     ...parentCategorized.standard,
+    ...mapOptionSelections(parentProduct, variant.selections),
     ...variantCategorized.standard,
   };
   const additionalImages = getAdditionalImageUrls(images);
@@ -473,7 +758,10 @@ const transformVariant = (
       variantProduct.description ||
       parentProduct.description ||
       parentProduct.shortDescription,
-    link: getProductUrl(parentProduct, urlTemplate), // link to the parent product for PDP
+    // Link to the variant with its options preselected, or to the parent PDP
+    link: variantUrlTemplate
+      ? getVariantUrl(parentProduct, variant, variantUrlTemplate)
+      : getProductUrl(parentProduct, urlTemplate),
     imageLink: getPrimaryImageUrl(images),
     availability: getAvailability(variantProduct.inStock),
     condition: mapCondition(mappedCondition),
@@ -482,6 +770,19 @@ const transformVariant = (
     ...mergedAttributes,
   };
 
+  // Sale dates of the variant take precedence over those of the parent
+  const salePrice = transformSalePrice(variantProduct);
+  if (salePrice) {
+    productAttributes.salePrice = salePrice;
+    const salePriceEffectiveDate = getSalePriceEffectiveDate([
+      ...variantAttributes,
+      ...parentAttributes,
+    ]);
+    if (salePriceEffectiveDate) {
+      productAttributes.salePriceEffectiveDate = salePriceEffectiveDate;
+    }
+  }
+
   const shippingInfo = getShippingInfo(variantProduct, country);
   if (shippingInfo) {
     productAttributes.shipping = [shippingInfo];
@@ -502,8 +803,55 @@ const transformVariant = (
   );
 };
 
+/**
+ * Gets the product attribute name of an update mask path.
+ *
+ * @param {string} path - The update mask path (e.g. product_attributes.sale_price)
+ * @returns {string} The product attribute name (e.g. salePrice)
+ */
+const getMaskedAttributeName = (path) => {
+  return path
+    .replace(/^product_attributes\./, "")
+    .replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+};
+
+/**
+ * Narrows a product input to the product attributes of an update mask, to only
+ * send these attributes with updateProductInput.
+ *
+ * @param {IProductInput} productInput - The full product input
+ * @param {string[]} fieldMasks - The update mask paths (e.g. PRICE_FIELD_MASKS)
+ * @returns {IProductInput} The product input with only the masked attributes
+ */
+const pickMaskedAttributes = (productInput, fieldMasks) => {
+  const productAttributes = {};
+  for (const path of fieldMasks) {
+    const field = getMaskedAttributeName(path);
+    const value = productInput.productAttributes?.[field];
+    if (value !== undefined) {
+      productAttributes[field] = value;
+    }
+  }
+
+  return {
+    contentLanguage: productInput.contentLanguage,
+    feedLabel: productInput.feedLabel,
+    offerId: productInput.offerId,
+    productAttributes,
+  };
+};
+
 module.exports = {
   transformProduct,
   transformVariant,
+  transformPrice,
+  transformSalePrice,
+  toGooglePrice,
+  toTimestamp,
+  explainAttributes,
+  resolveOptionSelections,
+  getMaskedAttributeName,
+  pickMaskedAttributes,
   PRODUCT_FIELD_MASKS,
+  PRICE_FIELD_MASKS,
 };
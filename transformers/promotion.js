@@ -0,0 +1,147 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * Transformer to convert the promotions configured for a market to Google
+ * Merchant Center promotions, and to link products to them.
+ *
+ * @typedef {import('../types/config').PromotionConfig} PromotionConfig
+ * @typedef {import('../types/config').PromotionsConfig} PromotionsConfig
+ * @typedef {import('@google-shopping/products').protos.google.shopping.merchant.products.v1.IProductInput} IProductInput
+ * @typedef {import('@google-shopping/promotions').protos.google.shopping.merchant.promotions.v1.IPromotion} IPromotion
+ */
+
+const { protos } = require("@google-shopping/promotions");
+const { toGooglePrice, toTimestamp } = require("./product.js");
+
+const { CouponValueType, OfferType, ProductApplicability, RedemptionChannel } =
+  protos.google.shopping.merchant.promotions.v1;
+const Destination = protos.google.shopping.type.Destination.DestinationEnum;
+
+const PROMOTION_DESTINATIONS = [
+  Destination.SHOPPING_ADS,
+  Destination.FREE_LISTINGS,
+];
+
+/**
+ * Checks whether a promotion has not ended yet.
+ *
+ * @param {PromotionConfig} promotionConfig - The promotion configuration
+ * @param {number} [now] - The current time in milliseconds
+ * @returns {boolean} True if the promotion is running or upcoming
+ */
+const isPromotionActive = (promotionConfig, now = Date.now()) => {
+  return !(Date.parse(promotionConfig.endDate) < now);
+};
+
+/**
+ * Gets the discount of a promotion, as a percentage or an amount off.
+ *
+ * @param {PromotionConfig} promotionConfig - The promotion configuration
+ * @returns {object} The coupon value type and the discount attributes
+ */
+const getPromotionDiscount = (promotionConfig) => {
+  if (promotionConfig.percentOff != null) {
+    return {
+      couponValueType: CouponValueType.PERCENT_OFF,
+      percentOff: promotionConfig.percentOff,
+    };
+  }
+  return {
+    couponValueType: CouponValueType.MONEY_OFF,
+    moneyOffAmount: toGooglePrice(promotionConfig.moneyOff),
+  };
+};
+
+/**
+ * Transforms a configured promotion to Google Merchant Center Promotion format.
+ * A promotion listing SKUs only applies to the products linked to it with
+ * applyPromotionIds, otherwise it applies to all products.
+ *
+ * @param {PromotionConfig} promotionConfig - The promotion configuration
+ * @param {string} language - ISO 639-1 content language code (e.g., "en")
+ * @param {string} country - ISO 3166-1 alpha-2 target country code (e.g., "US")
+ * @returns {IPromotion} Google SDK Promotion object
+ * @throws {Error} If the start or end date is not a valid date
+ */
+const transformPromotion = (promotionConfig, language, country) => {
+  const { promotionId, longTitle, code, skus = [] } = promotionConfig;
+  const startTime = toTimestamp(promotionConfig.startDate);
+  const endTime = toTimestamp(promotionConfig.endDate);
+  if (!startTime || !endTime) {
+    throw new Error(
+      `Promotion ${promotionId} does not have valid start and end dates`
+    );
+  }
+
+  return {
+    promotionId,
+    contentLanguage: language,
+    targetCountry: country,
+    redemptionChannel: [RedemptionChannel.ONLINE],
+    attributes: {
+      productApplicability:
+        skus.length > 0
+          ? ProductApplicability.SPECIFIC_PRODUCTS
+          : ProductApplicability.ALL_PRODUCTS,
+      offerType: code ? OfferType.GENERIC_CODE : OfferType.NO_CODE,
+      ...(code && { genericRedemptionCode: code }),
+      longTitle,
+      ...getPromotionDiscount(promotionConfig),
+      promotionDestinations: PROMOTION_DESTINATIONS,
+      promotionEffectiveTimePeriod: { startTime, endTime },
+    },
+  };
+};
+
+/**
+ * Adds the promotions of the market listing the SKU of a product, or the SKU of
+ * its parent, to the promotion IDs the product got from its attributes.
+ * Promotions that ended are left out.
+ *
+ * @param {IProductInput} productInput - The product input
+ * @param {PromotionsConfig|null} promotionsConfig - The promotions configuration of the market
+ * @returns {IProductInput} The product input with its promotion IDs
+ */
+const applyPromotionIds = (productInput, promotionsConfig) => {
+  if (!promotionsConfig) return productInput;
+
+  const { offerId, productAttributes } = productInput;
+  const skus = [offerId, productAttributes.itemGroupId].filter(Boolean);
+  const promotionIds = promotionsConfig.items
+    .filter(
+      (promotionConfig) =>
+        isPromotionActive(promotionConfig) &&
+        promotionConfig.skus?.some((sku) => skus.includes(sku))
+    )
+    .map(({ promotionId }) => promotionId);
+  if (promotionIds.length === 0) return productInput;
+
+  return {
+    ...productInput,
+    productAttributes: {
+      ...productAttributes,
+      promotionIds: [
+        ...new Set([
+          ...(productAttributes.promotionIds || []),
+          ...promotionIds,
+        ]),
+      ],
+    },
+  };
+};
+
+module.exports = {
+  applyPromotionIds,
+  isPromotionActive,
+  transformPromotion,
+};
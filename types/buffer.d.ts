@@ -0,0 +1,57 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+import { ItemOperation, MarketOutcomeSummary, StaleItem } from "./outcomes";
+
+/**
+ * The market, tenant and event buffered items belong to.
+ */
+export interface BufferContext {
+  marketId: string;
+  tenantId: string;
+  eventId?: string;
+  eventType: string;
+  /** The CloudEvent time, recorded as the last applied time once flushed */
+  eventTime?: string;
+}
+
+/**
+ * The latest operation of a SKU waiting in the event buffer of a market.
+ */
+export interface BufferedItem extends BufferContext {
+  sku: string;
+  operation: ItemOperation;
+  /** The original event item links (e.g. variantOf), needed to sync variants */
+  links: { type: string; sku: string }[];
+  /** When the SKU entered the buffer; the flush interval starts from here */
+  firstBufferedAt: string;
+  lastBufferedAt: string;
+}
+
+/**
+ * The catalog action response for a market in buffered mode.
+ */
+export interface BufferedMarketSummary {
+  /** Number of items added to the buffer */
+  buffered: number;
+  stale: StaleItem[];
+}
+
+/**
+ * The result of a flush invocation for a market.
+ */
+export interface FlushMarketResult extends MarketOutcomeSummary {
+  /** Number of buffered items processed */
+  flushed: number;
+  /** Number of items left in the buffer for the next flush */
+  remaining: number;
+}
@@ -112,3 +112,15 @@ export interface CommerceVariant {
   /** The variant's product data */
   product: CommerceSimpleProduct;
 }
+
+/**
+ * Timeout and retry options of Storefront API requests
+ */
+export interface CommerceRequestOptions {
+  /** Time to wait for a response in milliseconds, 10 seconds by default */
+  timeoutMs?: number;
+  /** Maximum retries of a request that timed out or got a 429 or 5xx response, 3 by default */
+  maxRetries?: number;
+  /** Delay of the first retry in milliseconds, doubled for each next retry */
+  baseDelayMs?: number;
+}
@@ -10,30 +10,94 @@
   governing permissions and limitations under the License.
 */
 
+import { CommerceRequestOptions } from "./commerce";
+
 export interface AcoSource {
   locale: string;
 }
 
 export interface AcoConfig {
+  /** The tenant (environment) ID, defaults to ACO_TENANT_ID */
+  tenantId?: string;
   viewId: string;
   priceBookId: string;
   source: AcoSource;
 }
 
+/**
+ * A supplemental data source and the product attributes written to it.
+ */
+export interface SupplementalDataSourceConfig {
+  dataSourceId: string;
+  /** Product attributes written to this data source instead of the primary one (e.g. price) */
+  fields: string[];
+}
+
 export interface GoogleConfig {
   merchantId: string;
+  /** The primary data source, receiving the full products */
   dataSourceId: string;
+  supplementalDataSources?: SupplementalDataSourceConfig[];
+  localInventory?: LocalInventoryConfig;
+  regions?: RegionConfig[];
+  promotions?: PromotionsConfig;
   feedLabel: string;
   contentLanguage: string;
   targetCountry: string;
 }
 
+/** Store-level stock sent to Google as local inventories */
+export interface LocalInventoryConfig {
+  /** The Google store codes of the stores of the market */
+  storeCodes: string[];
+  /** Name of the product attribute holding the stock of a store, with a {storeCode} placeholder */
+  quantityAttribute: string;
+}
+
+/** A region of the market with its own prices and availability */
+export interface RegionConfig {
+  /** The ID of the region in Google Merchant Center */
+  regionId: string;
+  /** The ACO price book with the prices of the region */
+  priceBookId: string;
+}
+
+/** A promotion synced to Google Merchant Center */
+export interface PromotionConfig {
+  promotionId: string;
+  /** The full title of the promotion shown to shoppers */
+  longTitle: string;
+  /** Start of the promotion, as an ISO 8601 date-time */
+  startDate: string;
+  /** End of the promotion, as an ISO 8601 date-time */
+  endDate: string;
+  /** Percentage taken off the eligible products */
+  percentOff?: number;
+  /** Amount taken off the eligible products */
+  moneyOff?: { value: number; currency: string };
+  /** Code to enter at checkout, the promotion needs no code without it */
+  code?: string;
+  /** SKUs of the eligible products or of their parents, all products when absent */
+  skus?: string[];
+}
+
+/** Promotions of the market and the data source they are written to */
+export interface PromotionsConfig {
+  /** The promotions data source */
+  dataSourceId: string;
+  items: PromotionConfig[];
+}
+
 export interface StoreConfig {
   urlTemplate: string;
+  /** Template of variant links, to land on the parent PDP with the variant options preselected */
+  variantUrlTemplate?: string;
 }
 
 export interface MarketConfig {
   id: string;
+  /** Build product inputs without sending them to Google */
+  dryRun?: boolean;
   aco: AcoConfig;
   google: GoogleConfig;
   store: StoreConfig;
@@ -43,17 +107,35 @@ export interface MarketsConfig {
   markets: MarketConfig[];
 }
 
+/** How batches of Google Merchant API requests are sent */
+export interface GoogleRequestOptions {
+  /** Maximum number of requests in flight, all at once when absent */
+  concurrency?: number;
+  /** Maximum retries of a request rejected with a transient gRPC status, none when absent */
+  maxRetries?: number;
+  /** Delay of the first retry in milliseconds, doubled for each next retry */
+  baseDelayMs?: number;
+}
+
 export interface FeedConfig {
   acoApiBaseUrl: string;
   acoViewId: string;
   acoPriceBookId: string;
+  acoRequestOptions: CommerceRequestOptions;
   googleCredsJson: string;
   googleMerchantId: string;
   googleDataSourceId: string;
+  googleSupplementalDataSources: SupplementalDataSourceConfig[];
+  googleLocalInventory: LocalInventoryConfig | null;
+  googleRegions: RegionConfig[];
+  googlePromotions: PromotionsConfig | null;
   googleFeedLabel: string;
   googleContentLanguage: string;
   googleTargetCountry: string;
+  googleRequestOptions: GoogleRequestOptions;
   storeUrlTemplate: string;
+  storeVariantUrlTemplate?: string;
+  dryRun: boolean;
 }
 
 /**
@@ -63,6 +145,8 @@ export interface FeedConfig {
 export interface AttributeMappingConfig {
   /** Maps Google field names to custom attribute names */
   fieldMappings: Record<string, string>;
+  /** Maps Google variant field names to product option titles */
+  optionMappings?: Record<string, string>;
   /** Maps Google expected values to custom values for enum fields */
   valueMappings: {
     condition: Record<string, string>;
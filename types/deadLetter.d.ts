@@ -0,0 +1,39 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+import { ItemOperation, ItemStage } from "./outcomes";
+
+/**
+ * The market, tenant and event a failed item belongs to.
+ */
+export interface DeadLetterContext {
+  marketId: string;
+  tenantId: string;
+  eventId?: string;
+  eventType: string;
+}
+
+/**
+ * An item that failed to sync, stored in the dead-letter store.
+ */
+export interface DeadLetterEntry extends DeadLetterContext {
+  sku: string;
+  operation: ItemOperation;
+  /** The original event item links (e.g. variantOf), needed to replay variants */
+  links: { type: string; sku: string }[];
+  stage: ItemStage;
+  error: string;
+  /** Number of times the item failed */
+  attempts: number;
+  firstFailedAt: string;
+  lastFailedAt: string;
+}
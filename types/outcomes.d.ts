@@ -0,0 +1,84 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * Per-item outcomes collected while processing event items for a market.
+ */
+
+export type ItemOperation = "create" | "update" | "delete";
+
+/** Processing stage at which an item failed */
+export type ItemStage =
+  "fetch" | "transform" | "upsert" | "update" | "inventory" | "delete";
+
+export interface SyncedItem {
+  sku: string;
+  operation: ItemOperation;
+}
+
+export interface SkippedItem {
+  sku: string;
+  operation: ItemOperation;
+  reason: string;
+}
+
+export interface FailedItem {
+  sku: string;
+  operation: ItemOperation;
+  stage: ItemStage;
+  error: string;
+}
+
+/** An item skipped because a newer event was already applied to its SKU */
+export interface StaleItem {
+  sku: string;
+  operation: ItemOperation;
+  /** The CloudEvent time of the skipped item */
+  eventTime: string;
+  /** The CloudEvent time last applied to the SKU */
+  lastAppliedTime: string;
+}
+
+/** What would have been sent to Google in a dry run */
+export interface DryRunPreview {
+  /** The Google IProductInput objects built by the transformer */
+  productInputs: object[];
+  /** The product inputs that would have been inserted into supplemental data sources */
+  supplementalInputs: { dataSourceId: string; productInput: object }[];
+  /** The local inventories that would have been inserted */
+  localInventories: { offerId: string; localInventory: object }[];
+  /** The regional inventories that would have been inserted */
+  regionalInventories: { offerId: string; regionalInventory: object }[];
+  /** Names of the product inputs that would have been deleted */
+  deleteNames: string[];
+}
+
+export interface ItemOutcomes {
+  synced: SyncedItem[];
+  skipped: SkippedItem[];
+  failed: FailedItem[];
+  /** Number of Google requests retried after a transient error */
+  retries: number;
+  dryRun?: DryRunPreview;
+}
+
+/** Outcomes summary returned in the action response for a market */
+export interface MarketOutcomeSummary {
+  synced: number;
+  skipped: SkippedItem[];
+  failed: FailedItem[];
+  /** Number of Google requests retried after a transient error */
+  retries: number;
+  /** Items of catalog events older than the last applied event */
+  stale?: StaleItem[];
+  dryRun?: DryRunPreview;
+}
@@ -0,0 +1,40 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * A product as it would be sent to Google Merchant Center, with where its
+ * Commerce attributes ended up.
+ */
+export interface ProductPreview {
+  sku: string;
+  /** The parent SKU, for variants of complex products */
+  parentSku?: string;
+  /** The Google IProductInput built by the transformer */
+  productInput: object;
+  /** Commerce attributes mapped to Google product attributes */
+  standardAttributes: { attribute: string; field: string }[];
+  /**
+   * Option selections of a variant, with the Google variant field they are
+   * mapped to (null when not mapped, or when the variant has the field as an attribute)
+   */
+  optionAttributes?: { option: string; value: string; field: string | null }[];
+  /** Commerce attribute names sent as custom attributes */
+  customAttributes: string[];
+}
+
+export interface PreviewResult {
+  products: ProductPreview[];
+  /** Products that could not be transformed */
+  errors: { sku: string; error: string }[];
+  /** Set when the SKU is a variant requested without its parent SKU; nothing is previewed */
+  parentSkuRequired?: boolean;
+}
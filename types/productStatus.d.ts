@@ -0,0 +1,83 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/** Severity of an item-level issue (NOT_IMPACTED, DEMOTED or DISAPPROVED) */
+export type IssueSeverity = string;
+
+/**
+ * An item-level issue code and the number of offers it affects.
+ */
+export interface IssueSummary {
+  code: string;
+  /** The highest severity of the issue across the offers */
+  severity: IssueSeverity;
+  description: string;
+  resolution?: string;
+  documentation?: string;
+  /** Number of offers with the issue */
+  count: number;
+}
+
+/**
+ * An issue of an offer.
+ */
+export interface OfferIssue {
+  code: string;
+  severity: IssueSeverity;
+  /** The product attribute causing the issue, if any */
+  attribute?: string;
+  /** The reporting context (e.g. SHOPPING_ADS) the issue applies to */
+  reportingContext?: string;
+  applicableCountries: string[];
+}
+
+/**
+ * An offer with issues. Offer IDs are the SKUs sent to Google, and variants
+ * carry the SKU of their parent as item group.
+ */
+export interface OfferStatus {
+  offerId: string;
+  itemGroupId: string | null;
+  /** Whether the offer is disapproved in at least one country */
+  disapproved: boolean;
+  issues: OfferIssue[];
+}
+
+/**
+ * The page of offers with issues to report.
+ */
+export interface OfferPage {
+  /** Number of offers to skip */
+  offset: number;
+  /** Maximum number of offers to report */
+  limit: number;
+  /** Only report the offers with this issue code */
+  issueCode?: string;
+}
+
+/**
+ * The product status report of a market.
+ */
+export interface StatusReport {
+  /** Number of offers listed in the data source */
+  checked: number;
+  /** Number of offers disapproved in at least one country */
+  disapproved: number;
+  /** Number of offers by the highest severity of their issues */
+  severities: Record<IssueSeverity, number>;
+  /** Issues by code, the most frequent first */
+  issues: IssueSummary[];
+  /** Number of offers with issues, or with the requested issue code */
+  offerCount: number;
+  /** The requested page of the offers counted in offerCount */
+  offers: OfferStatus[];
+}
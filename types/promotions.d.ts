@@ -0,0 +1,28 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * The result of a promotions sync for a market.
+ */
+export interface PromotionsMarketResult {
+  dryRun: boolean;
+  /** IDs of the promotions that ended, which are not sent anymore */
+  ended: string[];
+  /** The promotions that would have been upserted, in a dry run */
+  promotions?: object[];
+  /** IDs of the upserted promotions, when not a dry run */
+  upserted?: string[];
+  /** Promotions that could not be transformed or upserted */
+  failed: { promotionId: string; error: string }[];
+  /** Number of requests retried after a transient error, when not a dry run */
+  retries?: number;
+}
@@ -0,0 +1,43 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+/**
+ * Offers of a market that no longer exist in Commerce, and offers that could not be checked.
+ */
+export interface ReconcileResult {
+  orphans: string[];
+  unverified: { offerId: string; error: string }[];
+}
+
+export type ReconcileStatus = "in_progress" | "completed" | "error";
+
+/**
+ * The result of a reconciliation invocation for a market.
+ */
+export interface ReconcileMarketResult extends ReconcileResult {
+  status: ReconcileStatus;
+  dryRun: boolean;
+  /** Number of pages of the Google account checked by the invocation */
+  pagesProcessed: number;
+  /** Number of offers of the data source checked by the invocation */
+  checked: number;
+  /** Orphans deleted from Google, when not a dry run */
+  deleted?: string[];
+  /** Orphans that could not be deleted, when not a dry run */
+  failed?: { offerId: string; error: string }[];
+  /** Number of requests retried after a transient error, when not a dry run */
+  retries?: number;
+  /** The token of the next page to check, null once the account is complete */
+  nextPageToken: string | null;
+  /** The error that stopped the invocation, if any */
+  lastError?: string;
+}
@@ -0,0 +1,47 @@
+/*
+  Copyright 2026 Adobe. All rights reserved.
+  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License. You may obtain a copy
+  of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software distributed under
+  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+  OF ANY KIND, either express or implied. See the License for the specific language
+  governing permissions and limitations under the License.
+*/
+
+import { DryRunPreview } from "./outcomes";
+
+/**
+ * Progress of the full catalog resync of a market, stored in App Builder State.
+ */
+export interface ResyncCheckpoint {
+  marketId: string;
+  /** The next catalog page to resync, starting at 1 */
+  nextPage: number;
+  /** Total pages of the catalog view, known after the first page */
+  totalPages: number | null;
+  totalCount: number | null;
+  /** Item counts accumulated over all pages of the run */
+  synced: number;
+  skipped: number;
+  failed: number;
+  startedAt: string;
+  updatedAt: string;
+  completedAt: string | null;
+  /** The error that stopped the last invocation, if any */
+  lastError?: string;
+}
+
+export type ResyncStatus = "in_progress" | "completed" | "up_to_date" | "error";
+
+/**
+ * The result of a resync invocation for a market.
+ */
+export interface ResyncMarketResult {
+  status: ResyncStatus;
+  pagesProcessed: number;
+  checkpoint: ResyncCheckpoint;
+  /** What would have been sent to Google, for a dry run */
+  dryRun?: DryRunPreview;
+}